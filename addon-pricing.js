@@ -0,0 +1,106 @@
+// Server-side add-on price calculation
+// Mirrors public/modules/addon-pricing.js - keep the two in sync
+
+// Text add-ons can be charged per unit of text, checkboxes and options can be a
+// percentage of the product variant's price
+const UNIT_PRICE_MODES = ['per_character', 'per_word', 'per_line'];
+const PRICE_MODES = ['fixed', ...UNIT_PRICE_MODES, 'percent'];
+
+// Add-ons are charged for every unit on the cart line, or once for the whole
+// line (e.g. a set-up fee)
+const CHARGE_PER = ['unit', 'line'];
+
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function calculatePercentPrice(percent, productPrice) {
+  return roundPrice((parseFloat(percent) || 0) * (parseFloat(productPrice) || 0) / 100);
+}
+
+// Options take the add-on's price mode unless they set their own
+function isPercentPriced(addon, option = null) {
+  return ((option && option.priceMode) || addon.priceMode) === 'percent';
+}
+
+// Count the chargeable units in a text entry for the given price mode
+function countTextUnits(priceMode, text) {
+  const value = (text || '').trim();
+  if (value === '') return 0;
+
+  switch (priceMode) {
+    case 'per_character':
+      // Spaces and line breaks are not engraved, so they are not charged
+      return value.replace(/\s/g, '').length;
+    case 'per_word':
+      return value.split(/\s+/).filter(Boolean).length;
+    case 'per_line':
+      return value.split(/\r?\n/).filter(line => line.trim() !== '').length;
+    default:
+      return 1;
+  }
+}
+
+function calculateTextPrice(addon, text) {
+  const units = countTextUnits(addon.priceMode, text);
+  if (units === 0) return 0;
+
+  const unitPrice = parseFloat(addon.price) || 0;
+  if (!addon.priceMode || addon.priceMode === 'fixed') {
+    return roundPrice(unitPrice);
+  }
+
+  let price = (parseFloat(addon.baseFee) || 0) + units * unitPrice;
+  if (addon.priceCap !== null && addon.priceCap !== undefined && addon.priceCap !== '') {
+    price = Math.min(price, parseFloat(addon.priceCap));
+  }
+  return roundPrice(price);
+}
+
+// Price of a single add-on for the value the shopper chose, productPrice is
+// the variant price that percentage prices are taken from
+function calculateAddonPrice(addon, value, productPrice = 0) {
+  switch (addon.type) {
+    case 'checkbox':
+      if (!(value === true || value === 'true' || value === 'selected')) return 0;
+      return isPercentPriced(addon)
+        ? calculatePercentPrice(addon.price, productPrice)
+        : roundPrice(parseFloat(addon.price));
+    case 'dropdown':
+    case 'radio':
+    case 'swatch': {
+      const option = (addon.options || []).find(option => option.value === value);
+      if (!option) return 0;
+      return isPercentPriced(addon, option)
+        ? calculatePercentPrice(option.price, productPrice)
+        : roundPrice(parseFloat(option.price) || 0);
+    }
+    case 'text':
+    case 'textarea':
+      return calculateTextPrice(addon, value);
+    default:
+      return 0;
+  }
+}
+
+// Total add-on charge for a cart line of the given quantity
+function calculateLineTotal(addons, quantity) {
+  const units = Math.max(parseInt(quantity) || 1, 1);
+  return roundPrice(addons.reduce((sum, addon) => {
+    const price = parseFloat(addon.price) || 0;
+    return sum + (addon.chargePer === 'line' ? price : price * units);
+  }, 0));
+}
+
+module.exports = {
+  PRICE_MODES,
+  CHARGE_PER,
+  UNIT_PRICE_MODES,
+  roundPrice,
+  calculatePercentPrice,
+  isPercentPriced,
+  countTextUnits,
+  calculateTextPrice,
+  calculateAddonPrice,
+  calculateLineTotal
+};
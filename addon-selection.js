@@ -0,0 +1,141 @@
+// Server-side checks on a shopper's add-on selections
+// Mirrors the rules public/modules/product-page.js applies before a product is
+// added to the cart - keep the two in sync
+
+// Value the product page sends for a ticked checkbox
+const CHECKBOX_VALUE = 'selected';
+
+const OPTION_TYPES = ['dropdown', 'radio', 'swatch'];
+
+// Whether an add-on's visibility rules pass, given the selections of the add-ons
+// that are shown. Unselected and hidden add-ons have no entry in selected
+function evaluateConditions(conditions, selected) {
+  const rules = (conditions && conditions.rules) || [];
+  if (rules.length === 0) return true;
+
+  const results = rules.map(rule => {
+    const value = selected.get(String(rule.addonId));
+    switch (rule.operator) {
+      case 'checked':
+        return value !== undefined;
+      case 'not_checked':
+        return value === undefined;
+      case 'equals':
+        return value !== undefined && value === rule.value;
+      case 'not_equals':
+        return value === undefined || value !== rule.value;
+      default:
+        return true;
+    }
+  });
+
+  return conditions.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+// Ids of the add-ons the product page would show for these selections. Showing
+// or hiding one add-on can change another's rules, so this repeats until nothing
+// changes, with the same pass limit the storefront uses for circular rules
+function findVisibleAddons(addons, selections) {
+  const values = new Map(selections.map(selection => [String(selection.addonId), selection.value]));
+  const visible = new Set(addons.map(addon => String(addon.id)));
+
+  for (let pass = 0; pass <= addons.length; pass++) {
+    const selected = new Map([...values].filter(([addonId]) => visible.has(addonId)));
+    let changed = false;
+
+    addons.forEach(addon => {
+      const id = String(addon.id);
+      const shown = !addon.conditions || evaluateConditions(addon.conditions, selected);
+      if (shown === visible.has(id)) return;
+      changed = true;
+      if (shown) {
+        visible.add(id);
+      } else {
+        visible.delete(id);
+      }
+    });
+
+    if (!changed) break;
+  }
+
+  return visible;
+}
+
+// Error message for a text add-on's value, or null when the storefront would accept it
+function getTextError(addon, text) {
+  const value = text.trim();
+  if (addon.minLength != null && value.length < addon.minLength) {
+    return `${addon.name} needs at least ${addon.minLength} characters`;
+  }
+  if (addon.maxLength != null && value.length > addon.maxLength) {
+    return `${addon.name} allows no more than ${addon.maxLength} characters`;
+  }
+  if (addon.pattern) {
+    try {
+      if (!new RegExp(`^(?:${addon.pattern})$`).test(value)) {
+        return `${addon.name} contains characters that are not allowed`;
+      }
+    } catch (error) {
+      // The storefront skips a pattern that doesn't compile, so this does too
+    }
+  }
+  return null;
+}
+
+// Check selections against the add-ons offered on the product and variant (as
+// resolveAddonForVariant returns them). Returns an error message or null
+function findSelectionError(addons, selections) {
+  const byId = new Map(addons.map(addon => [String(addon.id), addon]));
+  const seen = new Set();
+
+  for (const selection of selections) {
+    const id = String(selection && selection.addonId);
+    const addon = byId.get(id);
+    if (!addon) {
+      return `Add-on ${id} is not offered on this product`;
+    }
+    if (seen.has(id)) {
+      return `${addon.name} is selected more than once`;
+    }
+    seen.add(id);
+
+    const value = selection.value;
+    if (typeof value !== 'string' || value.trim() === '') {
+      return `${addon.name} has no value`;
+    }
+    if (addon.type === 'checkbox' && value !== CHECKBOX_VALUE) {
+      return `${addon.name} can only be ticked`;
+    }
+    if (OPTION_TYPES.includes(addon.type) && !(addon.options || []).some(option => option.value === value)) {
+      return `${addon.name} has no option "${value}"`;
+    }
+    if (addon.type === 'text' || addon.type === 'textarea') {
+      const textError = getTextError(addon, value);
+      if (textError) return textError;
+    }
+  }
+
+  // Hidden add-ons are never sent by the storefront, and every required add-on
+  // that is shown must be answered - required checkboxes are ticked for the
+  // shopper and required dropdowns, radios and swatches have no "None" choice
+  const visible = findVisibleAddons(addons, selections);
+  for (const id of seen) {
+    if (!visible.has(id)) {
+      return `${byId.get(id).name} is not available with the other add-ons selected`;
+    }
+  }
+  for (const addon of addons) {
+    if (addon.required && visible.has(String(addon.id)) && !seen.has(String(addon.id))) {
+      return `${addon.name} is required`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  CHECKBOX_VALUE,
+  evaluateConditions,
+  findVisibleAddons,
+  findSelectionError
+};
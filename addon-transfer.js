@@ -0,0 +1,168 @@
+// Add-on import and export
+// Both formats carry the same fields. In CSV, options, conditions and the
+// variant settings are JSON inside their cell.
+
+const TRANSFER_FIELDS = [
+  'id',
+  'shop',
+  'productId',
+  'productHandle',
+  'setId',
+  'groupId',
+  'name',
+  'type',
+  'price',
+  'required',
+  'position',
+  'priceMode',
+  'chargePer',
+  'baseFee',
+  'priceCap',
+  'placeholder',
+  'helpText',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'options',
+  'conditions',
+  'variantIds',
+  'variantPrices'
+];
+
+const JSON_FIELDS = ['options', 'conditions', 'variantIds', 'variantPrices'];
+
+// Stored add-on -> export record, handles looked up from productHandles (id -> handle)
+function toTransferRecord(addon, productHandles = new Map()) {
+  return {
+    id: addon.id,
+    shop: addon.shop,
+    productId: addon.productId || null,
+    productHandle: addon.productId ? productHandles.get(String(addon.productId)) || null : null,
+    setId: addon.setId || null,
+    groupId: addon.groupId || null,
+    name: addon.name,
+    type: addon.type,
+    price: addon.price,
+    required: !!addon.required,
+    position: addon.position ?? 0,
+    priceMode: addon.priceMode || 'fixed',
+    chargePer: addon.chargePer || 'unit',
+    baseFee: addon.baseFee ?? null,
+    priceCap: addon.priceCap ?? null,
+    placeholder: addon.placeholder || null,
+    helpText: addon.helpText || null,
+    minLength: addon.minLength ?? null,
+    maxLength: addon.maxLength ?? null,
+    pattern: addon.pattern || null,
+    options: addon.options || null,
+    conditions: addon.conditions || null,
+    variantIds: addon.variantIds || null,
+    variantPrices: addon.variantPrices || null
+  };
+}
+
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const lines = [TRANSFER_FIELDS.join(',')];
+  records.forEach(record => {
+    lines.push(TRANSFER_FIELDS.map(field => escapeCsvCell(record[field])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// RFC 4180 CSV -> rows of cells. Quoted cells may hold commas, quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV ends inside a quoted cell');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry nothing to import
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// CSV text -> records as JSON imports give them. Cells that can't be read are
+// reported in record.errors so the row can be rejected with the others
+function fromCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  const unknown = columns.filter(name => !TRANSFER_FIELDS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown CSV columns: ${unknown.join(', ')}`);
+  }
+  if (!columns.includes('name')) {
+    throw new Error('CSV needs a name column');
+  }
+
+  return rows.map(cells => {
+    const record = { errors: [] };
+    columns.forEach((field, index) => {
+      const value = (cells[index] || '').trim();
+      if (value === '') return;
+
+      if (JSON_FIELDS.includes(field)) {
+        try {
+          record[field] = JSON.parse(value);
+        } catch (error) {
+          record.errors.push(`${field} is not valid JSON`);
+        }
+      } else if (field === 'required') {
+        record.required = ['true', '1', 'yes'].includes(value.toLowerCase());
+      } else {
+        record[field] = value;
+      }
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  TRANSFER_FIELDS,
+  toTransferRecord,
+  toCsv,
+  parseCsv,
+  fromCsv
+};
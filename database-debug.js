@@ -1,9 +1,45 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { encryptToken, decryptToken } = require('./token-encryption');
+const { migrateUp } = require('./migration-runner');
+
+// camelCase API fields that are stored under a different PostgreSQL column name
+const POSTGRES_COLUMN_NAMES = {
+  productId: 'product_id',
+  minLength: 'min_length',
+  maxLength: 'max_length',
+  priceMode: 'price_mode',
+  baseFee: 'base_fee',
+  priceCap: 'price_cap',
+  setId: 'set_id',
+  variantIds: 'variant_ids',
+  variantPrices: 'variant_prices',
+  chargePer: 'charge_per',
+  productIds: 'product_ids',
+  collectionIds: 'collection_ids',
+  orderId: 'order_id',
+  webhookId: 'webhook_id',
+  resourceId: 'resource_id',
+  addonId: 'addon_id',
+  groupId: 'group_id',
+  helpText: 'help_text'
+};
+
+// Add-on fields stored as JSON text (SQLite) or JSONB (PostgreSQL)
+const JSON_ADDON_FIELDS = ['options', 'conditions', 'variantIds', 'variantPrices'];
+
+// Add-on set targeting lists, stored the same way
+const JSON_SET_FIELDS = ['productIds', 'collectionIds', 'tags'];
 
 class Database {
-  constructor() {
+  // options.migrate: false connects without applying pending migrations (used by migrate.js)
+  // options.type: 'sqlite' skips PostgreSQL even when it is configured
+  // options.sqlitePath: SQLite file to use instead of app.db, e.g. ':memory:'
+  constructor(options = {}) {
+    this.autoMigrate = options.migrate !== false;
+    this.sqlitePath = options.sqlitePath || null;
+
     console.log('🔍 DATABASE DEBUG INFORMATION:');
     console.log('NODE_ENV:', process.env.NODE_ENV);
     console.log('RAILWAY_ENVIRONMENT:', process.env.RAILWAY_ENVIRONMENT);
@@ -34,13 +70,13 @@ class Database {
       console.log(`${key}:`, value);
     });
     
-    // Try to detect PostgreSQL availability
-    if (this.hasPostgresConfig()) {
+    // Try to detect PostgreSQL availability. ready settles once the schema is up to date
+    if (options.type !== 'sqlite' && this.hasPostgresConfig()) {
       console.log('🎯 PostgreSQL configuration detected - attempting connection');
-      this.initPostgreSQL();
+      this.ready = this.initPostgreSQL();
     } else {
       console.log('🎯 No PostgreSQL config - falling back to SQLite');
-      this.initSQLite();
+      this.ready = this.initSQLite();
     }
   }
 
@@ -84,21 +120,22 @@ class Database {
       console.log('✅ PostgreSQL connected successfully!');
       console.log('📊 PostgreSQL version:', result.rows[0].version.split(' ')[0]);
       client.release();
-      
-      await this.createPostgresTables();
-      
     } catch (error) {
       console.error('❌ PostgreSQL connection failed:', error.message);
       console.log('🔄 Falling back to SQLite...');
-      this.initSQLite();
+      return this.initSQLite();
     }
+    
+    if (this.autoMigrate) await this.migrate();
   }
 
-  initSQLite() {
+  async initSQLite() {
     console.log('💾 Initializing SQLite...');
     
     let dbPath;
-    if (process.env.RAILWAY_ENVIRONMENT || process.env.NODE_ENV === 'production') {
+    if (this.sqlitePath) {
+      dbPath = this.sqlitePath;
+    } else if (process.env.RAILWAY_ENVIRONMENT || process.env.NODE_ENV === 'production') {
       // Use Railway persistent storage
       dbPath = '/app/public/uploads/app.db';
       
@@ -122,90 +159,17 @@ class Database {
       }
     });
     
-    this.type = 'sqlite';
-    this.createSQLiteTables();
-  }
+    // Run statements in the order they were issued
+    this.db.serialize();
 
-  async createPostgresTables() {
-    try {
-      console.log('🏗️ Creating PostgreSQL tables...');
-      
-      // Create sessions table
-      await this.pool.query(`
-        CREATE TABLE IF NOT EXISTS sessions (
-          id TEXT PRIMARY KEY,
-          shop TEXT NOT NULL,
-          access_token TEXT NOT NULL,
-          scope TEXT,
-          expires BIGINT,
-          is_online BOOLEAN,
-          state TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Create addons table  
-      await this.pool.query(`
-        CREATE TABLE IF NOT EXISTS addons (
-          id SERIAL PRIMARY KEY,
-          product_id TEXT NOT NULL,
-          shop TEXT NOT NULL,
-          name TEXT NOT NULL,
-          price DECIMAL(10,2) NOT NULL,
-          type TEXT NOT NULL CHECK(type IN ('checkbox', 'dropdown')),
-          required BOOLEAN DEFAULT FALSE,
-          options JSONB,
-          active BOOLEAN DEFAULT TRUE,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      console.log('✅ PostgreSQL tables created successfully');
-    } catch (error) {
-      console.error('❌ Error creating PostgreSQL tables:', error);
-    }
+    this.type = 'sqlite';
+    if (this.autoMigrate) await this.migrate();
   }
 
-  createSQLiteTables() {
-    console.log('🏗️ Creating SQLite tables...');
-    
-    // Create sessions table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS sessions (
-        id TEXT PRIMARY KEY,
-        shop TEXT NOT NULL,
-        accessToken TEXT NOT NULL,
-        scope TEXT,
-        expires INTEGER,
-        isOnline BOOLEAN,
-        state TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `, (err) => {
-      if (err) console.error('❌ Error creating sessions table:', err);
-      else console.log('✅ Sessions table ready');
-    });
-
-    // Create addons table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS addons (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        productId TEXT NOT NULL,
-        shop TEXT NOT NULL,
-        name TEXT NOT NULL,
-        price REAL NOT NULL,
-        type TEXT NOT NULL CHECK(type IN ('checkbox', 'dropdown')),
-        required BOOLEAN DEFAULT FALSE,
-        options TEXT,
-        active BOOLEAN DEFAULT TRUE,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `, (err) => {
-      if (err) console.error('❌ Error creating addons table:', err);
-      else console.log('✅ Addons table ready');
-    });
+  // Apply pending migrations from migrations/
+  async migrate() {
+    await migrateUp(this);
+    console.log(`✅ ${this.type === 'postgres' ? 'PostgreSQL' : 'SQLite'} schema up to date`);
   }
 
   // Session management (works with both databases)
@@ -226,7 +190,7 @@ class Database {
       await this.pool.query(query, [
         session.id,
         session.shop,
-        session.accessToken,
+        encryptToken(session.accessToken),
         session.scope,
         session.expires,
         session.isOnline,
@@ -246,7 +210,7 @@ class Database {
         stmt.run([
           session.id,
           session.shop,
-          session.accessToken,
+          encryptToken(session.accessToken),
           session.scope,
           session.expires,
           session.isOnline,
@@ -277,10 +241,10 @@ class Database {
         return {
           id: row.id,
           shop: row.shop,
-          accessToken: row.access_token,
+          accessToken: decryptToken(row.access_token),
           scope: row.scope,
-          expires: row.expires,
-          isOnline: row.is_online,
+          expires: row.expires != null ? Number(row.expires) : null,
+          isOnline: !!row.is_online,
           state: row.state
         };
       }
@@ -297,15 +261,20 @@ class Database {
               reject(err);
             } else if (row) {
               console.log('📖 Session retrieved from SQLite for:', shop);
-              resolve({
-                id: row.id,
-                shop: row.shop,
-                accessToken: row.accessToken,
-                scope: row.scope,
-                expires: row.expires,
-                isOnline: row.isOnline,
-                state: row.state
-              });
+              try {
+                resolve({
+                  id: row.id,
+                  shop: row.shop,
+                  accessToken: decryptToken(row.accessToken),
+                  scope: row.scope,
+                  expires: row.expires,
+                  isOnline: !!row.isOnline,
+                  state: row.state
+                });
+              } catch (error) {
+                console.error('❌ Could not decrypt access token for:', shop, error.message);
+                reject(error);
+              }
             } else {
               console.log('❌ No session found in SQLite for:', shop);
               resolve(null);
@@ -316,14 +285,126 @@ class Database {
     }
   }
 
+  // Access tokens exactly as stored, for encrypt-sessions.js to re-encrypt
+  async getStoredSessionTokens() {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT id, shop, access_token FROM sessions');
+      return result.rows.map(row => ({ id: row.id, shop: row.shop, accessToken: row.access_token }));
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.all('SELECT id, shop, accessToken FROM sessions', [], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    }
+  }
+
+  // storedToken is written as given - pass it through encryptToken first
+  async updateStoredSessionToken(id, storedToken) {
+    if (this.type === 'postgres') {
+      await this.pool.query('UPDATE sessions SET access_token = $1 WHERE id = $2', [storedToken, id]);
+    } else {
+      await new Promise((resolve, reject) => {
+        this.db.run('UPDATE sessions SET accessToken = ? WHERE id = ?', [storedToken, id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    }
+  }
+
+  close() {
+    return this.type === 'postgres'
+      ? this.pool.end()
+      : new Promise((resolve, reject) => this.db.close(err => err ? reject(err) : resolve()));
+  }
+
+  // Run work(store) in one transaction: committed when it resolves, rolled back
+  // when it throws. On PostgreSQL store is this store on the transaction's own
+  // connection. SQLite has the one connection, so statements other requests make
+  // meanwhile are part of the transaction too
+  async transaction(work) {
+    if (this.type === 'postgres') {
+      const client = await this.pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await work(Object.create(this, { pool: { value: client } }));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    const exec = sql => new Promise((resolve, reject) => this.db.exec(sql, err => err ? reject(err) : resolve()));
+    await exec('BEGIN TRANSACTION');
+    try {
+      const result = await work(this);
+      await exec('COMMIT');
+      return result;
+    } catch (error) {
+      await exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // OAuth install nonces
+  async storeOAuthState(state, shop, expires) {
+    if (this.type === 'postgres') {
+      // Expired nonces are never consumed, clear them out as new ones are made
+      await this.pool.query('DELETE FROM oauth_states WHERE expires < $1', [Date.now()]);
+      await this.pool.query('INSERT INTO oauth_states (state, shop, expires) VALUES ($1, $2, $3)', [state, shop, expires]);
+    } else {
+      await new Promise((resolve, reject) => {
+        this.db.run('DELETE FROM oauth_states WHERE expires < ?', [Date.now()], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+      await new Promise((resolve, reject) => {
+        this.db.run('INSERT INTO oauth_states (state, shop, expires) VALUES (?, ?, ?)', [state, shop, expires], (err) => {
+          if (err) {
+            console.error('❌ SQLite OAuth state storage error:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    }
+    return { state, shop, expires };
+  }
+
+  // Returns the stored { state, shop, expires } and deletes it so it can't be used twice
+  async consumeOAuthState(state) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('DELETE FROM oauth_states WHERE state = $1 RETURNING state, shop, expires', [state]);
+      return result.rows.length > 0 ? { ...result.rows[0], expires: parseInt(result.rows[0].expires) } : null;
+    } else {
+      // One statement, so two callbacks racing with the same nonce can't both get it
+      // (RETURNING needs SQLite 3.35, sqlite3 5.1 bundles 3.44)
+      return new Promise((resolve, reject) => {
+        this.db.get('DELETE FROM oauth_states WHERE state = ? RETURNING state, shop, expires', [state], (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        });
+      });
+    }
+  }
+
   // Add the full addon management methods
   async createAddon(addonData) {
     console.log('🔧 createAddon called with:', JSON.stringify(addonData, null, 2));
     
     // Validate required fields
-    if (!addonData.productId || !addonData.name || addonData.price === undefined) {
+    if (!(addonData.productId || addonData.setId) || !addonData.name || addonData.price === undefined) {
       console.error('❌ Missing required addon fields:', {
         hasProductId: !!addonData.productId,
+        hasSetId: !!addonData.setId,
         hasName: !!addonData.name,
         hasPrice: addonData.price !== undefined
       });
@@ -332,38 +413,68 @@ class Database {
     
     if (this.type === 'postgres') {
       const query = `
-        INSERT INTO addons (product_id, shop, name, price, type, required, options) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        INSERT INTO addons (product_id, shop, name, price, type, required, options, placeholder, min_length, max_length, pattern, price_mode, base_fee, price_cap, conditions, set_id, variant_ids, variant_prices, charge_per, position, group_id, help_text) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
         RETURNING *
       `;
       
       const result = await this.pool.query(query, [
-        addonData.productId,
+        addonData.productId || null,
         addonData.shop || 'default',
         addonData.name,
         addonData.price,
         addonData.type,
         addonData.required || false,
-        addonData.options ? JSON.stringify(addonData.options) : null
+        addonData.options ? JSON.stringify(addonData.options) : null,
+        addonData.placeholder || null,
+        addonData.minLength ?? null,
+        addonData.maxLength ?? null,
+        addonData.pattern || null,
+        addonData.priceMode || 'fixed',
+        addonData.baseFee ?? null,
+        addonData.priceCap ?? null,
+        addonData.conditions ? JSON.stringify(addonData.conditions) : null,
+        addonData.setId || null,
+        addonData.variantIds ? JSON.stringify(addonData.variantIds) : null,
+        addonData.variantPrices ? JSON.stringify(addonData.variantPrices) : null,
+        addonData.chargePer || 'unit',
+        addonData.position || 0,
+        addonData.groupId || null,
+        addonData.helpText || null
       ]);
       
       console.log('✅ Addon created in PostgreSQL:', result.rows[0].id);
-      return result.rows[0];
+      return this.formatPostgresAddon(result.rows[0]);
     } else {
       return new Promise((resolve, reject) => {
         const stmt = this.db.prepare(`
-          INSERT INTO addons (productId, shop, name, price, type, required, options) 
-          VALUES (?, ?, ?, ?, ?, ?, ?)
+          INSERT INTO addons (productId, shop, name, price, type, required, options, placeholder, minLength, maxLength, pattern, priceMode, baseFee, priceCap, conditions, setId, variantIds, variantPrices, chargePer, position, groupId, helpText) 
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         
         const values = [
-          addonData.productId,
+          addonData.productId || null,
           addonData.shop || 'default',
           addonData.name,
           addonData.price,
           addonData.type,
           addonData.required || false,
-          addonData.options ? JSON.stringify(addonData.options) : null
+          addonData.options ? JSON.stringify(addonData.options) : null,
+          addonData.placeholder || null,
+          addonData.minLength ?? null,
+          addonData.maxLength ?? null,
+          addonData.pattern || null,
+          addonData.priceMode || 'fixed',
+          addonData.baseFee ?? null,
+          addonData.priceCap ?? null,
+          addonData.conditions ? JSON.stringify(addonData.conditions) : null,
+          addonData.setId || null,
+          addonData.variantIds ? JSON.stringify(addonData.variantIds) : null,
+          addonData.variantPrices ? JSON.stringify(addonData.variantPrices) : null,
+          addonData.chargePer || 'unit',
+          addonData.position || 0,
+          addonData.groupId || null,
+          addonData.helpText || null
         ];
         
         console.log('SQLite insert values:', values);
@@ -374,12 +485,12 @@ class Database {
             reject(err);
           } else {
             console.log('✅ Addon created in SQLite:', this.lastID);
-            resolve({ id: this.lastID, ...addonData });
+            resolve(this.lastID);
           }
         });
         
         stmt.finalize();
-      });
+      }).then(id => this.getAddon(id));
     }
   }
 
@@ -393,22 +504,10 @@ class Database {
     
     if (this.type === 'postgres') {
       try {
-        const query = 'SELECT * FROM addons WHERE product_id = $1 AND shop = $2 AND active = TRUE';
+        const query = 'SELECT * FROM addons WHERE product_id = $1 AND shop = $2 AND active = TRUE ORDER BY position, id';
         const result = await this.pool.query(query, [productId, shop]);
         
-        const addons = result.rows.map(row => ({
-          id: row.id,
-          productId: row.product_id,
-          shop: row.shop,
-          name: row.name,
-          price: parseFloat(row.price),
-          type: row.type,
-          required: row.required,
-          options: row.options ? (typeof row.options === 'string' ? JSON.parse(row.options) : row.options) : null,
-          active: row.active,
-          created_at: row.created_at,
-          updated_at: row.updated_at
-        }));
+        const addons = result.rows.map(row => this.formatPostgresAddon(row));
         
         console.log('📋 Retrieved', addons.length, 'addons from PostgreSQL');
         return addons;
@@ -419,7 +518,7 @@ class Database {
     } else {
       return new Promise((resolve, reject) => {
         this.db.all(
-          'SELECT * FROM addons WHERE productId = ? AND shop = ? AND active = TRUE',
+          'SELECT * FROM addons WHERE productId = ? AND shop = ? AND active = TRUE ORDER BY position, id',
           [productId, shop],
           (err, rows) => {
             if (err) {
@@ -427,16 +526,13 @@ class Database {
               resolve([]); // Resolve with empty array instead of rejecting
             } else {
               try {
-                const addons = rows.map(row => ({
-                  ...row,
-                  options: row.options ? JSON.parse(row.options) : null
-                }));
+                const addons = rows.map(row => this.formatSQLiteAddon(row));
                 console.log('📋 Retrieved', addons.length, 'addons from SQLite');
                 resolve(addons);
               } catch (parseError) {
                 console.error('❌ Error parsing addon options:', parseError);
                 // Return rows without parsed options
-                resolve(rows.map(row => ({ ...row, options: null })));
+                resolve(rows.map(row => ({ ...row, options: null, conditions: null })));
               }
             }
           }
@@ -445,6 +541,113 @@ class Database {
     }
   }
 
+  // Add-ons belonging to the given sets, in set order then position order
+  async getAddonsForSets(setIds, shop = 'default') {
+    if (!setIds || setIds.length === 0) return [];
+
+    const order = new Map(setIds.map((setId, index) => [String(setId), index]));
+    const bySetOrder = (a, b) => order.get(String(a.setId)) - order.get(String(b.setId)) || a.position - b.position || a.id - b.id;
+
+    if (this.type === 'postgres') {
+      const query = 'SELECT * FROM addons WHERE set_id = ANY($1::int[]) AND shop = $2 AND active = TRUE';
+      const result = await this.pool.query(query, [setIds, shop]);
+      return result.rows.map(row => this.formatPostgresAddon(row)).sort(bySetOrder);
+    } else {
+      return new Promise((resolve, reject) => {
+        const placeholders = setIds.map(() => '?').join(', ');
+        this.db.all(
+          `SELECT * FROM addons WHERE setId IN (${placeholders}) AND shop = ? AND active = TRUE`,
+          [...setIds, shop],
+          (err, rows) => {
+            if (err) {
+              console.error('❌ SQLite set addon retrieval error:', err);
+              reject(err);
+            } else {
+              resolve(rows.map(row => this.formatSQLiteAddon(row)).sort(bySetOrder));
+            }
+          }
+        );
+      });
+    }
+  }
+
+  // Every active add-on of a shop, product and set ones alike, oldest first
+  async getAllAddons(shop = 'default') {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT * FROM addons WHERE shop = $1 AND active = TRUE ORDER BY id', [shop]);
+      return result.rows.map(row => this.formatPostgresAddon(row));
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.all('SELECT * FROM addons WHERE shop = ? AND active = TRUE ORDER BY id', [shop], (err, rows) => {
+          if (err) {
+            console.error('❌ SQLite addon retrieval error:', err);
+            reject(err);
+          } else {
+            resolve(rows.map(row => this.formatSQLiteAddon(row)));
+          }
+        });
+      });
+    }
+  }
+
+  // Look up a single add-on by ID, including inactive ones
+  async getAddon(id) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT * FROM addons WHERE id = $1', [id]);
+      return result.rows.length > 0 ? this.formatPostgresAddon(result.rows[0]) : null;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.get('SELECT * FROM addons WHERE id = ?', [id], (err, row) => {
+          if (err) {
+            console.error('❌ SQLite addon lookup error:', err);
+            reject(err);
+          } else {
+            resolve(row ? this.formatSQLiteAddon(row) : null);
+          }
+        });
+      });
+    }
+  }
+
+  formatSQLiteAddon(row) {
+    const addon = { ...row, required: !!row.required, active: !!row.active };
+    JSON_ADDON_FIELDS.forEach(field => {
+      addon[field] = row[field] ? JSON.parse(row[field]) : null;
+    });
+    return addon;
+  }
+
+  formatPostgresAddon(row) {
+    return {
+      id: row.id,
+      productId: row.product_id,
+      setId: row.set_id,
+      shop: row.shop,
+      name: row.name,
+      price: parseFloat(row.price),
+      type: row.type,
+      required: row.required,
+      options: row.options ? (typeof row.options === 'string' ? JSON.parse(row.options) : row.options) : null,
+      placeholder: row.placeholder,
+      minLength: row.min_length,
+      maxLength: row.max_length,
+      pattern: row.pattern,
+      priceMode: row.price_mode || 'fixed',
+      baseFee: row.base_fee !== null && row.base_fee !== undefined ? parseFloat(row.base_fee) : null,
+      priceCap: row.price_cap !== null && row.price_cap !== undefined ? parseFloat(row.price_cap) : null,
+      conditions: row.conditions ? (typeof row.conditions === 'string' ? JSON.parse(row.conditions) : row.conditions) : null,
+      variantIds: row.variant_ids ? (typeof row.variant_ids === 'string' ? JSON.parse(row.variant_ids) : row.variant_ids) : null,
+      variantPrices: row.variant_prices ? (typeof row.variant_prices === 'string' ? JSON.parse(row.variant_prices) : row.variant_prices) : null,
+      chargePer: row.charge_per || 'unit',
+      position: row.position ?? 0,
+      groupId: row.group_id,
+      helpText: row.help_text,
+      active: row.active,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
   async updateAddon(id, updateData) {
     console.log('🔧 updateAddon called for id:', id, 'data:', updateData);
     
@@ -455,14 +658,11 @@ class Database {
       
       Object.keys(updateData).forEach(key => {
         // Map camelCase to snake_case for PostgreSQL
-        let columnName = key;
-        if (key === 'productId') {
-          columnName = 'product_id';
-        }
+        const columnName = POSTGRES_COLUMN_NAMES[key] || key;
         
-        if (key === 'options') {
+        if (JSON_ADDON_FIELDS.includes(key)) {
           fields.push(`${columnName} = $${paramCount}`);
-          values.push(JSON.stringify(updateData[key]));
+          values.push(updateData[key] === null ? null : JSON.stringify(updateData[key]));
         } else if (key === 'required') {
           // Ensure boolean type for PostgreSQL
           fields.push(`${columnName} = $${paramCount}`);
@@ -488,16 +688,16 @@ class Database {
       await this.pool.query(query, values);
       
       console.log('✅ Addon updated in PostgreSQL:', id);
-      return { id, ...updateData };
+      return this.getAddon(id);
     } else {
       return new Promise((resolve, reject) => {
         const fields = [];
         const values = [];
         
         Object.keys(updateData).forEach(key => {
-          if (key === 'options') {
+          if (JSON_ADDON_FIELDS.includes(key)) {
             fields.push(`${key} = ?`);
-            values.push(JSON.stringify(updateData[key]));
+            values.push(updateData[key] === null ? null : JSON.stringify(updateData[key]));
           } else if (key === 'required') {
             // Ensure boolean type for SQLite
             fields.push(`${key} = ?`);
@@ -527,12 +727,12 @@ class Database {
             reject(err);
           } else {
             console.log('✅ Addon updated in SQLite:', id);
-            resolve({ id, changes: this.changes });
+            resolve();
           }
         });
         
         stmt.finalize();
-      });
+      }).then(() => this.getAddon(id));
     }
   }
 
@@ -540,9 +740,9 @@ class Database {
     console.log('🔧 deleteAddon called for id:', id);
     
     if (this.type === 'postgres') {
-      await this.pool.query('UPDATE addons SET active = FALSE WHERE id = $1', [id]);
+      const result = await this.pool.query('UPDATE addons SET active = FALSE WHERE id = $1', [id]);
       console.log('✅ Addon deleted in PostgreSQL:', id);
-      return { id, changes: 1 };
+      return { id, changes: result.rowCount };
     } else {
       return new Promise((resolve, reject) => {
         const stmt = this.db.prepare('UPDATE addons SET active = FALSE WHERE id = ?');
@@ -561,6 +761,977 @@ class Database {
       });
     }
   }
+
+  // Add-on history, snapshots of an add-on before and after each change
+  async recordAddonHistory(entry) {
+    const values = [
+      parseInt(entry.addonId),
+      entry.shop,
+      entry.action,
+      entry.actor || null,
+      entry.before ? JSON.stringify(entry.before) : null,
+      entry.after ? JSON.stringify(entry.after) : null
+    ];
+
+    if (this.type === 'postgres') {
+      const result = await this.pool.query(`
+        INSERT INTO addon_history (addon_id, shop, action, actor, before, after) 
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, values);
+      return this.formatAddonHistory(result.rows[0]);
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare(`
+          INSERT INTO addon_history (addonId, shop, action, actor, before, after) 
+          VALUES (?, ?, ?, ?, ?, ?)
+        `);
+
+        stmt.run(values, function(err) {
+          if (err) {
+            console.error('❌ SQLite addon history creation error:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        });
+
+        stmt.finalize();
+      }).then(id => this.getAddonHistoryEntry(id));
+    }
+  }
+
+  // Newest first
+  async getAddonHistory(addonId, limit = 50) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query(
+        'SELECT * FROM addon_history WHERE addon_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+        [addonId, limit]
+      );
+      return result.rows.map(row => this.formatAddonHistory(row));
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.all(
+          'SELECT * FROM addon_history WHERE addonId = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+          [addonId, limit],
+          (err, rows) => {
+            if (err) {
+              console.error('❌ SQLite addon history retrieval error:', err);
+              reject(err);
+            } else {
+              resolve(rows.map(row => this.formatAddonHistory(row)));
+            }
+          }
+        );
+      });
+    }
+  }
+
+  // Changes to any of the shop's add-ons, newest first
+  async getShopAddonHistory(shop, limit = 50) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query(
+        'SELECT * FROM addon_history WHERE shop = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+        [shop, limit]
+      );
+      return result.rows.map(row => this.formatAddonHistory(row));
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.all(
+          'SELECT * FROM addon_history WHERE shop = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+          [shop, limit],
+          (err, rows) => {
+            if (err) {
+              console.error('❌ SQLite addon history retrieval error:', err);
+              reject(err);
+            } else {
+              resolve(rows.map(row => this.formatAddonHistory(row)));
+            }
+          }
+        );
+      });
+    }
+  }
+
+  async getAddonHistoryEntry(id) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT * FROM addon_history WHERE id = $1', [id]);
+      return result.rows.length > 0 ? this.formatAddonHistory(result.rows[0]) : null;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.get('SELECT * FROM addon_history WHERE id = ?', [id], (err, row) => {
+          if (err) {
+            console.error('❌ SQLite addon history lookup error:', err);
+            reject(err);
+          } else {
+            resolve(row ? this.formatAddonHistory(row) : null);
+          }
+        });
+      });
+    }
+  }
+
+  // Same shape from both backends, snapshots as SQLite TEXT or PostgreSQL JSONB
+  formatAddonHistory(row) {
+    const snapshot = value => value ? (typeof value === 'string' ? JSON.parse(value) : value) : null;
+    return {
+      id: row.id,
+      addonId: row.addon_id ?? row.addonId,
+      shop: row.shop,
+      action: row.action,
+      actor: row.actor,
+      before: snapshot(row.before),
+      after: snapshot(row.after),
+      created_at: row.created_at
+    };
+  }
+
+  // Add-on set management
+  async createAddonSet(setData) {
+    console.log('🔧 createAddonSet called with:', JSON.stringify(setData, null, 2));
+
+    if (this.type === 'postgres') {
+      const query = `
+        INSERT INTO addon_sets (shop, name, product_ids, collection_ids, tags, position) 
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        setData.shop || 'default',
+        setData.name,
+        JSON.stringify(setData.productIds || []),
+        JSON.stringify(setData.collectionIds || []),
+        JSON.stringify(setData.tags || []),
+        setData.position || 0
+      ]);
+
+      console.log('✅ Addon set created in PostgreSQL:', result.rows[0].id);
+      return this.formatPostgresAddonSet(result.rows[0]);
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare(`
+          INSERT INTO addon_sets (shop, name, productIds, collectionIds, tags, position) 
+          VALUES (?, ?, ?, ?, ?, ?)
+        `);
+
+        stmt.run([
+          setData.shop || 'default',
+          setData.name,
+          JSON.stringify(setData.productIds || []),
+          JSON.stringify(setData.collectionIds || []),
+          JSON.stringify(setData.tags || []),
+          setData.position || 0
+        ], function(err) {
+          if (err) {
+            console.error('❌ SQLite addon set creation error:', err);
+            reject(err);
+          } else {
+            console.log('✅ Addon set created in SQLite:', this.lastID);
+            resolve(this.lastID);
+          }
+        });
+
+        stmt.finalize();
+      }).then(id => this.getAddonSet(id));
+    }
+  }
+
+  // Active sets for a shop, in the order their add-ons are shown
+  async getAddonSets(shop = 'default') {
+    if (this.type === 'postgres') {
+      const query = 'SELECT * FROM addon_sets WHERE shop = $1 AND active = TRUE ORDER BY position, id';
+      const result = await this.pool.query(query, [shop]);
+      return result.rows.map(row => this.formatPostgresAddonSet(row));
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.all(
+          'SELECT * FROM addon_sets WHERE shop = ? AND active = TRUE ORDER BY position, id',
+          [shop],
+          (err, rows) => {
+            if (err) {
+              console.error('❌ SQLite addon set retrieval error:', err);
+              reject(err);
+            } else {
+              resolve(rows.map(row => this.formatSQLiteAddonSet(row)));
+            }
+          }
+        );
+      });
+    }
+  }
+
+  // Look up a single add-on set by ID, including inactive ones
+  async getAddonSet(id) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT * FROM addon_sets WHERE id = $1', [id]);
+      return result.rows.length > 0 ? this.formatPostgresAddonSet(result.rows[0]) : null;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.get('SELECT * FROM addon_sets WHERE id = ?', [id], (err, row) => {
+          if (err) {
+            console.error('❌ SQLite addon set lookup error:', err);
+            reject(err);
+          } else {
+            resolve(row ? this.formatSQLiteAddonSet(row) : null);
+          }
+        });
+      });
+    }
+  }
+
+  formatSQLiteAddonSet(row) {
+    const set = { ...row, active: !!row.active };
+    JSON_SET_FIELDS.forEach(field => {
+      set[field] = row[field] ? JSON.parse(row[field]) : [];
+    });
+    return set;
+  }
+
+  formatPostgresAddonSet(row) {
+    const parseList = value => value ? (typeof value === 'string' ? JSON.parse(value) : value) : [];
+    return {
+      id: row.id,
+      shop: row.shop,
+      name: row.name,
+      productIds: parseList(row.product_ids),
+      collectionIds: parseList(row.collection_ids),
+      tags: parseList(row.tags),
+      position: row.position,
+      active: row.active,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  async updateAddonSet(id, updateData) {
+    console.log('🔧 updateAddonSet called for id:', id, 'data:', updateData);
+
+    const fields = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      values.push(JSON_SET_FIELDS.includes(key) ? JSON.stringify(updateData[key] || []) : updateData[key]);
+      if (this.type === 'postgres') {
+        fields.push(`${POSTGRES_COLUMN_NAMES[key] || key} = $${values.length}`);
+      } else {
+        fields.push(`${key} = ?`);
+      }
+    });
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    if (this.type === 'postgres') {
+      await this.pool.query(`UPDATE addon_sets SET ${fields.join(', ')} WHERE id = $${values.length}`, values);
+      console.log('✅ Addon set updated in PostgreSQL:', id);
+      return this.getAddonSet(id);
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare(`UPDATE addon_sets SET ${fields.join(', ')} WHERE id = ?`);
+
+        stmt.run(values, function(err) {
+          if (err) {
+            console.error('❌ SQLite addon set update error:', err);
+            reject(err);
+          } else {
+            console.log('✅ Addon set updated in SQLite:', id);
+            resolve();
+          }
+        });
+
+        stmt.finalize();
+      }).then(() => this.getAddonSet(id));
+    }
+  }
+
+  // Soft delete, the set's add-ons stop being shown with it
+  async deleteAddonSet(id) {
+    console.log('🔧 deleteAddonSet called for id:', id);
+
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('UPDATE addon_sets SET active = FALSE WHERE id = $1', [id]);
+      console.log('✅ Addon set deleted in PostgreSQL:', id);
+      return { id, changes: result.rowCount };
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare('UPDATE addon_sets SET active = FALSE WHERE id = ?');
+
+        stmt.run([id], function(err) {
+          if (err) {
+            console.error('❌ SQLite addon set deletion error:', err);
+            reject(err);
+          } else {
+            console.log('✅ Addon set deleted in SQLite:', id);
+            resolve({ id, changes: this.changes });
+          }
+        });
+
+        stmt.finalize();
+      });
+    }
+  }
+
+  // Add-on groups: named storefront sections add-ons can be placed in
+  async createAddonGroup(groupData) {
+    const values = [
+      groupData.shop || 'default',
+      groupData.name,
+      groupData.description || null,
+      groupData.position || 0,
+      !!groupData.collapsible,
+      !!groupData.collapsed
+    ];
+
+    if (this.type === 'postgres') {
+      const result = await this.pool.query(`
+        INSERT INTO addon_groups (shop, name, description, position, collapsible, collapsed) 
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, values);
+      console.log('✅ Addon group created in PostgreSQL:', result.rows[0].id);
+      return this.formatAddonGroup(result.rows[0]);
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare(`
+          INSERT INTO addon_groups (shop, name, description, position, collapsible, collapsed) 
+          VALUES (?, ?, ?, ?, ?, ?)
+        `);
+
+        stmt.run(values, function(err) {
+          if (err) {
+            console.error('❌ SQLite addon group creation error:', err);
+            reject(err);
+          } else {
+            console.log('✅ Addon group created in SQLite:', this.lastID);
+            resolve(this.lastID);
+          }
+        });
+
+        stmt.finalize();
+      }).then(id => this.getAddonGroup(id));
+    }
+  }
+
+  // Active groups for a shop, in the order the storefront shows them
+  async getAddonGroups(shop = 'default') {
+    if (this.type === 'postgres') {
+      const query = 'SELECT * FROM addon_groups WHERE shop = $1 AND active = TRUE ORDER BY position, id';
+      const result = await this.pool.query(query, [shop]);
+      return result.rows.map(row => this.formatAddonGroup(row));
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.all(
+          'SELECT * FROM addon_groups WHERE shop = ? AND active = TRUE ORDER BY position, id',
+          [shop],
+          (err, rows) => {
+            if (err) {
+              console.error('❌ SQLite addon group retrieval error:', err);
+              reject(err);
+            } else {
+              resolve(rows.map(row => this.formatAddonGroup(row)));
+            }
+          }
+        );
+      });
+    }
+  }
+
+  // Look up a single add-on group by ID, including inactive ones
+  async getAddonGroup(id) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT * FROM addon_groups WHERE id = $1', [id]);
+      return result.rows.length > 0 ? this.formatAddonGroup(result.rows[0]) : null;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.get('SELECT * FROM addon_groups WHERE id = ?', [id], (err, row) => {
+          if (err) {
+            console.error('❌ SQLite addon group lookup error:', err);
+            reject(err);
+          } else {
+            resolve(row ? this.formatAddonGroup(row) : null);
+          }
+        });
+      });
+    }
+  }
+
+  // Column names match on both backends, only SQLite booleans need converting
+  formatAddonGroup(row) {
+    return {
+      id: row.id,
+      shop: row.shop,
+      name: row.name,
+      description: row.description,
+      position: row.position,
+      collapsible: !!row.collapsible,
+      collapsed: !!row.collapsed,
+      active: !!row.active,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  async updateAddonGroup(id, updateData) {
+    const fields = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      values.push(['collapsible', 'collapsed', 'active'].includes(key) ? !!updateData[key] : updateData[key]);
+      fields.push(this.type === 'postgres' ? `${key} = $${values.length}` : `${key} = ?`);
+    });
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    if (this.type === 'postgres') {
+      await this.pool.query(`UPDATE addon_groups SET ${fields.join(', ')} WHERE id = $${values.length}`, values);
+      return this.getAddonGroup(id);
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare(`UPDATE addon_groups SET ${fields.join(', ')} WHERE id = ?`);
+
+        stmt.run(values, function(err) {
+          if (err) {
+            console.error('❌ SQLite addon group update error:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+
+        stmt.finalize();
+      }).then(() => this.getAddonGroup(id));
+    }
+  }
+
+  // Soft delete, the group's add-ons are shown ungrouped
+  async deleteAddonGroup(id) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('UPDATE addon_groups SET active = FALSE WHERE id = $1', [id]);
+      return { id, changes: result.rowCount };
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare('UPDATE addon_groups SET active = FALSE WHERE id = ?');
+
+        stmt.run([id], function(err) {
+          if (err) {
+            console.error('❌ SQLite addon group deletion error:', err);
+            reject(err);
+          } else {
+            resolve({ id, changes: this.changes });
+          }
+        });
+
+        stmt.finalize();
+      });
+    }
+  }
+
+  // Storefront domains: a domain belongs to one shop, saving it again moves it
+  async saveShopDomain({ shop, domain, source = 'manual' }) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query(`
+        INSERT INTO shop_domains (shop, domain, source) 
+        VALUES ($1, $2, $3)
+        ON CONFLICT (domain) DO UPDATE SET
+        shop = EXCLUDED.shop,
+        source = EXCLUDED.source
+        RETURNING *
+      `, [shop, domain, source]);
+      console.log('🌐 Domain saved in PostgreSQL:', domain, '→', shop);
+      return result.rows[0];
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare(`
+          INSERT INTO shop_domains (shop, domain, source) 
+          VALUES (?, ?, ?)
+          ON CONFLICT (domain) DO UPDATE SET
+          shop = excluded.shop,
+          source = excluded.source
+        `);
+
+        stmt.run([shop, domain, source], (err) => {
+          if (err) {
+            console.error('❌ SQLite domain save error:', err);
+            reject(err);
+          } else {
+            console.log('🌐 Domain saved in SQLite:', domain, '→', shop);
+            resolve();
+          }
+        });
+
+        stmt.finalize();
+      }).then(() => this.getDomainRecord(domain));
+    }
+  }
+
+  async getDomainRecord(domain) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT * FROM shop_domains WHERE domain = $1', [domain]);
+      return result.rows[0] || null;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.get('SELECT * FROM shop_domains WHERE domain = ?', [domain], (err, row) => {
+          if (err) {
+            console.error('❌ SQLite domain lookup error:', err);
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        });
+      });
+    }
+  }
+
+  // The shop a storefront domain belongs to
+  async getShopForDomain(domain) {
+    const record = await this.getDomainRecord(domain);
+    return record ? record.shop : null;
+  }
+
+  async getShopDomain(id) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT * FROM shop_domains WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.get('SELECT * FROM shop_domains WHERE id = ?', [id], (err, row) => {
+          if (err) {
+            console.error('❌ SQLite domain lookup error:', err);
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        });
+      });
+    }
+  }
+
+  async getShopDomains(shop) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT * FROM shop_domains WHERE shop = $1 ORDER BY domain', [shop]);
+      return result.rows;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.all('SELECT * FROM shop_domains WHERE shop = ? ORDER BY domain', [shop], (err, rows) => {
+          if (err) {
+            console.error('❌ SQLite domain retrieval error:', err);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        });
+      });
+    }
+  }
+
+  async deleteShopDomain(id) {
+    const changes = await this.deleteWhere('shop_domains', { id });
+    return { id, changes };
+  }
+
+  // All of a shop's domains, or only those from one source
+  async deleteShopDomains(shop, source = null) {
+    const deleted = await this.deleteWhere('shop_domains', source ? { shop, source } : { shop });
+    console.log('🗑️ Deleted', deleted, 'domains for:', shop);
+    return deleted;
+  }
+
+  // Storefront settings, null until the shop saves some
+  async getShopSettings(shop) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT settings FROM shop_settings WHERE shop = $1', [shop]);
+      return result.rows.length > 0 ? result.rows[0].settings : null;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.get('SELECT settings FROM shop_settings WHERE shop = ?', [shop], (err, row) => {
+          if (err) {
+            console.error('❌ SQLite settings lookup error:', err);
+            reject(err);
+          } else {
+            resolve(row && row.settings ? JSON.parse(row.settings) : null);
+          }
+        });
+      });
+    }
+  }
+
+  // Replaces the shop's settings
+  async saveShopSettings(shop, settings) {
+    const values = [shop, JSON.stringify(settings)];
+
+    if (this.type === 'postgres') {
+      await this.pool.query(`
+        INSERT INTO shop_settings (shop, settings) 
+        VALUES ($1, $2)
+        ON CONFLICT (shop) DO UPDATE SET
+        settings = EXCLUDED.settings,
+        updated_at = CURRENT_TIMESTAMP
+      `, values);
+    } else {
+      await new Promise((resolve, reject) => {
+        const stmt = this.db.prepare(`
+          INSERT INTO shop_settings (shop, settings) 
+          VALUES (?, ?)
+          ON CONFLICT (shop) DO UPDATE SET
+          settings = excluded.settings,
+          updated_at = CURRENT_TIMESTAMP
+        `);
+
+        stmt.run(values, (err) => {
+          if (err) {
+            console.error('❌ SQLite settings save error:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+
+        stmt.finalize();
+      });
+    }
+    console.log('⚙️ Settings saved for:', shop);
+    return this.getShopSettings(shop);
+  }
+
+  async deleteShopSettings(shop) {
+    return this.deleteWhere('shop_settings', { shop });
+  }
+
+  // Order reconciliation
+  // Returns null when the order was already recorded, webhooks can be delivered more than once
+  async recordAddonMismatch(mismatch) {
+    console.log('🔧 recordAddonMismatch called for order:', mismatch.orderId, 'shop:', mismatch.shop);
+
+    if (this.type === 'postgres') {
+      const query = `
+        INSERT INTO addon_mismatches (shop, order_id, order_name, expected_total, charged_total, lines) 
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (shop, order_id) DO NOTHING
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        mismatch.shop,
+        String(mismatch.orderId),
+        mismatch.orderName || null,
+        mismatch.expectedTotal,
+        mismatch.chargedTotal,
+        JSON.stringify(mismatch.lines || [])
+      ]);
+
+      return result.rows.length > 0 ? this.formatPostgresAddonMismatch(result.rows[0]) : null;
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare(`
+          INSERT INTO addon_mismatches (shop, orderId, orderName, expectedTotal, chargedTotal, lines) 
+          VALUES (?, ?, ?, ?, ?, ?)
+          ON CONFLICT (shop, orderId) DO NOTHING
+        `);
+
+        stmt.run([
+          mismatch.shop,
+          String(mismatch.orderId),
+          mismatch.orderName || null,
+          mismatch.expectedTotal,
+          mismatch.chargedTotal,
+          JSON.stringify(mismatch.lines || [])
+        ], function(err) {
+          if (err) {
+            console.error('❌ SQLite addon mismatch creation error:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0 ? this.lastID : null);
+          }
+        });
+
+        stmt.finalize();
+      }).then(id => id ? this.getAddonMismatch(id) : null);
+    }
+  }
+
+  // Newest first, unresolved ones only unless includeResolved is set
+  async getAddonMismatches(shop, includeResolved = false) {
+    const filter = includeResolved ? '' : ' AND resolved = FALSE';
+
+    if (this.type === 'postgres') {
+      const query = `SELECT * FROM addon_mismatches WHERE shop = $1${filter} ORDER BY created_at DESC, id DESC`;
+      const result = await this.pool.query(query, [shop]);
+      return result.rows.map(row => this.formatPostgresAddonMismatch(row));
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.all(
+          `SELECT * FROM addon_mismatches WHERE shop = ?${filter} ORDER BY created_at DESC, id DESC`,
+          [shop],
+          (err, rows) => {
+            if (err) {
+              console.error('❌ SQLite addon mismatch retrieval error:', err);
+              reject(err);
+            } else {
+              resolve(rows.map(row => this.formatSQLiteAddonMismatch(row)));
+            }
+          }
+        );
+      });
+    }
+  }
+
+  async getAddonMismatch(id) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT * FROM addon_mismatches WHERE id = $1', [id]);
+      return result.rows.length > 0 ? this.formatPostgresAddonMismatch(result.rows[0]) : null;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.get('SELECT * FROM addon_mismatches WHERE id = ?', [id], (err, row) => {
+          if (err) {
+            console.error('❌ SQLite addon mismatch lookup error:', err);
+            reject(err);
+          } else {
+            resolve(row ? this.formatSQLiteAddonMismatch(row) : null);
+          }
+        });
+      });
+    }
+  }
+
+  async setAddonMismatchResolved(id, resolved) {
+    if (this.type === 'postgres') {
+      await this.pool.query('UPDATE addon_mismatches SET resolved = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [resolved, id]);
+      return { id, resolved };
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare('UPDATE addon_mismatches SET resolved = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+
+        stmt.run([resolved, id], function(err) {
+          if (err) {
+            console.error('❌ SQLite addon mismatch update error:', err);
+            reject(err);
+          } else {
+            resolve({ id, resolved });
+          }
+        });
+
+        stmt.finalize();
+      });
+    }
+  }
+
+  formatSQLiteAddonMismatch(row) {
+    return { ...row, resolved: !!row.resolved, lines: row.lines ? JSON.parse(row.lines) : [] };
+  }
+
+  formatPostgresAddonMismatch(row) {
+    return {
+      id: row.id,
+      shop: row.shop,
+      orderId: row.order_id,
+      orderName: row.order_name,
+      expectedTotal: parseFloat(row.expected_total),
+      chargedTotal: parseFloat(row.charged_total),
+      lines: row.lines ? (typeof row.lines === 'string' ? JSON.parse(row.lines) : row.lines) : [],
+      resolved: row.resolved,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  // Webhook deliveries
+  async logWebhookDelivery(delivery) {
+    const values = [
+      delivery.shop || null,
+      delivery.topic || null,
+      delivery.webhookId || null,
+      delivery.resourceId != null ? String(delivery.resourceId) : null,
+      JSON.stringify(delivery.payload || {})
+    ];
+
+    if (this.type === 'postgres') {
+      const result = await this.pool.query(`
+        INSERT INTO webhook_deliveries (shop, topic, webhook_id, resource_id, payload) 
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, values);
+      return { id: result.rows[0].id, ...delivery };
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare(`
+          INSERT INTO webhook_deliveries (shop, topic, webhookId, resourceId, payload) 
+          VALUES (?, ?, ?, ?, ?)
+        `);
+
+        stmt.run(values, function(err) {
+          if (err) {
+            console.error('❌ SQLite webhook delivery logging error:', err);
+            reject(err);
+          } else {
+            resolve({ id: this.lastID, ...delivery });
+          }
+        });
+
+        stmt.finalize();
+      });
+    }
+  }
+
+  // updateData: { status, error, attempts }
+  async updateWebhookDelivery(id, updateData) {
+    const fields = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      values.push(updateData[key]);
+      fields.push(this.type === 'postgres' ? `${key} = $${values.length}` : `${key} = ?`);
+    });
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+
+    if (this.type === 'postgres') {
+      await this.pool.query(`UPDATE webhook_deliveries SET ${fields.join(', ')} WHERE id = $${values.length}`, values);
+      return { id, ...updateData };
+    } else {
+      return new Promise((resolve, reject) => {
+        const stmt = this.db.prepare(`UPDATE webhook_deliveries SET ${fields.join(', ')} WHERE id = ?`);
+
+        stmt.run(values, function(err) {
+          if (err) {
+            console.error('❌ SQLite webhook delivery update error:', err);
+            reject(err);
+          } else {
+            resolve({ id, ...updateData });
+          }
+        });
+
+        stmt.finalize();
+      });
+    }
+  }
+
+  // Newest first
+  async getWebhookDeliveries(shop, limit = 50) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query(
+        'SELECT * FROM webhook_deliveries WHERE shop = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+        [shop, limit]
+      );
+      return result.rows.map(row => this.formatPostgresWebhookDelivery(row));
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.all(
+          'SELECT * FROM webhook_deliveries WHERE shop = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+          [shop, limit],
+          (err, rows) => {
+            if (err) {
+              console.error('❌ SQLite webhook delivery retrieval error:', err);
+              reject(err);
+            } else {
+              resolve(rows.map(row => ({ ...row, payload: row.payload ? JSON.parse(row.payload) : null })));
+            }
+          }
+        );
+      });
+    }
+  }
+
+  async getWebhookDelivery(id) {
+    if (this.type === 'postgres') {
+      const result = await this.pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+      return result.rows.length > 0 ? this.formatPostgresWebhookDelivery(result.rows[0]) : null;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id], (err, row) => {
+          if (err) {
+            console.error('❌ SQLite webhook delivery lookup error:', err);
+            reject(err);
+          } else {
+            resolve(row ? { ...row, payload: row.payload ? JSON.parse(row.payload) : null } : null);
+          }
+        });
+      });
+    }
+  }
+
+  formatPostgresWebhookDelivery(row) {
+    return {
+      id: row.id,
+      shop: row.shop,
+      topic: row.topic,
+      webhookId: row.webhook_id,
+      resourceId: row.resource_id,
+      payload: row.payload ? (typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload) : null,
+      status: row.status,
+      error: row.error,
+      attempts: row.attempts,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  // Uninstall and GDPR clean-up
+  // Hard DELETE on equality conditions given as camelCase columns, returns the number of rows removed
+  async deleteWhere(table, conditions) {
+    const columns = Object.keys(conditions);
+    const values = Object.values(conditions);
+
+    if (this.type === 'postgres') {
+      const where = columns.map((column, index) => `${POSTGRES_COLUMN_NAMES[column] || column} = $${index + 1}`).join(' AND ');
+      const result = await this.pool.query(`DELETE FROM ${table} WHERE ${where}`, values);
+      return result.rowCount;
+    } else {
+      return new Promise((resolve, reject) => {
+        const where = columns.map(column => `${column} = ?`).join(' AND ');
+        const stmt = this.db.prepare(`DELETE FROM ${table} WHERE ${where}`);
+
+        stmt.run(values, function(err) {
+          if (err) {
+            console.error(`❌ SQLite ${table} deletion error:`, err);
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        });
+
+        stmt.finalize();
+      });
+    }
+  }
+
+  async deleteSessions(shop) {
+    const deleted = await this.deleteWhere('sessions', { shop });
+    console.log('🗑️ Deleted', deleted, 'sessions for:', shop);
+    return deleted;
+  }
+
+  // Add-ons, their history, add-on sets and groups, including soft-deleted ones
+  async deleteShopAddons(shop) {
+    const addons = await this.deleteWhere('addons', { shop });
+    const sets = await this.deleteWhere('addon_sets', { shop });
+    const groups = await this.deleteWhere('addon_groups', { shop });
+    const history = await this.deleteWhere('addon_history', { shop });
+    console.log('🗑️ Deleted', addons, 'add-ons,', sets, 'add-on sets,', groups, 'groups and', history, 'history entries for:', shop);
+    return { addons, sets, groups, history };
+  }
+
+  // Everything else kept about the shop's orders and webhooks
+  async deleteShopHistory(shop) {
+    const mismatches = await this.deleteWhere('addon_mismatches', { shop });
+    const deliveries = await this.deleteWhere('webhook_deliveries', { shop });
+    console.log('🗑️ Deleted', mismatches, 'mismatches and', deliveries, 'webhook deliveries for:', shop);
+    return { mismatches, deliveries };
+  }
+
+  // Mismatch records and order webhook payloads for the given orders
+  async deleteOrderRecords(shop, orderIds) {
+    let mismatches = 0;
+    let deliveries = 0;
+    for (const orderId of orderIds) {
+      mismatches += await this.deleteWhere('addon_mismatches', { shop, orderId: String(orderId) });
+      deliveries += await this.deleteWhere('webhook_deliveries', { shop, topic: 'orders/create', resourceId: String(orderId) });
+    }
+    console.log('🗑️ Deleted', mismatches, 'mismatches and', deliveries, 'webhook deliveries for', orderIds.length, 'orders of:', shop);
+    return { mismatches, deliveries };
+  }
 }
 
 module.exports = Database;
\ No newline at end of file
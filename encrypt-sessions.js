@@ -0,0 +1,39 @@
+// One-off: encrypt access tokens that are still stored in plaintext, and
+// re-encrypt those under a rotated-out key with the current one.
+// Run with `npm run encrypt-sessions` once TOKEN_ENCRYPTION_KEYS is set.
+
+require('dotenv').config();
+const Database = require('./database-debug');
+const { hasEncryptionKey, encryptToken, decryptToken, needsReencryption } = require('./token-encryption');
+
+async function encryptSessions() {
+  if (!hasEncryptionKey()) {
+    console.error('❌ Set TOKEN_ENCRYPTION_KEYS before encrypting sessions');
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = new Database();
+  try {
+    await db.ready;
+    const sessions = await db.getStoredSessionTokens();
+    let updated = 0;
+
+    for (const session of sessions) {
+      if (!needsReencryption(session.accessToken)) continue;
+
+      await db.updateStoredSessionToken(session.id, encryptToken(decryptToken(session.accessToken)));
+      updated++;
+      console.log('🔐 Encrypted access token for:', session.shop);
+    }
+
+    console.log(`✅ ${updated} of ${sessions.length} sessions updated`);
+  } catch (error) {
+    console.error('❌ Error encrypting sessions:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+encryptSessions();
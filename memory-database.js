@@ -1,85 +1,513 @@
-// In-memory database for Railway compatibility
+// In-memory database, implements the interface in storage-adapter.js.
+// Nothing survives a restart - use it for local development and tests.
+const { encryptToken, decryptToken } = require('./token-encryption');
+
+// Add-on fields held as JSON, copied in and out so callers can't change stored records
+const JSON_ADDON_FIELDS = ['options', 'conditions', 'variantIds', 'variantPrices'];
+const JSON_SET_FIELDS = ['productIds', 'collectionIds', 'tags'];
+
+const copy = value => value == null ? value : JSON.parse(JSON.stringify(value));
+const now = () => new Date().toISOString();
+const optionalNumber = value => value === null || value === undefined ? null : parseFloat(value);
+
 class MemoryDatabase {
   constructor() {
+    this.type = 'memory';
     this.sessions = new Map();
+    this.oauthStates = new Map();
     this.addons = new Map();
-    this.addonCounter = 1;
-    console.log('Using in-memory database for Railway compatibility');
+    this.addonSets = new Map();
+    this.mismatches = new Map();
+    this.webhookDeliveries = new Map();
+    this.addonHistory = new Map();
+    this.addonGroups = new Map();
+    this.shopDomains = new Map();
+    this.shopSettings = new Map();
+    this.counters = { addons: 0, addonSets: 0, mismatches: 0, webhookDeliveries: 0, sessions: 0, addonHistory: 0, addonGroups: 0, shopDomains: 0 };
+    this.ready = Promise.resolve();
+    console.log('💾 Using in-memory database');
+  }
+
+  nextId(table) {
+    return ++this.counters[table];
+  }
+
+  async close() {}
+
+  // Run work(store) as one transaction: when it throws, every table is put back
+  // as it was before. Writes other requests make meanwhile are undone with it
+  async transaction(work) {
+    const tables = Object.keys(this).filter(key => this[key] instanceof Map);
+    const snapshot = structuredClone({ counters: this.counters, ...Object.fromEntries(tables.map(key => [key, this[key]])) });
+    try {
+      return await work(this);
+    } catch (error) {
+      Object.assign(this, snapshot);
+      throw error;
+    }
   }
 
-  // Session management
+  // Session management, one per session id
   async storeSession(session) {
-    console.log('Storing session for shop:', session.shop);
-    this.sessions.set(session.shop, session);
-    return Promise.resolve(session);
+    const existing = this.sessions.get(session.id);
+    this.sessions.set(session.id, {
+      id: session.id,
+      shop: session.shop,
+      accessToken: encryptToken(session.accessToken),
+      scope: session.scope ?? null,
+      expires: session.expires ?? null,
+      isOnline: !!session.isOnline,
+      state: session.state || null,
+      // Keeps "newest session for a shop" well defined without clock ties
+      sequence: existing ? existing.sequence : this.nextId('sessions')
+    });
+    console.log('📝 Session stored in memory for:', session.shop);
+    return session;
   }
 
   async getSession(shop) {
-    console.log('Getting session for shop:', shop);
-    const session = this.sessions.get(shop);
-    console.log('Session found:', !!session);
-    return Promise.resolve(session || null);
+    const sessions = [...this.sessions.values()]
+      .filter(session => session.shop === shop)
+      .sort((a, b) => b.sequence - a.sequence);
+    if (sessions.length === 0) return null;
+
+    const { sequence, ...session } = sessions[0];
+    return { ...session, accessToken: decryptToken(session.accessToken) };
+  }
+
+  async deleteSessions(shop) {
+    return this.deleteMatching(this.sessions, session => session.shop === shop);
+  }
+
+  async getStoredSessionTokens() {
+    return [...this.sessions.values()].map(({ id, shop, accessToken }) => ({ id, shop, accessToken }));
   }
 
-  // Addon management
+  async updateStoredSessionToken(id, storedToken) {
+    const session = this.sessions.get(id);
+    if (session) session.accessToken = storedToken;
+  }
+
+  // OAuth install nonces
+  async storeOAuthState(state, shop, expires) {
+    this.deleteMatching(this.oauthStates, entry => entry.expires < Date.now());
+    this.oauthStates.set(state, { state, shop, expires });
+  }
+
+  async consumeOAuthState(state) {
+    const entry = this.oauthStates.get(state);
+    this.oauthStates.delete(state);
+    return entry ? { ...entry } : null;
+  }
+
+  // Add-on management
   async createAddon(addonData) {
-    const addon = {
-      id: this.addonCounter++,
-      ...addonData,
-      created_at: new Date().toISOString()
-    };
-    
-    const key = `${addonData.productId}-${addonData.shop}`;
-    if (!this.addons.has(key)) {
-      this.addons.set(key, []);
+    if (!(addonData.productId || addonData.setId) || !addonData.name || addonData.price === undefined) {
+      throw new Error('Missing required fields for addon creation');
     }
-    this.addons.get(key).push(addon);
-    
-    console.log('Created addon:', addon.id, 'for product:', addonData.productId);
-    return Promise.resolve(addon);
+
+    const id = this.nextId('addons');
+    const timestamp = now();
+    this.addons.set(id, {
+      id,
+      productId: addonData.productId ? String(addonData.productId) : null,
+      setId: addonData.setId ? parseInt(addonData.setId) : null,
+      shop: addonData.shop || 'default',
+      name: addonData.name,
+      price: parseFloat(addonData.price),
+      type: addonData.type,
+      required: !!addonData.required,
+      options: addonData.options ? copy(addonData.options) : null,
+      placeholder: addonData.placeholder || null,
+      minLength: addonData.minLength ?? null,
+      maxLength: addonData.maxLength ?? null,
+      pattern: addonData.pattern || null,
+      priceMode: addonData.priceMode || 'fixed',
+      baseFee: optionalNumber(addonData.baseFee),
+      priceCap: optionalNumber(addonData.priceCap),
+      conditions: addonData.conditions ? copy(addonData.conditions) : null,
+      variantIds: addonData.variantIds ? copy(addonData.variantIds) : null,
+      variantPrices: addonData.variantPrices ? copy(addonData.variantPrices) : null,
+      chargePer: addonData.chargePer || 'unit',
+      position: addonData.position || 0,
+      groupId: addonData.groupId ? parseInt(addonData.groupId) : null,
+      helpText: addonData.helpText || null,
+      active: true,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+
+    console.log('✅ Addon created in memory:', id);
+    return this.getAddon(id);
+  }
+
+  async getAddon(id) {
+    const addon = this.addons.get(parseInt(id));
+    return addon ? copy(addon) : null;
+  }
+
+  activeAddons(shop, filter) {
+    return [...this.addons.values()]
+      .filter(addon => addon.shop === shop && addon.active && filter(addon))
+      .sort((a, b) => a.id - b.id)
+      .map(copy);
   }
 
   async getAddons(productId, shop = 'default') {
-    const key = `${productId}-${shop}`;
-    const addons = this.addons.get(key) || [];
-    console.log('Getting addons for product:', productId, 'shop:', shop, 'found:', addons.length);
-    return Promise.resolve(addons.filter(addon => addon.active !== false));
+    if (!productId) return [];
+    return this.activeAddons(shop, addon => addon.productId === String(productId))
+      .sort((a, b) => a.position - b.position || a.id - b.id);
+  }
+
+  // Add-ons belonging to the given sets, in set order then position order
+  async getAddonsForSets(setIds, shop = 'default') {
+    if (!setIds || setIds.length === 0) return [];
+
+    const order = new Map(setIds.map((setId, index) => [String(setId), index]));
+    return this.activeAddons(shop, addon => addon.setId != null && order.has(String(addon.setId)))
+      .sort((a, b) => order.get(String(a.setId)) - order.get(String(b.setId)) || a.position - b.position || a.id - b.id);
+  }
+
+  async getAllAddons(shop = 'default') {
+    return this.activeAddons(shop, () => true);
   }
 
   async updateAddon(id, updateData) {
-    // Find and update addon across all products
-    for (let [key, addons] of this.addons) {
-      const addonIndex = addons.findIndex(addon => addon.id == id);
-      if (addonIndex !== -1) {
-        addons[addonIndex] = { ...addons[addonIndex], ...updateData };
-        console.log('Updated addon:', id);
-        return Promise.resolve(addons[addonIndex]);
+    const addon = this.addons.get(parseInt(id));
+    if (!addon) return null;
+
+    Object.keys(updateData).forEach(key => {
+      if (JSON_ADDON_FIELDS.includes(key)) {
+        addon[key] = updateData[key] === null ? null : copy(updateData[key]);
+      } else if (key === 'required') {
+        addon[key] = Boolean(updateData[key]);
+      } else if (key === 'price') {
+        addon[key] = parseFloat(updateData[key]);
+      } else {
+        addon[key] = updateData[key];
       }
-    }
-    throw new Error('Addon not found');
+    });
+    addon.updated_at = now();
+
+    console.log('✅ Addon updated in memory:', id);
+    return this.getAddon(id);
   }
 
   async deleteAddon(id) {
-    // Find and mark as inactive
-    for (let [key, addons] of this.addons) {
-      const addonIndex = addons.findIndex(addon => addon.id == id);
-      if (addonIndex !== -1) {
-        addons[addonIndex].active = false;
-        console.log('Deleted addon:', id);
-        return Promise.resolve({ id, changes: 1 });
-      }
+    const addon = this.addons.get(parseInt(id));
+    if (addon) addon.active = false;
+    return { id, changes: addon ? 1 : 0 };
+  }
+
+  // Add-on history
+  async recordAddonHistory(entry) {
+    const id = this.nextId('addonHistory');
+    this.addonHistory.set(id, {
+      id,
+      addonId: parseInt(entry.addonId),
+      shop: entry.shop,
+      action: entry.action,
+      actor: entry.actor || null,
+      before: entry.before ? copy(entry.before) : null,
+      after: entry.after ? copy(entry.after) : null,
+      created_at: now()
+    });
+    return this.getAddonHistoryEntry(id);
+  }
+
+  async getAddonHistory(addonId, limit = 50) {
+    return [...this.addonHistory.values()]
+      .filter(entry => entry.addonId === parseInt(addonId))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(copy);
+  }
+
+  async getShopAddonHistory(shop, limit = 50) {
+    return [...this.addonHistory.values()]
+      .filter(entry => entry.shop === shop)
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(copy);
+  }
+
+  async getAddonHistoryEntry(id) {
+    const entry = this.addonHistory.get(parseInt(id));
+    return entry ? copy(entry) : null;
+  }
+
+  // Add-on set management
+  async createAddonSet(setData) {
+    const id = this.nextId('addonSets');
+    const timestamp = now();
+    this.addonSets.set(id, {
+      id,
+      shop: setData.shop || 'default',
+      name: setData.name,
+      productIds: copy(setData.productIds || []),
+      collectionIds: copy(setData.collectionIds || []),
+      tags: copy(setData.tags || []),
+      position: setData.position || 0,
+      active: true,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+
+    console.log('✅ Addon set created in memory:', id);
+    return this.getAddonSet(id);
+  }
+
+  async getAddonSets(shop = 'default') {
+    return [...this.addonSets.values()]
+      .filter(set => set.shop === shop && set.active)
+      .sort((a, b) => a.position - b.position || a.id - b.id)
+      .map(copy);
+  }
+
+  async getAddonSet(id) {
+    const set = this.addonSets.get(parseInt(id));
+    return set ? copy(set) : null;
+  }
+
+  async updateAddonSet(id, updateData) {
+    const set = this.addonSets.get(parseInt(id));
+    if (!set) return null;
+
+    Object.keys(updateData).forEach(key => {
+      set[key] = JSON_SET_FIELDS.includes(key) ? copy(updateData[key] || []) : updateData[key];
+    });
+    set.updated_at = now();
+    return this.getAddonSet(id);
+  }
+
+  async deleteAddonSet(id) {
+    const set = this.addonSets.get(parseInt(id));
+    if (set) set.active = false;
+    return { id, changes: set ? 1 : 0 };
+  }
+
+  // Add-on groups
+  async createAddonGroup(groupData) {
+    const id = this.nextId('addonGroups');
+    const timestamp = now();
+    this.addonGroups.set(id, {
+      id,
+      shop: groupData.shop || 'default',
+      name: groupData.name,
+      description: groupData.description || null,
+      position: groupData.position || 0,
+      collapsible: !!groupData.collapsible,
+      collapsed: !!groupData.collapsed,
+      active: true,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    return this.getAddonGroup(id);
+  }
+
+  async getAddonGroups(shop = 'default') {
+    return [...this.addonGroups.values()]
+      .filter(group => group.shop === shop && group.active)
+      .sort((a, b) => a.position - b.position || a.id - b.id)
+      .map(copy);
+  }
+
+  async getAddonGroup(id) {
+    const group = this.addonGroups.get(parseInt(id));
+    return group ? copy(group) : null;
+  }
+
+  async updateAddonGroup(id, updateData) {
+    const group = this.addonGroups.get(parseInt(id));
+    if (!group) return null;
+
+    Object.keys(updateData).forEach(key => {
+      group[key] = ['collapsible', 'collapsed', 'active'].includes(key) ? !!updateData[key] : updateData[key];
+    });
+    group.updated_at = now();
+    return this.getAddonGroup(id);
+  }
+
+  async deleteAddonGroup(id) {
+    const group = this.addonGroups.get(parseInt(id));
+    if (group) group.active = false;
+    return { id, changes: group ? 1 : 0 };
+  }
+
+  // Storefront domains, keyed by id with one record per domain
+  async saveShopDomain({ shop, domain, source = 'manual' }) {
+    const existing = [...this.shopDomains.values()].find(record => record.domain === domain);
+    if (existing) {
+      Object.assign(existing, { shop, source });
+      return copy(existing);
     }
-    throw new Error('Addon not found');
+
+    const id = this.nextId('shopDomains');
+    this.shopDomains.set(id, { id, shop, domain, source, created_at: now() });
+    return this.getShopDomain(id);
   }
 
-  async getAllAddons(shop = 'default') {
-    const allAddons = [];
-    for (let [key, addons] of this.addons) {
-      if (key.endsWith(`-${shop}`)) {
-        allAddons.push(...addons.filter(addon => addon.active !== false));
+  async getShopForDomain(domain) {
+    const record = [...this.shopDomains.values()].find(record => record.domain === domain);
+    return record ? record.shop : null;
+  }
+
+  async getShopDomain(id) {
+    const record = this.shopDomains.get(parseInt(id));
+    return record ? copy(record) : null;
+  }
+
+  async getShopDomains(shop) {
+    return [...this.shopDomains.values()]
+      .filter(record => record.shop === shop)
+      .sort((a, b) => a.domain.localeCompare(b.domain))
+      .map(copy);
+  }
+
+  async deleteShopDomain(id) {
+    const changes = this.shopDomains.delete(parseInt(id)) ? 1 : 0;
+    return { id, changes };
+  }
+
+  async deleteShopDomains(shop, source = null) {
+    return this.deleteMatching(this.shopDomains, record =>
+      record.shop === shop && (!source || record.source === source));
+  }
+
+  // Storefront settings, keyed by shop
+  async getShopSettings(shop) {
+    return this.shopSettings.has(shop) ? copy(this.shopSettings.get(shop)) : null;
+  }
+
+  async saveShopSettings(shop, settings) {
+    this.shopSettings.set(shop, copy(settings));
+    return this.getShopSettings(shop);
+  }
+
+  async deleteShopSettings(shop) {
+    return this.shopSettings.delete(shop) ? 1 : 0;
+  }
+
+  // Order reconciliation
+  async recordAddonMismatch(mismatch) {
+    const orderId = String(mismatch.orderId);
+    const recorded = [...this.mismatches.values()]
+      .some(existing => existing.shop === mismatch.shop && existing.orderId === orderId);
+    if (recorded) return null;
+
+    const id = this.nextId('mismatches');
+    const timestamp = now();
+    this.mismatches.set(id, {
+      id,
+      shop: mismatch.shop,
+      orderId,
+      orderName: mismatch.orderName || null,
+      expectedTotal: parseFloat(mismatch.expectedTotal),
+      chargedTotal: parseFloat(mismatch.chargedTotal),
+      lines: copy(mismatch.lines || []),
+      resolved: false,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    return this.getAddonMismatch(id);
+  }
+
+  async getAddonMismatches(shop, includeResolved = false) {
+    return [...this.mismatches.values()]
+      .filter(mismatch => mismatch.shop === shop && (includeResolved || !mismatch.resolved))
+      .sort((a, b) => b.id - a.id)
+      .map(copy);
+  }
+
+  async getAddonMismatch(id) {
+    const mismatch = this.mismatches.get(parseInt(id));
+    return mismatch ? copy(mismatch) : null;
+  }
+
+  async setAddonMismatchResolved(id, resolved) {
+    const mismatch = this.mismatches.get(parseInt(id));
+    if (mismatch) {
+      mismatch.resolved = !!resolved;
+      mismatch.updated_at = now();
+    }
+    return { id, resolved };
+  }
+
+  // Webhook deliveries
+  async logWebhookDelivery(delivery) {
+    const id = this.nextId('webhookDeliveries');
+    const timestamp = now();
+    this.webhookDeliveries.set(id, {
+      id,
+      shop: delivery.shop || null,
+      topic: delivery.topic || null,
+      webhookId: delivery.webhookId || null,
+      resourceId: delivery.resourceId != null ? String(delivery.resourceId) : null,
+      payload: copy(delivery.payload || {}),
+      status: 'received',
+      error: null,
+      attempts: 1,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    return { id, ...delivery };
+  }
+
+  async updateWebhookDelivery(id, updateData) {
+    const delivery = this.webhookDeliveries.get(parseInt(id));
+    if (delivery) {
+      Object.assign(delivery, updateData, { updated_at: now() });
+    }
+    return { id, ...updateData };
+  }
+
+  async getWebhookDeliveries(shop, limit = 50) {
+    return [...this.webhookDeliveries.values()]
+      .filter(delivery => delivery.shop === shop)
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(copy);
+  }
+
+  async getWebhookDelivery(id) {
+    const delivery = this.webhookDeliveries.get(parseInt(id));
+    return delivery ? copy(delivery) : null;
+  }
+
+  // Uninstall and GDPR clean-up
+  // Removes the entries matching predicate, returns how many there were
+  deleteMatching(map, predicate) {
+    let deleted = 0;
+    for (const [key, value] of map) {
+      if (predicate(value)) {
+        map.delete(key);
+        deleted++;
       }
     }
-    return Promise.resolve(allAddons);
+    return deleted;
+  }
+
+  async deleteShopAddons(shop) {
+    const addons = this.deleteMatching(this.addons, addon => addon.shop === shop);
+    const sets = this.deleteMatching(this.addonSets, set => set.shop === shop);
+    const groups = this.deleteMatching(this.addonGroups, group => group.shop === shop);
+    const history = this.deleteMatching(this.addonHistory, entry => entry.shop === shop);
+    return { addons, sets, groups, history };
+  }
+
+  async deleteShopHistory(shop) {
+    const mismatches = this.deleteMatching(this.mismatches, mismatch => mismatch.shop === shop);
+    const deliveries = this.deleteMatching(this.webhookDeliveries, delivery => delivery.shop === shop);
+    return { mismatches, deliveries };
+  }
+
+  async deleteOrderRecords(shop, orderIds) {
+    const ids = orderIds.map(String);
+    const mismatches = this.deleteMatching(this.mismatches, mismatch =>
+      mismatch.shop === shop && ids.includes(mismatch.orderId));
+    const deliveries = this.deleteMatching(this.webhookDeliveries, delivery =>
+      delivery.shop === shop && delivery.topic === 'orders/create' && ids.includes(delivery.resourceId));
+    return { mismatches, deliveries };
   }
 }
 
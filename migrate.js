@@ -0,0 +1,41 @@
+// Schema migrations from the command line
+//   npm run migrate               apply pending migrations
+//   npm run migrate -- down [n]   roll back the newest n migrations (default 1)
+//   npm run migrate -- status     list migrations and whether they have run
+
+require('dotenv').config();
+const Database = require('./database-debug');
+const { migrateUp, migrateDown, getMigrationStatus } = require('./migration-runner');
+
+async function main([command = 'up', steps = '1']) {
+  const db = new Database({ migrate: false });
+  try {
+    await db.ready;
+
+    if (command === 'up') {
+      const applied = await migrateUp(db);
+      if (applied.length === 0) console.log('✅ No pending migrations');
+    } else if (command === 'down') {
+      const count = parseInt(steps, 10);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`Steps must be a positive number, got "${steps}"`);
+      }
+      const rolledBack = await migrateDown(db, count);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+    } else if (command === 'status') {
+      const migrations = await getMigrationStatus(db);
+      migrations.forEach(migration => {
+        console.log(`${migration.applied ? '✅' : '⏳'} ${migration.label}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}" - use up, down [steps] or status`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,254 @@
+// Versioned schema migrations for SQLite and PostgreSQL
+// Migrations live in migrations/ as NNN-description.js files exporting
+// async up(m) and down(m). Applied versions are recorded in schema_migrations
+// and each migration runs in its own transaction.
+
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+// Held for the length of each migration transaction so app instances starting
+// together on PostgreSQL don't apply the same migration twice
+const POSTGRES_LOCK_ID = 4187301;
+
+// Column types migrations can use, as written for each backend
+const COLUMN_TYPES = {
+  id: { sqlite: 'INTEGER PRIMARY KEY AUTOINCREMENT', postgres: 'SERIAL PRIMARY KEY' },
+  text: { sqlite: 'TEXT', postgres: 'TEXT' },
+  integer: { sqlite: 'INTEGER', postgres: 'INTEGER' },
+  bigint: { sqlite: 'INTEGER', postgres: 'BIGINT' },
+  decimal: { sqlite: 'REAL', postgres: 'DECIMAL(10,2)' },
+  boolean: { sqlite: 'BOOLEAN', postgres: 'BOOLEAN' },
+  json: { sqlite: 'TEXT', postgres: 'JSONB' },
+  timestamp: { sqlite: 'DATETIME', postgres: 'TIMESTAMP' }
+};
+
+function describe(migration) {
+  return `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+}
+
+// Migration files in version order
+function loadMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Two migrations share version ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${describe(migration)} must export up and down`);
+    }
+  });
+
+  return migrations;
+}
+
+// Runs SQL on one connection: a pooled PostgreSQL client or the SQLite database
+function createExecutor(db, client) {
+  if (db.type === 'postgres') {
+    return async (sql, params = []) => {
+      let index = 0;
+      const result = await client.query(sql.replace(/\?/g, () => `$${++index}`), params);
+      return result.rows;
+    };
+  }
+
+  return (sql, params = []) => new Promise((resolve, reject) => {
+    db.db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+// Name a camelCase field is stored under - PostgreSQL columns are snake_case
+function columnName(type, name) {
+  return type === 'postgres' ? name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`) : name;
+}
+
+// "decimal NOT NULL" -> "REAL NOT NULL" / "DECIMAL(10,2) NOT NULL"
+function columnDefinition(type, definition) {
+  const [columnType, ...rest] = definition.trim().split(/\s+/);
+  const mapped = COLUMN_TYPES[columnType.toLowerCase()];
+  if (!mapped) {
+    throw new Error(`Unknown column type in migration: ${columnType}`);
+  }
+  return [mapped[type], ...rest].join(' ');
+}
+
+// Helpers handed to a migration's up and down. Columns and types are written
+// once, in camelCase with the types above, and come out right for either backend.
+// query() takes ? placeholders on both backends
+function createMigrationContext(db, query) {
+  const type = db.type;
+  const column = name => columnName(type, name);
+
+  const m = {
+    type,
+    query,
+    column,
+
+    async hasColumn(table, name) {
+      if (type === 'postgres') {
+        const rows = await query(
+          'SELECT 1 FROM information_schema.columns WHERE table_name = ? AND column_name = ?',
+          [table, column(name)]
+        );
+        return rows.length > 0;
+      }
+      const rows = await query(`PRAGMA table_info(${table})`);
+      return rows.some(row => row.name === name);
+    },
+
+    // columns: { camelCaseName: 'type [constraints]' }
+    // options.unique: lists of column names that must be unique together
+    async createTable(table, columns, options = {}) {
+      const definitions = Object.entries(columns)
+        .map(([name, definition]) => `${column(name)} ${columnDefinition(type, definition)}`);
+      (options.unique || []).forEach(names => {
+        definitions.push(`UNIQUE (${names.map(column).join(', ')})`);
+      });
+      await query(`CREATE TABLE IF NOT EXISTS ${table} (\n  ${definitions.join(',\n  ')}\n)`);
+    },
+
+    async dropTable(table) {
+      await query(`DROP TABLE IF EXISTS ${table}`);
+    },
+
+    async addColumn(table, name, definition) {
+      if (await m.hasColumn(table, name)) return;
+      await query(`ALTER TABLE ${table} ADD COLUMN ${column(name)} ${columnDefinition(type, definition)}`);
+    },
+
+    async dropColumn(table, name) {
+      if (!await m.hasColumn(table, name)) return;
+      await query(`ALTER TABLE ${table} DROP COLUMN ${column(name)}`);
+    },
+
+    async createIndex(index, table, names) {
+      await query(`CREATE INDEX IF NOT EXISTS ${index} ON ${table} (${names.map(column).join(', ')})`);
+    },
+
+    async dropIndex(index) {
+      await query(`DROP INDEX IF EXISTS ${index}`);
+    }
+  };
+
+  return m;
+}
+
+// Run fn with a migration context inside a transaction
+async function inTransaction(db, fn) {
+  if (db.type === 'postgres') {
+    const client = await db.pool.connect();
+    const query = createExecutor(db, client);
+    try {
+      await query('BEGIN');
+      await query('SELECT pg_advisory_xact_lock(?)', [POSTGRES_LOCK_ID]);
+      const result = await fn(createMigrationContext(db, query));
+      await query('COMMIT');
+      return result;
+    } catch (error) {
+      await query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const query = createExecutor(db);
+  await query('BEGIN TRANSACTION');
+  try {
+    const result = await fn(createMigrationContext(db, query));
+    await query('COMMIT');
+    return result;
+  } catch (error) {
+    await query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function getAppliedVersions(db) {
+  return inTransaction(db, async (m) => {
+    await m.createTable('schema_migrations', {
+      version: 'integer PRIMARY KEY',
+      name: 'text NOT NULL',
+      applied_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    });
+    const rows = await m.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => Number(row.version));
+  });
+}
+
+// Apply every migration that hasn't run yet, oldest first
+async function migrateUp(db, migrations = loadMigrations()) {
+  const applied = await getAppliedVersions(db);
+  const pending = migrations.filter(migration => !applied.includes(migration.version));
+
+  for (const migration of pending) {
+    console.log(`⬆️ Applying migration ${describe(migration)}`);
+    await inTransaction(db, async (m) => {
+      // Another instance may have applied it while this one waited for the lock
+      const done = await m.query('SELECT 1 FROM schema_migrations WHERE version = ?', [migration.version]);
+      if (done.length > 0) return;
+
+      await migration.up(m);
+      await m.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+  }
+
+  if (pending.length > 0) {
+    console.log(`✅ Applied ${pending.length} migration(s)`);
+  }
+  return pending.map(migration => migration.version);
+}
+
+// Roll back the newest `steps` applied migrations
+async function migrateDown(db, steps = 1, migrations = loadMigrations()) {
+  const applied = await getAppliedVersions(db);
+  const versions = applied.slice(-steps).reverse();
+
+  for (const version of versions) {
+    const migration = migrations.find(candidate => candidate.version === version);
+    if (!migration) {
+      throw new Error(`Migration ${version} has been applied but its file is missing`);
+    }
+
+    console.log(`⬇️ Rolling back migration ${describe(migration)}`);
+    await inTransaction(db, async (m) => {
+      await migration.down(m);
+      await m.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+  }
+
+  return versions;
+}
+
+async function getMigrationStatus(db, migrations = loadMigrations()) {
+  const applied = await getAppliedVersions(db);
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    label: describe(migration),
+    applied: applied.includes(migration.version)
+  }));
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus
+};
@@ -0,0 +1,154 @@
+// Tables as they stood when versioned migrations were introduced. Installs that
+// predate them already have some of these, so everything here is safe to re-run
+// and brings older add-on tables up to date as well.
+
+// Add-on columns added after the first release, before migrations existed
+const LATER_ADDON_COLUMNS = {
+  placeholder: 'text',
+  minLength: 'integer',
+  maxLength: 'integer',
+  pattern: 'text',
+  priceMode: "text DEFAULT 'fixed'",
+  baseFee: 'decimal',
+  priceCap: 'decimal',
+  conditions: 'json',
+  setId: 'integer',
+  variantIds: 'json',
+  variantPrices: 'json',
+  chargePer: "text DEFAULT 'unit'"
+};
+
+const TABLES = ['webhook_deliveries', 'oauth_states', 'addon_mismatches', 'addon_sets', 'addons', 'sessions'];
+
+// SQLite cannot drop a CHECK or NOT NULL constraint, so addons tables created
+// with the old checkbox/dropdown-only type check or a required productId (set
+// add-ons have none) are copied into a fresh table
+async function rebuildSQLiteAddonsTable(m) {
+  const [table] = await m.query("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'addons'");
+  const columns = await m.query('PRAGMA table_info(addons)');
+  const productId = columns.find(column => column.name === 'productId');
+  if (!table.sql.includes('CHECK(type IN') && !(productId && productId.notnull)) return;
+
+  console.log('🔧 Rebuilding SQLite addons table without old constraints...');
+  const columnList = columns.map(column => column.name).join(', ');
+  const createSql = table.sql
+    .replace(/CHECK\(type IN \([^)]*\)\)/, '')
+    .replace(/productId TEXT NOT NULL/, 'productId TEXT')
+    .replace(/CREATE TABLE (")?addons(")?/, 'CREATE TABLE addons_rebuild');
+
+  await m.query(createSql);
+  await m.query(`INSERT INTO addons_rebuild (${columnList}) SELECT ${columnList} FROM addons`);
+  await m.query('DROP TABLE addons');
+  await m.query('ALTER TABLE addons_rebuild RENAME TO addons');
+}
+
+module.exports = {
+  async up(m) {
+    await m.createTable('sessions', {
+      id: 'text PRIMARY KEY',
+      shop: 'text NOT NULL',
+      accessToken: 'text NOT NULL',
+      scope: 'text',
+      expires: 'bigint',
+      isOnline: 'boolean',
+      state: 'text',
+      created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    });
+
+    await m.createTable('addons', {
+      id: 'id',
+      productId: 'text',
+      setId: 'integer',
+      shop: 'text NOT NULL',
+      name: 'text NOT NULL',
+      price: 'decimal NOT NULL',
+      type: 'text NOT NULL',
+      required: 'boolean DEFAULT FALSE',
+      options: 'json',
+      placeholder: 'text',
+      minLength: 'integer',
+      maxLength: 'integer',
+      pattern: 'text',
+      priceMode: "text DEFAULT 'fixed'",
+      baseFee: 'decimal',
+      priceCap: 'decimal',
+      conditions: 'json',
+      variantIds: 'json',
+      variantPrices: 'json',
+      chargePer: "text DEFAULT 'unit'",
+      active: 'boolean DEFAULT TRUE',
+      created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+      updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    });
+
+    // Shared add-ons reference a set through addons.setId
+    await m.createTable('addon_sets', {
+      id: 'id',
+      shop: 'text NOT NULL',
+      name: 'text NOT NULL',
+      productIds: 'json',
+      collectionIds: 'json',
+      tags: 'json',
+      position: 'integer DEFAULT 0',
+      active: 'boolean DEFAULT TRUE',
+      created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+      updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    });
+
+    // Orders whose hidden-product charge didn't match their add-on selections
+    await m.createTable('addon_mismatches', {
+      id: 'id',
+      shop: 'text NOT NULL',
+      orderId: 'text NOT NULL',
+      orderName: 'text',
+      expectedTotal: 'decimal NOT NULL',
+      chargedTotal: 'decimal NOT NULL',
+      lines: 'json',
+      resolved: 'boolean DEFAULT FALSE',
+      created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+      updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    }, { unique: [['shop', 'orderId']] });
+
+    // Install nonces, each used by a single OAuth callback
+    await m.createTable('oauth_states', {
+      state: 'text PRIMARY KEY',
+      shop: 'text NOT NULL',
+      expires: 'bigint NOT NULL',
+      created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    });
+
+    // Every webhook received, kept so a delivery can be replayed
+    await m.createTable('webhook_deliveries', {
+      id: 'id',
+      shop: 'text',
+      topic: 'text',
+      webhookId: 'text',
+      resourceId: 'text',
+      payload: 'json',
+      status: "text DEFAULT 'received'",
+      error: 'text',
+      attempts: 'integer DEFAULT 1',
+      created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+      updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    });
+
+    for (const [column, definition] of Object.entries(LATER_ADDON_COLUMNS)) {
+      await m.addColumn('addons', column, definition);
+    }
+
+    // Add-on types are validated by the API and set add-ons have no product,
+    // older installs still carry the constraints that forbade both
+    if (m.type === 'postgres') {
+      await m.query('ALTER TABLE addons DROP CONSTRAINT IF EXISTS addons_type_check');
+      await m.query('ALTER TABLE addons ALTER COLUMN product_id DROP NOT NULL');
+    } else {
+      await rebuildSQLiteAddonsTable(m);
+    }
+  },
+
+  async down(m) {
+    for (const table of TABLES) {
+      await m.dropTable(table);
+    }
+  }
+};
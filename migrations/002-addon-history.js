@@ -0,0 +1,23 @@
+// Before and after snapshots of every add-on change made through the admin,
+// so any earlier version can be restored
+
+module.exports = {
+  async up(m) {
+    await m.createTable('addon_history', {
+      id: 'id',
+      addonId: 'integer NOT NULL',
+      shop: 'text NOT NULL',
+      action: 'text NOT NULL',
+      actor: 'text',
+      before: 'json',
+      after: 'json',
+      created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    });
+    await m.createIndex('addon_history_addon_id', 'addon_history', ['addonId']);
+  },
+
+  async down(m) {
+    await m.dropIndex('addon_history_addon_id');
+    await m.dropTable('addon_history');
+  }
+};
@@ -0,0 +1,12 @@
+// Display order of add-ons within their product or set. Existing add-ons all
+// start at 0 and keep their creation order through the id tie-break
+
+module.exports = {
+  async up(m) {
+    await m.addColumn('addons', 'position', 'integer DEFAULT 0');
+  },
+
+  async down(m) {
+    await m.dropColumn('addons', 'position');
+  }
+};
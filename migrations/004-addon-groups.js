@@ -0,0 +1,26 @@
+// Named sections the storefront shows add-ons under, and per add-on help text
+
+module.exports = {
+  async up(m) {
+    await m.createTable('addon_groups', {
+      id: 'id',
+      shop: 'text NOT NULL',
+      name: 'text NOT NULL',
+      description: 'text',
+      position: 'integer DEFAULT 0',
+      collapsible: 'boolean DEFAULT FALSE',
+      collapsed: 'boolean DEFAULT FALSE',
+      active: 'boolean DEFAULT TRUE',
+      created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP',
+      updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    });
+    await m.addColumn('addons', 'groupId', 'integer');
+    await m.addColumn('addons', 'helpText', 'text');
+  },
+
+  async down(m) {
+    await m.dropColumn('addons', 'helpText');
+    await m.dropColumn('addons', 'groupId');
+    await m.dropTable('addon_groups');
+  }
+};
@@ -0,0 +1,20 @@
+// Storefront domains of each shop, so requests from a custom domain can be
+// matched to the myshopify.com shop they belong to
+
+module.exports = {
+  async up(m) {
+    await m.createTable('shop_domains', {
+      id: 'id',
+      shop: 'text NOT NULL',
+      domain: 'text NOT NULL',
+      source: "text DEFAULT 'manual'",
+      created_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    }, { unique: [['domain']] });
+    await m.createIndex('shop_domains_shop', 'shop_domains', ['shop']);
+  },
+
+  async down(m) {
+    await m.dropIndex('shop_domains_shop');
+    await m.dropTable('shop_domains');
+  }
+};
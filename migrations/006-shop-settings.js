@@ -0,0 +1,16 @@
+// Storefront settings of each shop, one JSON document per shop
+
+module.exports = {
+  async up(m) {
+    await m.createTable('shop_settings', {
+      id: 'id',
+      shop: 'text NOT NULL',
+      settings: 'json',
+      updated_at: 'timestamp DEFAULT CURRENT_TIMESTAMP'
+    }, { unique: [['shop']] });
+  },
+
+  async down(m) {
+    await m.dropTable('shop_settings');
+  }
+};
@@ -0,0 +1,18 @@
+// Webhook deliveries logged before payloads were trimmed hold whole orders,
+// customer details included. Cut them down to what webhook-payload.js keeps
+
+const { toStoredPayload } = require('../webhook-payload');
+
+module.exports = {
+  async up(m) {
+    const rows = await m.query('SELECT id, topic, payload FROM webhook_deliveries');
+    for (const row of rows) {
+      // JSONB comes back parsed from PostgreSQL, SQLite returns the text
+      const payload = typeof row.payload === 'string' ? JSON.parse(row.payload || '{}') : row.payload;
+      await m.query('UPDATE webhook_deliveries SET payload = ? WHERE id = ?', [JSON.stringify(toStoredPayload(row.topic, payload)), row.id]);
+    }
+  },
+
+  // The removed fields are gone for good, there is nothing to put back
+  async down() {}
+};
@@ -1,20 +1,25 @@
 // Configuration file for addon system
+// Shop-specific values (hidden product, currency, labels, debug logging and which
+// pages run) come from /api/storefront-config and are filled in by
+// applyStorefrontConfig before any handler starts
 export const AddonConfig = {
-  // IMPORTANT: Replace these with your actual hidden product details
-  // Create a hidden product in Shopify admin with £0.01 price
+  // The hidden product whose variants carry add-on charges
   HIDDEN_PRODUCT: {
-    PRODUCT_ID: '12237829308756',  // Replace with actual product ID
-    VARIANT_ID: '52557455032660',  // Replace with actual variant ID
-    PRICE: 0.01,                   // £0.01 per unit
+    PRODUCT_ID: null,
+    VARIANT_ID: null,              // the £0.01 variant
+    PRICE: 0.01,                   // per unit
+    VARIANTS: [],                  // [{ variantId, price }], largest first
     SKU: 'ADDON-PRICE-01',         // SKU for identification
+    SKU_PREFIX: 'ADDON-PRICE-',    // shared by every variant's SKU
     TITLE: 'Product Add-on Price Adjustment'
   },
   
   // API Configuration
   API: {
-    HOST: window.location.protocol + '//' + 'shopify-product-addons-app-production.up.railway.app',
+    HOST: null,                    // where product-addons.js was loaded from
     ENDPOINTS: {
       ADDONS: '/api/addons',
+      CONFIG: '/api/storefront-config',
       CART_UPDATE: '/cart/update.js',
       CART_ADD: '/cart/add.js',
       CART_GET: '/cart.js'
@@ -32,13 +37,44 @@ export const AddonConfig = {
   UI: {
     CONTAINER_ID: 'product-addons-container',
     STYLES_ID: 'addon-styles',
+    CURRENCY_CODE: 'GBP',
     CURRENCY_SYMBOL: '£',
-    PRICE_DECIMALS: 2
+    PRICE_DECIMALS: 2,
+    // Storefront wording: heading, total, note and none
+    LABELS: {}
+  },
+  
+  // Pages the script runs on
+  FEATURES: {
+    PRODUCT_PAGE: true,
+    CART_PAGE: true,
+    CHECKOUT_PAGE: true
   },
   
   // Debug Configuration
   DEBUG: {
-    ENABLED: true,
+    ENABLED: false,
     LOG_PREFIX: '[Product Add-ons]'
   }
-};
\ No newline at end of file
+};
+
+// Copy a /api/storefront-config response into AddonConfig
+export function applyStorefrontConfig(config, host) {
+  AddonConfig.API.HOST = host;
+  AddonConfig.HIDDEN_PRODUCT.PRODUCT_ID = config.hiddenProduct.productId;
+  AddonConfig.HIDDEN_PRODUCT.VARIANT_ID = config.hiddenProduct.variantId;
+  AddonConfig.HIDDEN_PRODUCT.PRICE = config.hiddenProduct.price;
+  AddonConfig.HIDDEN_PRODUCT.VARIANTS = config.hiddenProduct.variants;
+  AddonConfig.UI.CURRENCY_CODE = config.currency.code;
+  AddonConfig.UI.CURRENCY_SYMBOL = config.currency.symbol;
+  AddonConfig.UI.LABELS = { ...config.labels };
+  AddonConfig.FEATURES.PRODUCT_PAGE = config.features.productPage;
+  AddonConfig.FEATURES.CART_PAGE = config.features.cartPage;
+  AddonConfig.FEATURES.CHECKOUT_PAGE = config.features.checkoutPage;
+  AddonConfig.DEBUG.ENABLED = config.debug;
+}
+
+// An amount with the shop's currency symbol, e.g. "£4.50"
+export function formatMoney(amount) {
+  return `${AddonConfig.UI.CURRENCY_SYMBOL}${amount.toFixed(AddonConfig.UI.PRICE_DECIMALS)}`;
+}
\ No newline at end of file
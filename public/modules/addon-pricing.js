@@ -0,0 +1,84 @@
+// Storefront add-on price calculation
+// Mirrors addon-pricing.js on the server - keep the two in sync
+import { formatMoney } from './addon-config.js';
+
+export const AddonPricing = {
+  roundPrice(value) {
+    return Math.round(value * 100) / 100;
+  },
+
+  calculatePercentPrice(percent, productPrice) {
+    return this.roundPrice((parseFloat(percent) || 0) * (parseFloat(productPrice) || 0) / 100);
+  },
+
+  // Options take the add-on's price mode unless they set their own
+  isPercentPriced(addon, option = null) {
+    return ((option && option.priceMode) || addon.priceMode) === 'percent';
+  },
+
+  // Count the chargeable units in a text entry for the given price mode
+  countTextUnits(priceMode, text) {
+    const value = (text || '').trim();
+    if (value === '') return 0;
+
+    switch (priceMode) {
+      case 'per_character':
+        // Spaces and line breaks are not engraved, so they are not charged
+        return value.replace(/\s/g, '').length;
+      case 'per_word':
+        return value.split(/\s+/).filter(Boolean).length;
+      case 'per_line':
+        return value.split(/\r?\n/).filter(line => line.trim() !== '').length;
+      default:
+        return 1;
+    }
+  },
+
+  calculateTextPrice(addon, text) {
+    const units = this.countTextUnits(addon.priceMode, text);
+    if (units === 0) return 0;
+
+    const unitPrice = parseFloat(addon.price) || 0;
+    if (!addon.priceMode || addon.priceMode === 'fixed') {
+      return this.roundPrice(unitPrice);
+    }
+
+    let price = (parseFloat(addon.baseFee) || 0) + units * unitPrice;
+    if (addon.priceCap !== null && addon.priceCap !== undefined && addon.priceCap !== '') {
+      price = Math.min(price, parseFloat(addon.priceCap));
+    }
+    return this.roundPrice(price);
+  },
+
+  // Short description of how a text add-on is charged, e.g. "+£0.50 per character"
+  describeTextPrice(addon) {
+    const units = {
+      per_character: 'character',
+      per_word: 'word',
+      per_line: 'line'
+    };
+    const price = `+${formatMoney(parseFloat(addon.price) || 0)}`;
+
+    if (!units[addon.priceMode]) {
+      return price;
+    }
+
+    let description = `${price} per ${units[addon.priceMode]}`;
+    if (parseFloat(addon.baseFee) > 0) {
+      description += ` + ${formatMoney(parseFloat(addon.baseFee))}`;
+    }
+    if (addon.priceCap !== null && addon.priceCap !== undefined && addon.priceCap !== '') {
+      description += ` (max ${formatMoney(parseFloat(addon.priceCap))})`;
+    }
+    return description;
+  },
+
+  // Total add-on charge for a cart line of the given quantity
+  calculateLineTotal(addons, quantity) {
+    const units = Math.max(parseInt(quantity) || 1, 1);
+    return this.roundPrice(addons.reduce((sum, addon) => {
+      const price = parseFloat(addon.price) || 0;
+      return sum + (addon.chargePer === 'line' ? price : price * units);
+    }, 0));
+  }
+};
@@ -20,7 +20,9 @@ export class AddonStorage {
           selectedAddons.push({
             name: addon.name,
             price: addon.price,
-            value: addon.value
+            value: addon.value,
+            ...(addon.percent != null ? { percent: addon.percent } : {}),
+            ...(addon.chargePer === 'line' ? { chargePer: 'line' } : {})
           });
           totalPrice += addon.price;
         }
@@ -1,8 +1,10 @@
 // API communication and shop resolution
+import { AddonConfig } from './addon-config.js';
+
 export class ApiClient {
   constructor(logger) {
     this.logger = logger;
-    this.APP_HOST = window.location.protocol + '//' + 'shopify-product-addons-app-production.up.railway.app';
+    this.APP_HOST = AddonConfig.API.HOST;
   }
 
   async resolveShopDomain() {
@@ -62,23 +64,19 @@ export class ApiClient {
         this.logger.log('Could not resolve shop via API:', error);
       }
       
-      // Hardcoded fallbacks
-      if (shop.includes('paceworx')) {
-        shop = 'megrq8-sg.myshopify.com';
-        this.logger.log('Applied hardcoded shop mapping:', shop);
-      } else {
-        shop = shop.replace(/\.(store|com|net|org)$/, '.myshopify.com');
-        this.logger.log('Applied generic shop conversion:', shop);
-      }
+      // Left as the hostname, the app also looks it up from X-Shop-Domain
+      this.logger.log('Custom domain is not registered with the app:', shop);
     }
     
     return shop;
   }
 
-  async loadAddons(productId) {
+  // Add-ons for a product, resolved for the given variant when there is one,
+  // and the groups they are shown in
+  async loadAddons(productId, variantId = null) {
     try {
       const shop = await this.resolveShopDomain();
-      const url = `${this.APP_HOST}/api/addons/${productId}?shop=${shop}`;
+      const url = `${this.APP_HOST}/api/addons/${productId}?shop=${shop}${variantId ? `&variant=${variantId}` : ''}`;
       
       this.logger.log('API URL:', url);
       
@@ -95,13 +93,42 @@ export class ApiClient {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
-      const addons = await response.json();
-      this.logger.log('Loaded add-ons:', addons);
+      const data = await response.json();
+      this.logger.log('Loaded add-ons:', data);
       
-      return addons || [];
+      return { addons: data.addons || [], groups: data.groups || [] };
     } catch (error) {
       this.logger.error('Error loading add-ons:', error);
-      return [];
+      return { addons: [], groups: [] };
+    }
+  }
+
+  // Ask the app to price the selected add-ons from their stored definitions,
+  // the result carries a signed token for the cart line
+  async calculatePrices(selections, variantId = null, productId = null) {
+    try {
+      const shop = await this.resolveShopDomain();
+      const response = await fetch(`${this.APP_HOST}/api/addons/calculate?shop=${shop}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shop-Domain': window.location.hostname,
+          'X-Original-Shop': shop
+        },
+        body: JSON.stringify({ selections, variantId, productId })
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      
+      const result = await response.json();
+      this.logger.log('Calculated add-on prices:', result);
+      
+      return result;
+    } catch (error) {
+      this.logger.error('Error calculating add-on prices:', error);
+      return null;
     }
   }
 }
\ No newline at end of file
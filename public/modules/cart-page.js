@@ -1,21 +1,20 @@
 // Cart page addon price handling - Fixed version with targeted price updates
-import { AddonStorage } from './addon-storage.js';
-import { AddonConfig } from './addon-config.js';
+import { AddonConfig, formatMoney } from './addon-config.js';
+import { AddonPricing } from './addon-pricing.js';
 
 export class CartPageHandler {
   constructor(logger) {
     this.logger = logger;
-    this.addonStorage = new AddonStorage(logger);
     
     // Use config values
     this.HIDDEN_PRODUCT_ID = AddonConfig.HIDDEN_PRODUCT.PRODUCT_ID;
-    this.HIDDEN_VARIANT_ID = AddonConfig.HIDDEN_PRODUCT.VARIANT_ID;
-    this.HIDDEN_PRODUCT_PRICE = AddonConfig.HIDDEN_PRODUCT.PRICE;
+    this.HIDDEN_VARIANTS = AddonConfig.HIDDEN_PRODUCT.VARIANTS;
+    this.hiddenVariantIds = new Set(this.HIDDEN_VARIANTS.map(variant => String(variant.variantId)));
     
     this.processedProducts = new Set();
     this.isProcessing = false;
     this.hasProcessed = false;
-    this.productAddonMap = new Map(); // Track which products have which addons
+    this.productAddonMap = new Map(); // Add-on amounts by product line key
   }
 
   init() {
@@ -24,20 +23,10 @@ export class CartPageHandler {
     // First, hide the hidden product immediately if it exists
     this.hideHiddenProductRows();
     
-    // Check if we already processed (to prevent refresh loops)
-    const processed = sessionStorage.getItem('cart_addon_processed');
-    if (processed && (Date.now() - parseInt(processed)) < 5000) {
-      this.logger.log('Recently processed, skipping sync but updating displays');
-      this.hasProcessed = true;
-      // Still update the display prices
-      setTimeout(() => this.updateLineItemPrices(), 500);
-      return;
-    }
-    
-    // Clear old processed flag
-    sessionStorage.removeItem('cart_addon_processed');
-    
-    // Check and sync cart with stored addon data
+    // Sync on every load, even straight after a sync: removing a product reloads
+    // the page and its adjustment lines have to go with it. This can't loop: each
+    // load syncs at most once, a sync never reloads the page, and a cart that
+    // already matches is left alone
     setTimeout(() => {
       this.syncCartWithAddons();
     }, 500);
@@ -70,38 +59,15 @@ export class CartPageHandler {
     const checks = [
       // Check data attributes
       () => row.getAttribute('data-product-id') === this.HIDDEN_PRODUCT_ID,
-      () => row.getAttribute('data-variant-id') === this.HIDDEN_VARIANT_ID,
+      () => this.hiddenVariantIds.has(row.getAttribute('data-variant-id')),
       
       // Check for SKU in the row
-      () => row.textContent.includes('ADDON-PRICE-01'),
-      () => row.textContent.includes('Product Add-on Price Adjustment'),
+      () => row.textContent.includes(AddonConfig.HIDDEN_PRODUCT.SKU_PREFIX),
+      () => row.textContent.includes(AddonConfig.HIDDEN_PRODUCT.TITLE),
       
       // Check for addon adjustment property
       () => row.textContent.includes('_addon_adjustment'),
-      () => row.textContent.includes('Price adjustment for add-ons'),
-      
-      // Check for the exact price (£0.01)
-      () => {
-        const priceElements = row.querySelectorAll('.money, .price, [data-price]');
-        return Array.from(priceElements).some(el => 
-          el.textContent.includes('0.01') || el.textContent.includes('£0.01')
-        );
-      },
-      
-      // Check for high quantity with low unit price (likely our hidden product)
-      () => {
-        const qtyElement = row.querySelector('input[name*="quantity"], .quantity, [data-quantity]');
-        const priceElement = row.querySelector('.money, .price');
-        
-        if (qtyElement && priceElement) {
-          const qty = parseInt(qtyElement.value || qtyElement.textContent);
-          const priceText = priceElement.textContent;
-          
-          // If quantity > 50 and unit price is £0.01, probably our hidden product
-          return qty > 50 && priceText.includes('0.01');
-        }
-        return false;
-      }
+      () => row.textContent.includes('Price adjustment for add-ons')
     ];
     
     return checks.some(check => {
@@ -122,7 +88,7 @@ export class CartPageHandler {
     this.isProcessing = true;
     
     try {
-      this.logger.log('Syncing cart with stored addon data...');
+      this.logger.log('Syncing hidden product lines with the cart\'s add-ons...');
       
       // Get current cart state
       const cart = await this.getCurrentCart();
@@ -131,59 +97,69 @@ export class CartPageHandler {
         return;
       }
       
-      // Get stored addon data
-      const addonData = this.addonStorage.getStorage();
-      if (!addonData || Object.keys(addonData).length === 0) {
-        this.logger.log('No addon data found in storage');
-        return;
-      }
-      
-      this.logger.log('Stored addon data:', addonData);
-      
-      // Calculate total addon price needed and build product map
+      // Each product line carries its own add-on amounts, so two lines of the same
+      // variant with different add-ons are charged separately
       let totalAddonPrice = 0;
+      const adjustments = [];
       this.productAddonMap.clear();
       
-      // Match cart items with stored addon data
-      cart.items.forEach(item => {
-        const productMatch = this.findAddonDataForCartItem(item, addonData);
-        if (productMatch) {
-          totalAddonPrice += productMatch.totalPrice;
-          this.productAddonMap.set(item.variant_id.toString(), {
-            addonPrice: productMatch.totalPrice,
-            addons: productMatch.addons,
-            lineKey: item.key
-          });
-          this.logger.log(`Product ${productMatch.productId} has £${productMatch.totalPrice} addons`);
+      cart.items.forEach((item, index) => {
+        const charges = !this.isHiddenCartItem(item) && this.readLineCharges(item);
+        if (!charges) return;
+        
+        // Per-unit add-ons are charged for each item on the line, one-off ones once
+        const lineTotal = AddonPricing.roundPrice(charges.unitPrice * item.quantity + charges.lineCharge);
+        totalAddonPrice += lineTotal;
+        if (lineTotal > 0) {
+          adjustments.push(this.buildAdjustment(item, lineTotal));
         }
+        this.productAddonMap.set(item.key, {
+          addonPrice: charges.unitPrice,
+          lineCharge: charges.lineCharge,
+          addons: this.readLineAddons(item),
+          variantId: item.variant_id.toString(),
+          // Themes number their cart rows from 1
+          index: index + 1
+        });
+        this.logger.log(`Line ${item.key} has £${lineTotal} addons for quantity ${item.quantity}`);
       });
       
-      if (totalAddonPrice === 0) {
+      // Hidden lines whose product line has gone or lost its add-ons are removed
+      const hiddenItems = cart.items.filter(item => this.isHiddenCartItem(item));
+      if (totalAddonPrice === 0 && hiddenItems.length === 0) {
         this.logger.log('No addon pricing needed');
         return;
       }
       
       this.logger.log('Total addon price needed: £', totalAddonPrice);
       
-      // Check if hidden product already exists in cart
-      const existingHiddenItem = cart.items.find(item => 
-        item.product_id.toString() === this.HIDDEN_PRODUCT_ID ||
-        item.variant_id.toString() === this.HIDDEN_VARIANT_ID
-      );
+      // Without hidden variants to carry them the add-ons would be free at checkout
+      if (adjustments.some(adjustment => adjustment.shortfall > 0)) {
+        this.logger.error('The hidden product variants can\'t carry the add-on charges, blocking checkout');
+        this.blockCheckout();
+        return;
+      }
       
-      const neededQuantity = Math.round(totalAddonPrice / this.HIDDEN_PRODUCT_PRICE);
+      // Compare the hidden lines already in the cart with what each parent line needs
+      const { updates, additions } = this.planHiddenProductChanges(hiddenItems, adjustments);
       
-      if (existingHiddenItem) {
-        if (existingHiddenItem.quantity !== neededQuantity) {
-          await this.updateHiddenProductQuantity(existingHiddenItem.key, neededQuantity);
-        } else {
-          this.logger.log('✅ Hidden product quantity is already correct');
-          this.markAsProcessed();
-          this.updateLineItemPrices();
-        }
-      } else {
-        this.logger.log('Adding hidden product with quantity:', neededQuantity);
-        await this.addHiddenProduct(neededQuantity);
+      if (Object.keys(updates).length === 0 && additions.length === 0) {
+        this.logger.log('✅ Hidden product lines are already correct');
+        this.markAsProcessed();
+        this.updateLineItemPrices();
+        return;
+      }
+      
+      const updated = Object.keys(updates).length === 0 || await this.updateHiddenProductQuantities(updates);
+      const added = updated && (additions.length === 0 || await this.addHiddenProducts(additions));
+      if (added) {
+        this.markAsProcessed();
+        
+        // Update the display prices
+        this.updateLineItemPrices();
+        
+        // Show subtle notification
+        this.showUpdateNotification();
       }
       
     } catch (error) {
@@ -193,14 +169,86 @@ export class CartPageHandler {
     }
   }
 
+  // A product line's add-on amounts from the properties the product page wrote on
+  // it: _Add-ons Each per item and _Add-ons Per Line once, or the amounts signed
+  // in _Add-ons Token when those are missing. Returns null for lines without add-ons
+  readLineCharges(cartItem) {
+    const properties = cartItem.properties || {};
+    let charges = null;
+    if (properties['_Add-ons Each'] !== undefined) {
+      charges = {
+        unitPrice: this.parseAmount(properties['_Add-ons Each']),
+        lineCharge: this.parseAmount(properties['_Add-ons Per Line'] || 0)
+      };
+    } else if (properties['_Add-ons Token']) {
+      charges = this.readTokenAmounts(properties['_Add-ons Token']);
+    }
+    return charges && this.repricePercentAddons(cartItem, charges);
+  }
+
+  // The token is the server's base64 JSON payload and its signature. Only the
+  // server can check the signature, the cart just reads the amounts
+  readTokenAmounts(token) {
+    try {
+      const payload = JSON.parse(atob(String(token).split('.')[0]));
+      return {
+        unitPrice: AddonPricing.roundPrice(parseFloat(payload.unitTotal) || 0),
+        lineCharge: AddonPricing.roundPrice(parseFloat(payload.lineCharge) || 0)
+      };
+    } catch (error) {
+      this.logger.warn('Could not read add-on token:', error.message);
+      return null;
+    }
+  }
+
+  // Amounts are written with the shop's currency symbol, e.g. "£4.50"
+  parseAmount(value) {
+    return AddonPricing.roundPrice(parseFloat(String(value).replace(/[^\d.-]/g, '')) || 0);
+  }
+
+  // Percentage add-ons were priced from the variant price seen on the product page,
+  // so price them again in case it has changed since. Like order reconciliation
+  // this uses the price before discounts
+  repricePercentAddons(cartItem, charges) {
+    let percentAddons;
+    try {
+      percentAddons = JSON.parse((cartItem.properties || {})['_Add-ons Percent'] || '[]');
+    } catch (error) {
+      return charges;
+    }
+    if (!Array.isArray(percentAddons) || percentAddons.length === 0) {
+      return charges;
+    }
+    
+    // Cart amounts are in pence
+    const unitPrice = cartItem.original_price / 100;
+    const repriced = { ...charges };
+    percentAddons.forEach(addon => {
+      const change = AddonPricing.calculatePercentPrice(addon.percent, unitPrice) - (parseFloat(addon.price) || 0);
+      const field = addon.chargePer === 'line' ? 'lineCharge' : 'unitPrice';
+      repriced[field] = AddonPricing.roundPrice(repriced[field] + change);
+    });
+    
+    this.logger.log(`Re-priced percentage add-ons from £${unitPrice}:`, charges, '->', repriced);
+    return repriced;
+  }
+
+  // The add-ons the product page wrote as visible properties, e.g.
+  // { name: 'Gift Wrap', value: 'Yes (+£2.00)' }
+  readLineAddons(cartItem) {
+    return Object.entries(cartItem.properties || {})
+      .filter(([name, value]) => !name.startsWith('_') && value !== null && value !== '')
+      .map(([name, value]) => ({ name, value }));
+  }
+
   updateLineItemPrices() {
     this.logger.log('Updating line item prices on display...');
     this.logger.log('Product addon map contains:', this.productAddonMap.size, 'entries');
     
     // Update each product line item with its addon pricing
-    this.productAddonMap.forEach((addonInfo, variantId) => {
-      this.logger.log('Processing variant:', variantId, 'with addon info:', addonInfo);
-      this.updateProductLineItem(variantId, addonInfo);
+    this.productAddonMap.forEach((addonInfo, lineKey) => {
+      this.logger.log('Processing line:', lineKey, 'with addon info:', addonInfo);
+      this.updateProductLineItem(lineKey, addonInfo);
     });
     
     // Update cart totals
@@ -210,10 +258,10 @@ export class CartPageHandler {
     this.hideHiddenProductRows();
   }
 
-  updateProductLineItem(variantId, addonInfo) {
-    this.logger.log(`🎯 Looking for cart row matching variant ${variantId} with £${addonInfo.addonPrice} addons`);
+  updateProductLineItem(lineKey, addonInfo) {
+    this.logger.log(`🎯 Looking for cart row matching line ${lineKey} with £${addonInfo.addonPrice} addons`);
     
-    // Find the cart row for this variant
+    // Find the cart row for this line
     const cartRows = document.querySelectorAll('tr.cart-item, .cart-item, .line-item');
     this.logger.log('Found', cartRows.length, 'potential cart rows');
     
@@ -228,8 +276,8 @@ export class CartPageHandler {
         return;
       }
       
-      if (this.isRowForVariant(row, variantId)) {
-        this.logger.log(`✅ Found matching row ${index + 1} for variant ${variantId}`);
+      if (this.isRowForLine(row, lineKey, addonInfo)) {
+        this.logger.log(`✅ Found matching row ${index + 1} for line ${lineKey}`);
         foundMatch = true;
         
         // Debug: Log all text content in the row to help identify price elements
@@ -239,17 +287,17 @@ export class CartPageHandler {
         this.updateRowUnitPrice(row, addonInfo.addonPrice);
         
         // Update line total
-        this.updateRowLineTotal(row, addonInfo.addonPrice);
+        this.updateRowLineTotal(row, addonInfo.addonPrice, addonInfo.lineCharge);
         
         // Add addon details to the product description
         this.addAddonDetailsToRow(row, addonInfo.addons);
       } else {
-        this.logger.log(`❌ Row ${index + 1} doesn't match variant ${variantId}`);
+        this.logger.log(`❌ Row ${index + 1} doesn't match line ${lineKey}`);
       }
     });
     
     if (!foundMatch) {
-      this.logger.log('⚠️ No matching row found for variant', variantId);
+      this.logger.log('⚠️ No matching row found for line', lineKey);
       this.logger.log('🔍 Trying smart fallback - find row with £0.00 prices...');
       
       // SMART FALLBACK: Find the row that contains £0.00 (likely the one with addons)
@@ -266,7 +314,7 @@ export class CartPageHandler {
             
             this.debugRowContents(row);
             this.updateRowUnitPrice(row, addonInfo.addonPrice);
-            this.updateRowLineTotal(row, addonInfo.addonPrice);
+            this.updateRowLineTotal(row, addonInfo.addonPrice, addonInfo.lineCharge);
             this.addAddonDetailsToRow(row, addonInfo.addons);
           }
         }
@@ -283,7 +331,7 @@ export class CartPageHandler {
             
             this.debugRowContents(row);
             this.updateRowUnitPrice(row, addonInfo.addonPrice);
-            this.updateRowLineTotal(row, addonInfo.addonPrice);
+            this.updateRowLineTotal(row, addonInfo.addonPrice, addonInfo.lineCharge);
             this.addAddonDetailsToRow(row, addonInfo.addons);
           }
         });
@@ -320,34 +368,44 @@ export class CartPageHandler {
     }
   }
 
-  isRowForVariant(row, variantId) {
-    this.logger.log('Checking if row matches variant:', variantId);
+  // Rows are matched by line key or position first. Themes that only mark rows
+  // with the variant can't tell two lines of the same variant apart
+  isRowForLine(row, lineKey, { variantId, index }) {
+    this.logger.log('Checking if row matches line:', lineKey);
     
     // Check various ways to identify the row
     const checks = [
       {
-        name: 'data-variant-id attribute',
-        check: () => row.getAttribute('data-variant-id') === variantId
+        name: 'data-key attribute',
+        check: () => row.getAttribute('data-key') === lineKey
       },
       {
-        name: 'child with data-variant-id',
-        check: () => row.querySelector(`[data-variant-id="${variantId}"]`)
+        name: 'data-line-item-key',
+        check: () => row.getAttribute('data-line-item-key') === lineKey
+      },
+      {
+        name: 'child with data-key',
+        check: () => row.querySelector(`[data-key="${lineKey}"]`)
       },
       {
         name: 'updates input name',
-        check: () => row.querySelector(`input[name*="updates[${variantId}]"]`)
+        check: () => row.querySelector(`input[name="updates[${lineKey}]"]`)
       },
       {
-        name: 'input with variant value',
-        check: () => row.querySelector(`input[value="${variantId}"]`)
+        name: 'row position',
+        check: () => row.id === `CartItem-${index}`
       },
       {
-        name: 'data-key attribute',
-        check: () => row.getAttribute('data-key') === variantId
+        name: 'data-variant-id attribute',
+        check: () => row.getAttribute('data-variant-id') === variantId
       },
       {
-        name: 'data-line-item-key',
-        check: () => row.getAttribute('data-line-item-key') === variantId
+        name: 'child with data-variant-id',
+        check: () => row.querySelector(`[data-variant-id="${variantId}"]`)
+      },
+      {
+        name: 'input with variant value',
+        check: () => row.querySelector(`input[value="${variantId}"]`)
       }
     ];
     
@@ -355,7 +413,7 @@ export class CartPageHandler {
       try {
         const result = checkObj.check();
         if (result) {
-          this.logger.log(`✅ Row matches variant ${variantId} via: ${checkObj.name}`);
+          this.logger.log(`✅ Row matches line ${lineKey} via: ${checkObj.name}`);
           return true;
         } else {
           this.logger.log(`❌ ${checkObj.name}: no match`);
@@ -374,7 +432,7 @@ export class CartPageHandler {
       'class': row.className
     });
     
-    // Also check if any inputs in the row contain the variant ID
+    // Also log the row's inputs, which often carry the line key or variant ID
     const allInputs = row.querySelectorAll('input');
     allInputs.forEach((input, index) => {
       this.logger.log(`Input ${index}:`, {
@@ -462,7 +520,8 @@ export class CartPageHandler {
     return updated;
   }
 
-  updateRowLineTotal(row, addonPrice) {
+  // addonPrice is charged for each unit on the line, lineCharge once for the whole line
+  updateRowLineTotal(row, addonPrice, lineCharge = 0) {
     this.logger.log('🎯 TARGETING SPECIFIC TOTAL ELEMENTS...');
     
     // Target the EXACT total elements from debug output
@@ -489,7 +548,7 @@ export class CartPageHandler {
           
           // Check if this element contains exactly £0.00
           if (elementText === '£0.00') {
-            const newTotal = addonPrice * quantity;
+            const newTotal = addonPrice * quantity + lineCharge;
             element.textContent = `£${newTotal.toFixed(2)}`;
             element.classList.add('addon-total-updated');
             element.setAttribute('data-original-total', '0');
@@ -499,9 +558,15 @@ export class CartPageHandler {
           }
           // Handle text that contains £0.00
           else if (elementText.includes('£0.00')) {
-            const newTotal = addonPrice * quantity;
-            // Use innerHTML to preserve structure
-            element.innerHTML = element.innerHTML.replace('£0.00', `£${newTotal.toFixed(2)}`);
+            const newTotal = addonPrice * quantity + lineCharge;
+            // Change only the text node with the price so the rest of the markup stays
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            let textNode = walker.nextNode();
+            while (textNode && !textNode.nodeValue.includes('£0.00')) {
+              textNode = walker.nextNode();
+            }
+            if (!textNode) return;
+            textNode.nodeValue = textNode.nodeValue.replace('£0.00', `£${newTotal.toFixed(2)}`);
             element.classList.add('addon-total-updated');
             element.setAttribute('data-original-total', '0');
             
@@ -576,7 +641,6 @@ export class CartPageHandler {
 
   markAsProcessed() {
     this.hasProcessed = true;
-    sessionStorage.setItem('cart_addon_processed', Date.now().toString());
     this.logger.log('Marked cart as processed');
   }
 
@@ -593,76 +657,124 @@ export class CartPageHandler {
     }
   }
 
-  findAddonDataForCartItem(cartItem, addonData) {
-    const productId = cartItem.product_id.toString();
-    const variantId = cartItem.variant_id.toString();
+  isHiddenCartItem(cartItem) {
+    return cartItem.product_id.toString() === this.HIDDEN_PRODUCT_ID ||
+      this.hiddenVariantIds.has(cartItem.variant_id.toString());
+  }
+
+  // Make an amount up from the hidden variants, largest first, so it takes as few
+  // cart units as possible. Works in pence so £0.10 steps don't drift.
+  // Returns { quantities: Map(variantId -> quantity), shortfall } where shortfall
+  // is what couldn't be made up, e.g. because no hidden variant is set up
+  splitIntoDenominations(amount) {
+    let remaining = Math.round(amount * 100);
+    const quantities = new Map();
+    
+    this.HIDDEN_VARIANTS.forEach(variant => {
+      const pence = Math.round(variant.price * 100);
+      const quantity = Math.floor(remaining / pence);
+      if (quantity > 0) {
+        quantities.set(String(variant.variantId), quantity);
+        remaining -= quantity * pence;
+      }
+    });
     
-    // Skip our hidden product
-    if (productId === this.HIDDEN_PRODUCT_ID || variantId === this.HIDDEN_VARIANT_ID) {
-      return null;
+    if (remaining > 0) {
+      this.logger.warn(`£${(remaining / 100).toFixed(2)} can't be made up from the hidden variants`);
     }
-    
-    // Try to match by variant ID first
-    for (const [key, data] of Object.entries(addonData)) {
-      if (data.variantId && data.variantId.toString() === variantId) {
-        this.logger.log('Matched cart item by variant ID:', variantId);
-        return data;
+    return { quantities, shortfall: remaining / 100 };
+  }
+
+  // A parent line's adjustment: its add-on total made up from the hidden variants,
+  // with properties linking the hidden lines back to it and saying what they pay for
+  buildAdjustment(cartItem, lineTotal) {
+    const { quantities, shortfall } = this.splitIntoDenominations(lineTotal);
+    return {
+      parentKey: cartItem.key,
+      quantities,
+      shortfall,
+      properties: {
+        _parent_line_key: cartItem.key,
+        _addon_adjustment: 'true',
+        _note: 'Price adjustment for add-ons',
+        '_Add-ons For': cartItem.title,
+        '_Add-ons': this.describeAddons(this.readLineAddons(cartItem)),
+        '_Add-ons Total': formatMoney(lineTotal)
       }
-    }
-    
-    // Try to match by product ID
-    for (const [key, data] of Object.entries(addonData)) {
-      if (data.productId && data.productId.toString() === productId) {
-        this.logger.log('Matched cart item by product ID:', productId);
-        return data;
+    };
+  }
+
+  // e.g. "Gift Wrap: Yes (+£2.00), Engraving: Happy Birthday"
+  describeAddons(addons) {
+    return addons.map(addon => `${addon.name}: ${addon.value}`).join(', ');
+  }
+
+  // Line quantity changes ({ lineKey: quantity }) and new lines that give every parent
+  // line its own hidden lines. Hidden lines whose parent has gone, whose breakdown
+  // is out of date, or that repeat a variant go to zero, as do lines from before
+  // adjustments were split by parent
+  planHiddenProductChanges(hiddenItems, adjustments) {
+    const updates = {};
+    const seen = new Set();
+    
+    hiddenItems.forEach(item => {
+      const properties = item.properties || {};
+      const adjustment = adjustments.find(entry => entry.parentKey === properties._parent_line_key);
+      const variantId = item.variant_id.toString();
+      const current = adjustment && !seen.has(`${adjustment.parentKey}:${variantId}`) &&
+        ['_Add-ons', '_Add-ons Total'].every(name => properties[name] === adjustment.properties[name]);
+      
+      const quantity = current ? (adjustment.quantities.get(variantId) || 0) : 0;
+      if (current) {
+        seen.add(`${adjustment.parentKey}:${variantId}`);
       }
-    }
+      if (item.quantity !== quantity) {
+        updates[item.key] = quantity;
+      }
+    });
+    
+    const additions = [];
+    adjustments.forEach(adjustment => {
+      adjustment.quantities.forEach((quantity, variantId) => {
+        if (!seen.has(`${adjustment.parentKey}:${variantId}`)) {
+          additions.push({ id: variantId, quantity, properties: adjustment.properties });
+        }
+      });
+    });
     
-    return null;
+    return { updates, additions };
   }
 
-  async addHiddenProduct(quantity) {
+  async addHiddenProducts(additions) {
     try {
-      this.logger.log('Adding hidden product with quantity:', quantity);
-      
-      const formData = new FormData();
-      formData.append('id', this.HIDDEN_VARIANT_ID);
-      formData.append('quantity', quantity);
-      formData.append('properties[_addon_adjustment]', 'true');
-      formData.append('properties[_note]', `Price adjustment for add-ons`);
+      this.logger.log('Adding hidden product lines:', additions);
       
       const response = await fetch('/cart/add.js', {
         method: 'POST',
-        body: formData
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ items: additions })
       });
       
       if (response.ok) {
-        const result = await response.json();
-        this.logger.log('✅ Hidden product added successfully');
-        this.markAsProcessed();
-        
-        // Update the display prices
-        this.updateLineItemPrices();
-        
-        // Show subtle notification
-        this.showUpdateNotification();
-        
-      } else {
-        const error = await response.text();
-        this.logger.error('Failed to add hidden product:', error);
+        this.logger.log('✅ Hidden product lines added successfully');
+        return true;
       }
       
+      const error = await response.text();
+      this.logger.error('Failed to add hidden product lines:', error);
+      return false;
+      
     } catch (error) {
-      this.logger.error('Error adding hidden product:', error);
+      this.logger.error('Error adding hidden product lines:', error);
+      return false;
     }
   }
 
-  async updateHiddenProductQuantity(lineKey, newQuantity) {
+  async updateHiddenProductQuantities(updates) {
     try {
-      this.logger.log('Updating hidden product quantity to:', newQuantity);
-      
-      const updates = {};
-      updates[lineKey] = newQuantity;
+      this.logger.log('Updating hidden product quantities:', updates);
       
       const response = await fetch('/cart/update.js', {
         method: 'POST',
@@ -673,22 +785,57 @@ export class CartPageHandler {
       });
       
       if (response.ok) {
-        this.logger.log('✅ Hidden product quantity updated successfully');
-        this.markAsProcessed();
-        
-        // Update the display prices
-        this.updateLineItemPrices();
-        
-        // Show subtle notification
-        this.showUpdateNotification();
-        
-      } else {
-        const error = await response.text();
-        this.logger.error('Failed to update hidden product:', error);
+        this.logger.log('✅ Hidden product quantities updated successfully');
+        return true;
       }
       
+      const error = await response.text();
+      this.logger.error('Failed to update hidden product:', error);
+      return false;
+      
     } catch (error) {
-      this.logger.error('Error updating hidden product quantity:', error);
+      this.logger.error('Error updating hidden product quantities:', error);
+      return false;
+    }
+  }
+
+  // The store's hidden product can't carry the add-on charges (e.g. it was deleted
+  // and not repaired), so checkout buttons are turned off and the shopper is told
+  // why rather than being let through without paying for their add-ons
+  blockCheckout() {
+    const checkoutSelectors = [
+      '[name="checkout"]',
+      'a[href^="/checkout"]',
+      '.additional-checkout-buttons',
+      'shopify-accelerated-checkout-cart'
+    ];
+    document.querySelectorAll(checkoutSelectors.join(', ')).forEach(element => {
+      element.setAttribute('disabled', 'disabled');
+      element.setAttribute('aria-disabled', 'true');
+      element.style.pointerEvents = 'none';
+      element.style.opacity = '0.5';
+    });
+    
+    if (document.getElementById('addon-checkout-error')) return;
+    
+    const message = document.createElement('div');
+    message.id = 'addon-checkout-error';
+    message.setAttribute('role', 'alert');
+    message.style.cssText = `
+      margin: 16px 0;
+      padding: 12px 16px;
+      border-left: 4px solid #c62828;
+      background: #fdecea;
+      color: #c62828;
+      font-size: 14px;
+    `;
+    message.textContent = 'Add-on charges can\'t be added to this cart right now, so checkout is unavailable. Please remove the add-ons or contact the store.';
+    
+    const cartForm = document.querySelector('form[action*="/cart"]');
+    if (cartForm) {
+      cartForm.parentNode.insertBefore(message, cartForm);
+    } else {
+      document.body.prepend(message);
     }
   }
 
@@ -2,6 +2,8 @@
 import { ApiClient } from './api-client.js';
 import { ProductDetector } from './product-detector.js';
 import { AddonStorage } from './addon-storage.js';
+import { AddonPricing } from './addon-pricing.js';
+import { AddonConfig, formatMoney } from './addon-config.js';
 
 export class ProductPageHandler {
   constructor(logger) {
@@ -9,6 +11,15 @@ export class ProductPageHandler {
     this.apiClient = new ApiClient(logger);
     this.productDetector = new ProductDetector(logger);
     this.addonStorage = new AddonStorage(logger);
+    this.addonsById = new Map();
+    this.currentVariantId = null;
+    this.variantPrice = 0;
+    this.productVariants = null;
+    this.cartFormIntercepted = false;
+    this.selectionToken = null;
+    this.serverPricingStale = false;
+    this.serverPricingTimer = null;
+    this.pricingRequestId = 0;
   }
 
   async init() {
@@ -19,18 +30,175 @@ export class ProductPageHandler {
     }
 
     this.logger.log('Found product ID:', productId);
-    const addons = await this.apiClient.loadAddons(productId);
+    this.currentVariantId = this.getSelectedVariantId();
+    const [{ addons, groups }, variantPrice] = await Promise.all([
+      this.apiClient.loadAddons(productId, this.currentVariantId),
+      this.getVariantPrice(this.currentVariantId)
+    ]);
+    this.variantPrice = variantPrice;
     
-    if (addons && addons.length > 0) {
-      this.renderAddons(addons);
-      this.initializeCartHandling();
-      this.setupCartFormInterception();
+    // Other variants may have add-ons even when this one has none
+    this.watchVariantChanges();
+    this.watchQuantityChanges();
+    
+    if (addons.length > 0) {
+      this.showAddons(addons, groups);
     } else {
       this.logger.log('No add-ons found for this product');
     }
   }
 
-  renderAddons(addons) {
+  showAddons(addons, groups, previousValues = {}) {
+    this.renderAddons(addons, groups, previousValues);
+    this.initializeCartHandling();
+    
+    if (!this.cartFormIntercepted) {
+      this.setupCartFormInterception();
+      this.cartFormIntercepted = true;
+    }
+  }
+
+  watchVariantChanges() {
+    // Themes announce a new variant through a change on the variant input or the
+    // option pickers, and update the variant input in their own change handler
+    document.addEventListener('change', (event) => {
+      if (event.target.closest && event.target.closest('#product-addons-container')) return;
+      setTimeout(() => this.handleVariantChange(), 0);
+    });
+  }
+
+  // Per-unit add-ons are charged for every item, so totals follow the quantity
+  watchQuantityChanges() {
+    document.addEventListener('change', (event) => {
+      if (event.target.name !== 'quantity' || !window.productAddons) return;
+      this.updateTotalPrice();
+      this.updateCartProperties();
+    });
+  }
+
+  // Quantity the shopper is about to add to the cart
+  getQuantity() {
+    const input = document.querySelector('form[action*="/cart/add"] [name="quantity"]');
+    return input ? parseInt(input.value) || 1 : 1;
+  }
+
+  // Reload the add-ons offered on the newly selected variant, keeping the
+  // shopper's choices for any add-ons both variants share
+  async handleVariantChange() {
+    const variantId = this.getSelectedVariantId();
+    if (!variantId || String(variantId) === String(this.currentVariantId)) return;
+
+    this.logger.log('Variant changed to:', variantId);
+    this.currentVariantId = variantId;
+
+    const previousValues = this.getAddonValues();
+    const [{ addons, groups }, variantPrice] = await Promise.all([
+      this.apiClient.loadAddons(this.productDetector.getProductId(), variantId),
+      this.getVariantPrice(variantId)
+    ]);
+
+    // The shopper picked another variant while this one was loading
+    if (String(variantId) !== String(this.currentVariantId)) return;
+    this.variantPrice = variantPrice;
+
+    if (addons.length > 0) {
+      this.showAddons(addons, groups, previousValues);
+    } else {
+      this.removeAddons();
+    }
+  }
+
+  // Price of a variant in pounds, which percentage-priced add-ons are worked out from
+  async getVariantPrice(variantId) {
+    if (!this.productVariants) {
+      const meta = window.ShopifyAnalytics && window.ShopifyAnalytics.meta && window.ShopifyAnalytics.meta.product;
+      if (meta && Array.isArray(meta.variants)) {
+        this.productVariants = meta.variants;
+      } else {
+        const handleMatch = window.location.pathname.match(/\/products\/([^\/\?]+)/);
+        try {
+          const response = handleMatch ? await fetch(`/products/${handleMatch[1]}.js`) : null;
+          this.productVariants = response && response.ok ? (await response.json()).variants : [];
+        } catch (error) {
+          this.logger.error('Error loading product variants:', error);
+          this.productVariants = [];
+        }
+      }
+    }
+
+    // Storefront prices are in pence
+    const variant = this.productVariants.find(v => String(v.id) === String(variantId)) || this.productVariants[0];
+    return variant ? variant.price / 100 : 0;
+  }
+
+  // Price of an add-on or option on the current variant, with the percentage
+  // when it is charged as a share of the variant price
+  resolvePrice(addon, option = null) {
+    const amount = parseFloat((option || addon).price) || 0;
+    const once = addon.chargePer === 'line';
+    if (AddonPricing.isPercentPriced(addon, option)) {
+      return { price: AddonPricing.calculatePercentPrice(amount, this.variantPrice), percent: amount, once };
+    }
+    return { price: amount, percent: null, once };
+  }
+
+  formatPrice({ price, percent, once }) {
+    const amount = percent !== null ? `+${formatMoney(price)} (${percent}%)` : `+${formatMoney(price)}`;
+    return once ? `${amount} one-off` : amount;
+  }
+
+  removeAddons() {
+    document.querySelectorAll('#product-addons-container').forEach(container => container.remove());
+    
+    this.addonsById = new Map();
+    window.productAddons = {};
+    clearTimeout(this.serverPricingTimer);
+    this.serverPricingStale = false;
+    this.pricingRequestId++;
+    this.selectionToken = null;
+    
+    this.storeSelections();
+    this.updateCartProperties();
+  }
+
+  // Raw value of every rendered add-on input, keyed by add-on ID
+  getAddonValues() {
+    const values = {};
+    document.querySelectorAll('#product-addons-container .addon-item').forEach(item => {
+      const input = this.getActiveAddonInput(item);
+      if (!input) return;
+
+      values[item.getAttribute('data-addon-id')] = input.type === 'checkbox'
+        ? (input.checked ? 'selected' : '')
+        : input.value;
+    });
+    return values;
+  }
+
+  restoreAddonValues(addonList, values) {
+    addonList.querySelectorAll('.addon-item').forEach(item => {
+      const value = values[item.getAttribute('data-addon-id')];
+      if (value === undefined) return;
+
+      const checkbox = item.querySelector('.addon-checkbox');
+      const dropdown = item.querySelector('.addon-dropdown');
+      const text = item.querySelector('.addon-text');
+      const radio = Array.from(item.querySelectorAll('.addon-radio')).find(input => input.value === value);
+
+      if (checkbox && !checkbox.disabled) {
+        checkbox.checked = value === 'selected';
+      } else if (dropdown && Array.from(dropdown.options).some(option => option.value === value)) {
+        dropdown.value = value;
+      } else if (radio) {
+        radio.checked = true;
+      } else if (text) {
+        text.value = value;
+        this.updateTextCounter(text);
+      }
+    });
+  }
+
+  renderAddons(addons, groups = [], previousValues = {}) {
     // Remove any existing containers
     const existingContainers = document.querySelectorAll('#product-addons-container');
     existingContainers.forEach(container => {
@@ -44,14 +212,128 @@ export class ProductPageHandler {
       return;
     }
 
+    this.addonsById = new Map(addons.map(addon => [String(addon.id), addon]));
+
+    // Add-ons outside any group come first, then each group's section
     const addonList = container.querySelector('#addon-list');
-    addons.forEach(addon => {
+    const groupBodies = new Map();
+    groups.forEach(group => {
+      const section = this.createGroupElement(group);
+      addonList.appendChild(section);
+      group.addonIds.forEach(addonId => groupBodies.set(String(addonId), section.querySelector('.addon-group-body')));
+    });
+
+    this.orderAddons(addons).forEach(addon => {
       const addonElement = this.createAddonElement(addon);
-      addonList.appendChild(addonElement);
+      this.addHelpText(addonElement, addon);
+      const groupBody = groupBodies.get(String(addon.id));
+      if (groupBody) {
+        groupBody.appendChild(addonElement);
+      } else {
+        addonList.insertBefore(addonElement, addonList.querySelector('.addon-group'));
+      }
     });
 
     this.insertContainer(container);
+    this.restoreAddonValues(addonList, previousValues);
+
+    // Record the starting state (e.g. required checkboxes) so conditions can be checked against it
+    window.productAddons = {};
+    addonList.querySelectorAll('.addon-item').forEach(item => {
+      const input = this.getActiveAddonInput(item);
+      if (input) this.recordAddonSelection(input);
+    });
+    this.applyVisibilityRules();
+
     this.updateTotalPrice();
+    this.updateCartProperties();
+    if (Object.values(window.productAddons).some(addon => addon.selected)) {
+      this.scheduleServerPricing();
+    }
+  }
+
+  // Items in the merchant's order. Items saved before positions existed have
+  // none and keep their place in the list
+  sortByPosition(items) {
+    return items
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => (a.item.position ?? a.index) - (b.item.position ?? b.index) || a.index - b.index)
+      .map(({ item }) => item);
+  }
+
+  // The product's own add-ons come first, then each set's in the order the
+  // server sent the sets, each group in position order
+  orderAddons(addons) {
+    const groups = new Map();
+    addons.forEach(addon => {
+      const key = addon.setId ? `set-${addon.setId}` : 'product';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(addon);
+    });
+    return [...groups.values()].flatMap(group => this.sortByPosition(group));
+  }
+
+  // A titled section for an add-on group. Collapsible groups get a button
+  // heading that opens and closes the section
+  createGroupElement(group) {
+    const section = document.createElement('section');
+    section.className = 'addon-group';
+    section.setAttribute('data-group-id', group.id);
+
+    const bodyId = `addon-group-${group.id}`;
+    section.innerHTML = group.collapsible
+      ? `<h4 class="addon-group-title"><button type="button" class="addon-group-toggle" aria-controls="${bodyId}"></button></h4>`
+      : '<h4 class="addon-group-title"></h4>';
+
+    // Merchant-provided text is set through the DOM so it never needs escaping
+    const title = section.querySelector('.addon-group-toggle') || section.querySelector('.addon-group-title');
+    title.textContent = group.name;
+
+    if (group.description) {
+      const description = document.createElement('p');
+      description.className = 'addon-group-description';
+      description.textContent = group.description;
+      section.appendChild(description);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'addon-group-body';
+    body.id = bodyId;
+    section.appendChild(body);
+
+    if (group.collapsible) {
+      const toggle = section.querySelector('.addon-group-toggle');
+      toggle.addEventListener('click', () => {
+        this.setGroupCollapsed(section, toggle.getAttribute('aria-expanded') === 'true');
+      });
+      this.setGroupCollapsed(section, group.collapsed);
+    }
+
+    return section;
+  }
+
+  setGroupCollapsed(section, collapsed) {
+    const toggle = section.querySelector('.addon-group-toggle');
+    if (!toggle) return;
+
+    toggle.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+    section.classList.toggle('addon-group--collapsed', collapsed);
+    section.querySelector('.addon-group-body').hidden = collapsed;
+  }
+
+  // A "?" after the add-on's name that shows the merchant's help text on hover or focus
+  addHelpText(item, addon) {
+    const label = item.querySelector('.addon-option label');
+    if (!addon.helpText || !label) return;
+
+    const help = document.createElement('span');
+    help.className = 'addon-help';
+    help.tabIndex = 0;
+    help.textContent = '?';
+    help.setAttribute('data-help', addon.helpText);
+    help.setAttribute('aria-label', addon.helpText);
+    // Kept outside the label so clicking it doesn't tick the add-on
+    label.insertAdjacentElement('afterend', help);
   }
 
   createAddonsContainer() {
@@ -60,17 +342,24 @@ export class ProductPageHandler {
     container.className = 'product-addons';
     container.innerHTML = `
       <div class="addon-header">
-        <h3>Customize Your Order</h3>
+        <h3></h3>
         <div class="addon-total">
-          Additional: <span id="addon-total">£0.00</span>
+          <span class="addon-total-label"></span>: <span id="addon-total"></span>
         </div>
       </div>
       <div id="addon-list"></div>
       <div class="addon-info">
-        <small>Selected add-ons will be added to your cart automatically</small>
+        <small></small>
       </div>
     `;
 
+    // The shop's wording is set through the DOM so it never needs escaping
+    const labels = AddonConfig.UI.LABELS;
+    container.querySelector('.addon-header h3').textContent = labels.heading;
+    container.querySelector('.addon-total-label').textContent = labels.total;
+    container.querySelector('#addon-total').textContent = formatMoney(0);
+    container.querySelector('.addon-info small').textContent = labels.note;
+
     // Add styling if not already present
     if (!document.getElementById('addon-styles')) {
       const style = document.createElement('style');
@@ -114,6 +403,73 @@ export class ProductPageHandler {
         .product-addons .addon-item:hover {
           border-color: #007ace;
         }
+        .product-addons .addon-group {
+          margin: 16px 0;
+        }
+        .product-addons .addon-group-title {
+          margin: 0;
+          font-size: 16px;
+          font-weight: 600;
+          color: #333;
+        }
+        .product-addons .addon-group-toggle {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          width: 100%;
+          padding: 0;
+          border: 0;
+          background: none;
+          font: inherit;
+          color: inherit;
+          text-align: left;
+          cursor: pointer;
+        }
+        .product-addons .addon-group-toggle::after {
+          content: '−';
+          font-size: 18px;
+          color: #007ace;
+        }
+        .product-addons .addon-group--collapsed .addon-group-toggle::after {
+          content: '+';
+        }
+        .product-addons .addon-group-description {
+          margin: 4px 0 0;
+          font-size: 13px;
+          color: #666;
+        }
+        .product-addons .addon-help {
+          position: relative;
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          width: 18px;
+          height: 18px;
+          border-radius: 50%;
+          background: #e3f1fb;
+          color: #007ace;
+          font-size: 12px;
+          font-weight: bold;
+          cursor: help;
+        }
+        .product-addons .addon-help:hover::after,
+        .product-addons .addon-help:focus::after {
+          content: attr(data-help);
+          position: absolute;
+          bottom: calc(100% + 6px);
+          left: 50%;
+          transform: translateX(-50%);
+          z-index: 10;
+          width: max-content;
+          max-width: 240px;
+          padding: 8px;
+          border-radius: 4px;
+          background: #333;
+          color: white;
+          font-size: 12px;
+          font-weight: normal;
+          white-space: normal;
+        }
         .product-addons .addon-option {
           display: flex;
           align-items: center;
@@ -143,6 +499,78 @@ export class ProductPageHandler {
           background: white;
           font-size: 14px;
         }
+        .product-addons .addon-choices {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin-top: 8px;
+        }
+        .product-addons .addon-choice {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          cursor: pointer;
+          font-size: 14px;
+        }
+        .product-addons .addon-choices--radio {
+          flex-direction: column;
+        }
+        .product-addons .addon-choices--swatch .addon-choice {
+          flex-direction: column;
+          width: 72px;
+          text-align: center;
+          font-size: 12px;
+        }
+        .product-addons .addon-choices--swatch .addon-radio {
+          position: absolute;
+          opacity: 0;
+          pointer-events: none;
+        }
+        .product-addons .addon-swatch {
+          display: block;
+          width: 44px;
+          height: 44px;
+          border: 2px solid #ddd;
+          border-radius: 50%;
+          background-size: cover;
+          background-position: center;
+          transition: border-color 0.2s, box-shadow 0.2s;
+        }
+        .product-addons .addon-swatch--none {
+          background: repeating-linear-gradient(45deg, #fff, #fff 6px, #eee 6px, #eee 12px);
+        }
+        .product-addons .addon-radio:checked + .addon-swatch {
+          border-color: #007ace;
+          box-shadow: 0 0 0 2px #007ace;
+        }
+        .product-addons .addon-radio:focus-visible + .addon-swatch {
+          outline: 2px solid #007ace;
+          outline-offset: 2px;
+        }
+        .product-addons .addon-text {
+          display: block;
+          box-sizing: border-box;
+          width: 100%;
+          margin-top: 8px;
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-family: inherit;
+          font-size: 14px;
+        }
+        .product-addons .addon-text.addon-invalid {
+          border-color: #d72c0d;
+        }
+        .product-addons .addon-text-meta {
+          display: flex;
+          justify-content: space-between;
+          margin-top: 4px;
+          font-size: 12px;
+          color: #666;
+        }
+        .product-addons .addon-text-error {
+          color: #d72c0d;
+        }
         .product-addons .addon-info {
           margin-top: 12px;
           padding-top: 12px;
@@ -163,25 +591,29 @@ export class ProductPageHandler {
     const item = document.createElement('div');
     item.className = 'addon-item';
     item.setAttribute('data-addon-id', addon.id);
+    item.setAttribute('data-addon-name', addon.name);
 
     if (addon.type === 'checkbox') {
+      const resolved = this.resolvePrice(addon);
       item.innerHTML = `
         <div class="addon-option">
           <input type="checkbox" 
                  id="addon-${addon.id}" 
                  class="addon-checkbox" 
                  data-addon-id="${addon.id}" 
-                 data-price="${addon.price}" 
+                 data-price="${resolved.price}" 
+                 ${resolved.percent !== null ? `data-percent="${resolved.percent}"` : ''}
                  ${addon.required ? 'checked disabled' : ''}>
           <label for="addon-${addon.id}">${addon.name}</label>
-          <span class="addon-price">+£${addon.price.toFixed(2)}</span>
+          <span class="addon-price">${this.formatPrice(resolved)}</span>
         </div>
       `;
     } else if (addon.type === 'dropdown') {
-      const options = addon.options || [];
-      const optionElements = options.map(option => 
-        `<option value="${option.value}" data-price="${option.price || 0}">${option.label} (+£${(option.price || 0).toFixed(2)})</option>`
-      ).join('');
+      const options = this.sortByPosition(addon.options || []);
+      const optionElements = options.map(option => {
+        const resolved = this.resolvePrice(addon, option);
+        return `<option value="${option.value}" data-price="${resolved.price}"${resolved.percent !== null ? ` data-percent="${resolved.percent}"` : ''}>${option.label} (${this.formatPrice(resolved)})</option>`;
+      }).join('');
 
       item.innerHTML = `
         <div class="addon-option">
@@ -189,16 +621,123 @@ export class ProductPageHandler {
           <select id="addon-${addon.id}" 
                   class="addon-dropdown" 
                   data-addon-id="${addon.id}">
-            <option value="" data-price="0">None</option>
+            ${addon.required ? '' : '<option value="" data-price="0"></option>'}
             ${optionElements}
           </select>
         </div>
       `;
+      // Required dropdowns start on their first option instead of "None"
+      const noneOption = item.querySelector('.addon-dropdown option[value=""]');
+      if (noneOption) noneOption.textContent = AddonConfig.UI.LABELS.none;
+    } else if (addon.type === 'radio' || addon.type === 'swatch') {
+      this.renderChoiceAddon(item, addon);
+    } else if (addon.type === 'text' || addon.type === 'textarea') {
+      const field = addon.type === 'textarea'
+        ? `<textarea id="addon-${addon.id}" class="addon-text" rows="3"></textarea>`
+        : `<input type="text" id="addon-${addon.id}" class="addon-text">`;
+
+      item.innerHTML = `
+        <div class="addon-option">
+          <label for="addon-${addon.id}"></label>
+          <span class="addon-price">${AddonPricing.describeTextPrice(addon)}${addon.chargePer === 'line' ? ' one-off' : ''}</span>
+        </div>
+        ${field}
+        <div class="addon-text-meta">
+          <span class="addon-text-error"></span>
+          <span class="addon-text-count"></span>
+        </div>
+      `;
+
+      // Set merchant-provided values through the DOM so they never need escaping
+      item.querySelector('label').textContent = `${addon.name}${addon.required ? ' *' : ''}`;
+      const input = item.querySelector('.addon-text');
+      input.setAttribute('data-addon-id', addon.id);
+      input.setAttribute('data-price', addon.price);
+      input.setAttribute('data-required', addon.required ? 'true' : 'false');
+      if (addon.placeholder) input.placeholder = addon.placeholder;
+      if (addon.minLength != null) input.setAttribute('data-min-length', addon.minLength);
+      if (addon.maxLength != null) {
+        input.setAttribute('data-max-length', addon.maxLength);
+        input.maxLength = addon.maxLength;
+      }
+      if (addon.pattern) input.setAttribute('data-pattern', addon.pattern);
+
+      this.updateTextCounter(input);
     }
 
     return item;
   }
 
+  // Radio buttons, or radio buttons drawn as colour/image swatches
+  renderChoiceAddon(item, addon) {
+    const isSwatch = addon.type === 'swatch';
+    const choices = this.sortByPosition(addon.options || []).map(option => ({
+      value: option.value,
+      label: option.label,
+      ...this.resolvePrice(addon, option),
+      color: option.color,
+      image: option.image
+    }));
+
+    // Radios can't be cleared, so optional add-ons get an explicit "None" choice
+    if (!addon.required) {
+      choices.unshift({ value: '', label: '', price: 0, percent: null });
+    }
+
+    item.innerHTML = `
+      <div class="addon-option">
+        <label></label>
+      </div>
+      <div class="addon-choices addon-choices--${isSwatch ? 'swatch' : 'radio'}"
+           role="radiogroup"
+           data-addon-id="${addon.id}"
+           data-required="${addon.required ? 'true' : 'false'}">
+      </div>
+      <div class="addon-text-meta">
+        <span class="addon-text-error"></span>
+      </div>
+    `;
+    item.querySelector('.addon-option label').textContent = `${addon.name}${addon.required ? ' *' : ''}`;
+
+    // Choices are built through the DOM so merchant labels, values, colours and
+    // images never need escaping
+    const group = item.querySelector('.addon-choices');
+    choices.forEach(choice => {
+      const isNone = choice.value === '';
+      const label = isNone ? AddonConfig.UI.LABELS.none : choice.label;
+
+      const wrapper = document.createElement('label');
+      wrapper.className = 'addon-choice';
+      wrapper.title = label;
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = `addon-${addon.id}`;
+      input.className = 'addon-radio';
+      input.value = choice.value;
+      input.checked = isNone;
+      input.setAttribute('data-addon-id', addon.id);
+      input.setAttribute('data-price', choice.price);
+      if (choice.percent !== null) input.setAttribute('data-percent', choice.percent);
+      wrapper.appendChild(input);
+
+      if (isSwatch) {
+        const swatch = document.createElement('span');
+        swatch.className = isNone ? 'addon-swatch addon-swatch--none' : 'addon-swatch';
+        if (choice.color) swatch.style.backgroundColor = choice.color;
+        if (choice.image) swatch.style.backgroundImage = `url(${JSON.stringify(choice.image)})`;
+        wrapper.appendChild(swatch);
+      }
+
+      const text = document.createElement('span');
+      text.className = 'addon-choice-label';
+      text.textContent = choice.price ? `${label} (${this.formatPrice(choice)})` : label;
+      wrapper.appendChild(text);
+
+      group.appendChild(wrapper);
+    });
+  }
+
   insertContainer(container) {
     const insertionPoints = [
       'form[action*="/cart/add"] .product-form__buttons',
@@ -236,10 +775,16 @@ export class ProductPageHandler {
   initializeCartHandling() {
     const checkboxes = document.querySelectorAll('.addon-checkbox');
     const dropdowns = document.querySelectorAll('.addon-dropdown');
+    const textFields = document.querySelectorAll('.addon-text');
+    const radios = document.querySelectorAll('.addon-radio');
 
-    [...checkboxes, ...dropdowns].forEach(element => {
+    [...checkboxes, ...dropdowns, ...radios].forEach(element => {
       element.addEventListener('change', (event) => this.handleAddonChange(event));
     });
+
+    textFields.forEach(element => {
+      element.addEventListener('input', (event) => this.handleAddonChange(event));
+    });
   }
 
   setupCartFormInterception() {
@@ -251,6 +796,30 @@ export class ProductPageHandler {
 
     this.logger.log('Setting up cart form interception');
     
+    // Capture phase so invalid add-ons stop theme AJAX submit handlers too
+    cartForm.addEventListener('submit', async (event) => {
+      if (!this.validateAddons()) {
+        this.logger.log('Add-on selections invalid, blocking cart submission');
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        return;
+      }
+      
+      // Hold the submission until the app has confirmed the add-on prices
+      if (this.serverPricingStale) {
+        this.logger.log('Waiting for server add-on pricing before submitting');
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        
+        await this.refreshServerPrices();
+        if (typeof cartForm.requestSubmit === 'function') {
+          cartForm.requestSubmit(event.submitter);
+        } else {
+          cartForm.submit();
+        }
+      }
+    }, true);
+    
     cartForm.addEventListener('submit', async (event) => {
       // Don't prevent the default submission - let it proceed
       this.logger.log('Cart form submitting, storing addon data...');
@@ -267,10 +836,21 @@ export class ProductPageHandler {
   }
 
   handleAddonChange(event) {
-    const element = event.target;
+    this.recordAddonSelection(event.target);
+    this.applyVisibilityRules();
+    this.storeSelections();
+
+    this.updateTotalPrice();
+    this.updateCartProperties();
+    this.scheduleServerPricing();
+  }
+
+  // Work out the price and value of an add-on input and keep it in window.productAddons
+  recordAddonSelection(element) {
     const addonId = element.getAttribute('data-addon-id');
     let price = 0;
     let selectedValue = '';
+    let priceSource = element;
 
     if (element.type === 'checkbox') {
       price = element.checked ? parseFloat(element.getAttribute('data-price')) : 0;
@@ -279,19 +859,39 @@ export class ProductPageHandler {
       const selectedOption = element.options[element.selectedIndex];
       price = selectedOption ? parseFloat(selectedOption.getAttribute('data-price')) : 0;
       selectedValue = element.value;
+      priceSource = selectedOption;
+    } else if (element.type === 'radio') {
+      price = parseFloat(element.getAttribute('data-price'));
+      selectedValue = element.value;
+      this.showTextError(element, '');
+    } else if (element.classList.contains('addon-text')) {
+      selectedValue = element.value.trim();
+      price = AddonPricing.calculateTextPrice(this.addonsById.get(addonId), selectedValue);
+      this.updateTextCounter(element);
+      this.showTextError(element, '');
     }
 
     this.logger.log(`Addon ${addonId} changed. Value: ${selectedValue}, Price: ${price}`);
     
     // Store addon selection in memory
+    const item = element.closest('.addon-item');
     window.productAddons = window.productAddons || {};
     window.productAddons[addonId] = {
-      selected: element.type === 'checkbox' ? element.checked : element.value !== '',
+      selected: element.type === 'checkbox' ? element.checked : selectedValue !== '',
       price: price,
       value: selectedValue,
-      name: element.closest('.addon-item').querySelector('label').textContent.replace(':', '').trim()
+      type: element.classList.contains('addon-text') ? 'text' : element.type,
+      chargePer: this.addonsById.get(addonId).chargePer || 'unit',
+      name: item.getAttribute('data-addon-name') || item.querySelector('label').textContent.replace(':', '').trim()
     };
 
+    // Kept so the cart can price it again from the line price
+    if (priceSource && priceSource.hasAttribute('data-percent')) {
+      window.productAddons[addonId].percent = parseFloat(priceSource.getAttribute('data-percent'));
+    }
+  }
+
+  storeSelections() {
     // Store in session storage with variant ID
     const productId = this.productDetector.getProductId();
     const variantId = this.getSelectedVariantId();
@@ -301,11 +901,209 @@ export class ProductPageHandler {
     if (productId) {
       this.addonStorage.storeProductAddons(productId, window.productAddons, variantId);
     }
+  }
+
+  // The input that currently holds an add-on's value, null for an unanswered radio group
+  getActiveAddonInput(item) {
+    return item.querySelector('.addon-checkbox, .addon-dropdown, .addon-text, .addon-radio:checked');
+  }
+
+  // Show or hide add-ons whose conditions depend on other add-ons. Hidden add-ons
+  // are dropped from window.productAddons so they are neither charged nor sent to the cart
+  applyVisibilityRules() {
+    const items = document.querySelectorAll('#product-addons-container .addon-item');
+    window.productAddons = window.productAddons || {};
+
+    // Showing or hiding one add-on can change the rules of another, so repeat until
+    // nothing changes. The pass limit stops circular rules from looping forever
+    for (let pass = 0; pass <= items.length; pass++) {
+      let changed = false;
+
+      items.forEach(item => {
+        const addonId = item.getAttribute('data-addon-id');
+        const addon = this.addonsById.get(addonId);
+        const visible = !addon || !addon.conditions || this.evaluateConditions(addon.conditions);
+        const hidden = item.hasAttribute('data-addon-hidden');
+
+        if (visible !== hidden) return;
+        changed = true;
+
+        if (visible) {
+          this.logger.log(`Showing addon ${addonId}`);
+          item.style.display = '';
+          item.removeAttribute('data-addon-hidden');
+
+          const input = this.getActiveAddonInput(item);
+          if (input) this.recordAddonSelection(input);
+        } else {
+          this.logger.log(`Hiding addon ${addonId}`);
+          item.style.display = 'none';
+          item.setAttribute('data-addon-hidden', 'true');
+          delete window.productAddons[addonId];
+        }
+      });
+
+      if (!changed) break;
+    }
+
+    // A group whose add-ons are all hidden isn't shown either
+    document.querySelectorAll('#product-addons-container .addon-group').forEach(section => {
+      section.hidden = !section.querySelector('.addon-item:not([data-addon-hidden])');
+    });
+  }
+
+  evaluateConditions(conditions) {
+    const rules = conditions.rules || [];
+    if (rules.length === 0) return true;
+
+    const results = rules.map(rule => {
+      // Hidden add-ons count as unselected
+      const target = window.productAddons[rule.addonId] || { selected: false, value: '' };
 
+      switch (rule.operator) {
+        case 'checked':
+          return target.selected;
+        case 'not_checked':
+          return !target.selected;
+        case 'equals':
+          return target.selected && target.value === rule.value;
+        case 'not_equals':
+          return !target.selected || target.value !== rule.value;
+        default:
+          return true;
+      }
+    });
+
+    return conditions.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+  }
+
+  scheduleServerPricing() {
+    this.serverPricingStale = true;
+    clearTimeout(this.serverPricingTimer);
+    this.serverPricingTimer = setTimeout(() => this.refreshServerPrices(), 400);
+  }
+
+  // Replace the locally calculated prices with the ones worked out by the app
+  async refreshServerPrices() {
+    clearTimeout(this.serverPricingTimer);
+    
+    const selections = Object.entries(window.productAddons || {})
+      .filter(([addonId, addon]) => addon.selected)
+      .map(([addonId, addon]) => ({ addonId, value: addon.value }));
+    
+    const requestId = ++this.pricingRequestId;
+    const result = selections.length > 0
+      ? await this.apiClient.calculatePrices(selections, this.currentVariantId, this.productDetector.getProductId())
+      : { addons: [], total: 0, token: null };
+    
+    // A newer change has been made while this request was in flight
+    if (requestId !== this.pricingRequestId) return;
+    this.serverPricingStale = false;
+    
+    if (!result) {
+      this.logger.log('Server pricing unavailable, keeping local prices');
+      this.selectionToken = null;
+      this.updateCartProperties();
+      return;
+    }
+    
+    // Lets order processing check the cart line's add-on charge
+    this.selectionToken = result.token || null;
+    
+    result.addons.forEach(serverAddon => {
+      const addon = window.productAddons[serverAddon.id];
+      if (addon && addon.price !== serverAddon.price) {
+        this.logger.log(`Server price for addon ${serverAddon.id}: £${serverAddon.price} (local £${addon.price})`);
+        addon.price = serverAddon.price;
+      }
+    });
+    
+    const productId = this.productDetector.getProductId();
+    if (productId) {
+      this.addonStorage.storeProductAddons(productId, window.productAddons, this.getSelectedVariantId());
+    }
+    
     this.updateTotalPrice();
     this.updateCartProperties();
   }
 
+  updateTextCounter(input) {
+    const counter = input.closest('.addon-item').querySelector('.addon-text-count');
+    if (!counter) return;
+
+    const maxLength = input.getAttribute('data-max-length');
+    counter.textContent = maxLength ? `${input.value.length}/${maxLength}` : '';
+  }
+
+  showTextError(input, message) {
+    const error = input.closest('.addon-item').querySelector('.addon-text-error');
+    if (error) error.textContent = message;
+    if (input.classList.contains('addon-text')) {
+      input.classList.toggle('addon-invalid', !!message);
+    }
+  }
+
+  // Returns an error message for a text add-on, or an empty string when valid
+  getTextAddonError(input) {
+    const value = input.value.trim();
+    const minLength = input.getAttribute('data-min-length');
+    const maxLength = input.getAttribute('data-max-length');
+    const pattern = input.getAttribute('data-pattern');
+
+    if (value === '') {
+      return input.getAttribute('data-required') === 'true' ? 'This field is required' : '';
+    }
+    if (minLength && value.length < parseInt(minLength)) {
+      return `Please enter at least ${minLength} characters`;
+    }
+    if (maxLength && value.length > parseInt(maxLength)) {
+      return `Please enter no more than ${maxLength} characters`;
+    }
+    if (pattern) {
+      try {
+        if (!new RegExp(`^(?:${pattern})$`).test(value)) {
+          return 'Contains characters that are not allowed';
+        }
+      } catch (error) {
+        this.logger.error('Invalid add-on pattern:', pattern, error);
+      }
+    }
+
+    return '';
+  }
+
+  validateAddons() {
+    let firstInvalid = null;
+
+    document.querySelectorAll('#product-addons-container .addon-item:not([data-addon-hidden]) .addon-text').forEach(input => {
+      const message = this.getTextAddonError(input);
+      this.showTextError(input, message);
+      if (message && !firstInvalid) {
+        firstInvalid = input;
+      }
+    });
+
+    // Required radio and swatch groups have no "None" choice and must be picked
+    document.querySelectorAll('#product-addons-container .addon-item:not([data-addon-hidden]) .addon-choices[data-required="true"]').forEach(group => {
+      if (!group.querySelector('.addon-radio:checked')) {
+        const firstChoice = group.querySelector('.addon-radio');
+        this.showTextError(firstChoice, 'Please choose an option');
+        if (!firstInvalid) {
+          firstInvalid = firstChoice;
+        }
+      }
+    });
+
+    if (firstInvalid) {
+      // Collapsed groups are opened so the shopper can see what needs fixing
+      const section = firstInvalid.closest('.addon-group');
+      if (section) this.setGroupCollapsed(section, false);
+      firstInvalid.focus();
+      return false;
+    }
+    return true;
+  }
+
   getSelectedVariantId() {
     // Try multiple methods to get the selected variant ID
     
@@ -354,16 +1152,10 @@ export class ProductPageHandler {
     const totalElement = document.getElementById('addon-total');
     if (!totalElement) return;
 
-    let total = 0;
-    if (window.productAddons) {
-      Object.values(window.productAddons).forEach(addon => {
-        if (addon.selected) {
-          total += addon.price;
-        }
-      });
-    }
+    const selected = Object.values(window.productAddons || {}).filter(addon => addon.selected);
+    const total = AddonPricing.calculateLineTotal(selected, this.getQuantity());
 
-    totalElement.textContent = `£${total.toFixed(2)}`;
+    totalElement.textContent = formatMoney(total);
     this.logger.log('Updated addon total display:', total);
   }
 
@@ -371,12 +1163,8 @@ export class ProductPageHandler {
     const form = document.querySelector('form[action*="/cart/add"]');
     if (!form || !window.productAddons) return;
 
-    // Remove existing addon properties
-    form.querySelectorAll('input[name^="properties["]').forEach(input => {
-      if (input.name.includes('Add-on') || input.name.includes('_Add-on')) {
-        input.remove();
-      }
-    });
+    // Remove addon properties written by a previous change
+    form.querySelectorAll('input[data-addon-property]').forEach(input => input.remove());
 
     // Add new addon properties for display in cart
     Object.entries(window.productAddons).forEach(([addonId, addon]) => {
@@ -384,24 +1172,63 @@ export class ProductPageHandler {
         const input = document.createElement('input');
         input.type = 'hidden';
         input.name = `properties[${addon.name}]`;
-        input.value = addon.value === 'selected' ? `Yes (+£${addon.price.toFixed(2)})` : `${addon.value} (+£${addon.price.toFixed(2)})`;
+        input.value = this.formatPropertyValue(addon);
+        input.setAttribute('data-addon-property', 'true');
         form.appendChild(input);
       }
     });
 
-    // Add total addon price for reference
-    const totalPrice = Object.values(window.productAddons)
-      .filter(addon => addon.selected)
-      .reduce((sum, addon) => sum + addon.price, 0);
+    // Add the addon price for reference, per item and once for the line rather
+    // than a total, which would go out of date when the cart quantity changes
+    const selected = Object.values(window.productAddons).filter(addon => addon.selected);
+    const unitPrice = AddonPricing.calculateLineTotal(selected.filter(addon => addon.chargePer !== 'line'), 1);
+    const lineCharge = AddonPricing.calculateLineTotal(selected.filter(addon => addon.chargePer === 'line'), 1);
       
-    if (totalPrice > 0) {
-      const totalInput = document.createElement('input');
-      totalInput.type = 'hidden';
-      totalInput.name = 'properties[_Add-ons Total]';
-      totalInput.value = `£${totalPrice.toFixed(2)}`;
-      form.appendChild(totalInput);
-      
-      this.logger.log('Added cart properties with total addon price:', totalPrice);
+    if (unitPrice > 0 || lineCharge > 0) {
+      const amounts = [['_Add-ons Each', formatMoney(unitPrice)], ['_Add-ons Per Line', formatMoney(lineCharge)]];
+
+      // Percentage add-ons with the price worked out here, so the cart can price
+      // them again if the line's price has changed since
+      const percentAddons = selected.filter(addon => addon.percent != null);
+      if (percentAddons.length > 0) {
+        amounts.push(['_Add-ons Percent', JSON.stringify(percentAddons.map(addon => ({
+          percent: addon.percent,
+          price: addon.price,
+          chargePer: addon.chargePer
+        })))]);
+      }
+
+      amounts.forEach(([name, value]) => {
+        const amountInput = document.createElement('input');
+        amountInput.type = 'hidden';
+        amountInput.name = `properties[${name}]`;
+        amountInput.value = value;
+        amountInput.setAttribute('data-addon-property', 'true');
+        form.appendChild(amountInput);
+      });
+
+      this.logger.log('Added cart properties with addon prices:', unitPrice, 'each and', lineCharge, 'per line');
+    }
+
+    if (this.selectionToken) {
+      const tokenInput = document.createElement('input');
+      tokenInput.type = 'hidden';
+      tokenInput.name = 'properties[_Add-ons Token]';
+      tokenInput.value = this.selectionToken;
+      tokenInput.setAttribute('data-addon-property', 'true');
+      form.appendChild(tokenInput);
+    }
+  }
+
+  formatPropertyValue(addon) {
+    // Text add-ons keep the shopper's exact wording (e.g. for engraving),
+    // their price is carried by _Add-ons Each
+    if (addon.type === 'text' || addon.type === 'textarea') {
+      return addon.value;
+    }
+    if (addon.value === 'selected') {
+      return `Yes (+${formatMoney(addon.price)})`;
     }
+    return `${addon.value} (+${formatMoney(addon.price)})`;
   }
 }
\ No newline at end of file
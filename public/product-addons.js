@@ -31,7 +31,7 @@
       { ProductPageHandler },
       { CartPageHandler },
       { CheckoutPageHandler },
-      { AddonConfig }
+      { AddonConfig, applyStorefrontConfig }
     ] = await Promise.all([
       import(`${HOST}/modules/logger.js`),
       import(`${HOST}/modules/page-detector.js`),
@@ -41,11 +41,24 @@
       import(`${HOST}/modules/addon-config.js`)
     ]);
     
-    const logger = new Logger('[Product Add-ons]', AddonConfig.DEBUG.ENABLED);
+    // The shop's settings are needed by every handler, so nothing starts without them
+    const shop = (window.Shopify && window.Shopify.shop) || window.location.hostname;
+    const configResponse = await fetch(`${HOST}${AddonConfig.API.ENDPOINTS.CONFIG}?shop=${encodeURIComponent(shop)}`, {
+      headers: { 'X-Shop-Domain': window.location.hostname }
+    });
+    if (!configResponse.ok) {
+      throw new Error(`Storefront config request failed with status ${configResponse.status}`);
+    }
+    applyStorefrontConfig(await configResponse.json(), HOST);
+    
+    const logger = new Logger(AddonConfig.DEBUG.LOG_PREFIX, AddonConfig.DEBUG.ENABLED);
     logger.log('Modules loaded successfully');
     logger.log('Configuration loaded:', {
       hiddenProductId: AddonConfig.HIDDEN_PRODUCT.PRODUCT_ID,
+      hiddenVariants: AddonConfig.HIDDEN_PRODUCT.VARIANTS.length,
       apiHost: AddonConfig.API.HOST,
+      currency: AddonConfig.UI.CURRENCY_CODE,
+      features: AddonConfig.FEATURES,
       storageKey: AddonConfig.STORAGE.SESSION_KEY
     });
     
@@ -54,18 +67,30 @@
       
       const pageDetector = new PageDetector();
       
-      // Route to appropriate handler based on page type
+      // Route to appropriate handler based on page type, if the shop has it turned on
       if (pageDetector.isProductPage()) {
+        if (!AddonConfig.FEATURES.PRODUCT_PAGE) {
+          logger.log('Product page add-ons are turned off');
+          return;
+        }
         logger.log('Product page detected');
         const productHandler = new ProductPageHandler(logger);
         productHandler.init();
         
       } else if (pageDetector.isCartPage()) {
+        if (!AddonConfig.FEATURES.CART_PAGE) {
+          logger.log('Cart page handling is turned off');
+          return;
+        }
         logger.log('Cart page detected');
         const cartHandler = new CartPageHandler(logger);
         cartHandler.init();
         
       } else if (pageDetector.isCheckoutPage()) {
+        if (!AddonConfig.FEATURES.CHECKOUT_PAGE) {
+          logger.log('Checkout page handling is turned off');
+          return;
+        }
         logger.log('Checkout page detected');
         const checkoutHandler = new CheckoutPageHandler(logger);
         checkoutHandler.init();
@@ -83,7 +108,7 @@
     }
     
   } catch (error) {
-    console.error('[Product Add-ons] Failed to load modules:', error);
+    console.error('[Product Add-ons] Failed to load modules or configuration:', error);
     
     // Fallback - if modules fail to load, we could inline a basic version
     console.log('[Product Add-ons] Falling back to basic functionality');
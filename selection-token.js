@@ -0,0 +1,143 @@
+// Signed add-on selections
+// /api/addons/calculate issues a token over what it priced, the storefront puts it
+// on the cart line and order processing checks it through /api/addons/verify
+
+const crypto = require('crypto');
+const { roundPrice, calculateLineTotal } = require('./addon-pricing');
+
+// Line item property the token travels in - the leading underscore hides it from shoppers
+const TOKEN_PROPERTY = '_Add-ons Token';
+// What the product page says the line's add-ons cost for each item and once for
+// the line. Neither depends on the quantity, so they stay right when the quantity
+// is changed in the cart or two adds of the same line are merged
+const UNIT_TOTAL_PROPERTY = '_Add-ons Each';
+const LINE_CHARGE_PROPERTY = '_Add-ons Per Line';
+
+// How long a token stays good for. It covers a cart left for a few weeks, and
+// stops a token copied from an old cart keeping prices that have since gone up
+const SELECTION_TOKEN_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+function getSigningSecret() {
+  return process.env.ADDON_SIGNING_SECRET || process.env.SHOPIFY_API_SECRET || null;
+}
+
+function signPayload(encoded, secret) {
+  return crypto.createHmac('sha256', secret).update(encoded).digest('hex');
+}
+
+// Same selections in any order, with any id type, give the same list
+function normalizeSelections(selections) {
+  return (selections || [])
+    .map(selection => ({ addonId: parseInt(selection.addonId), value: selection.value }))
+    .sort((a, b) => a.addonId - b.addonId);
+}
+
+// payload: { shop, productId, variantId, selections, unitTotal, lineCharge }
+function createSelectionToken(payload, secret = getSigningSecret()) {
+  const body = {
+    shop: payload.shop,
+    productId: payload.productId ? String(payload.productId) : null,
+    variantId: payload.variantId ? String(payload.variantId) : null,
+    selections: normalizeSelections(payload.selections),
+    unitTotal: roundPrice(payload.unitTotal || 0),
+    lineCharge: roundPrice(payload.lineCharge || 0),
+    issuedAt: Date.now()
+  };
+  const encoded = Buffer.from(JSON.stringify(body)).toString('base64');
+  return `${encoded}.${signPayload(encoded, secret)}`;
+}
+
+// The signed payload, or null when the token is malformed or has been altered
+function readSelectionToken(token, secret = getSigningSecret()) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 2 || !parts[0] || !/^[0-9a-f]{64}$/.test(parts[1])) return null;
+
+  const expected = Buffer.from(signPayload(parts[0], secret), 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(parts[1], 'hex'))) return null;
+
+  try {
+    return JSON.parse(Buffer.from(parts[0], 'base64').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Add-on charge the token allows for a cart line of the given quantity
+function expectedLineTotal(payload, quantity) {
+  return calculateLineTotal([
+    { price: payload.unitTotal, chargePer: 'unit' },
+    { price: payload.lineCharge, chargePer: 'line' }
+  ], quantity);
+}
+
+// Amounts arrive as numbers or as the "£12.50" written to line properties
+function parseAmount(value) {
+  return roundPrice(parseFloat(String(value).replace(/[^\d.-]/g, '')) || 0);
+}
+
+// The amounts a cart or order line's properties claim, for findSelectionMismatches
+// and expectedLineTotal. Lines added before the per-item amounts existed only carry a _Add-ons Total
+// written at the quantity they were added with, so it isn't compared
+function readClaimedAmounts(properties) {
+  const claimed = {};
+  if (properties[UNIT_TOTAL_PROPERTY] !== undefined) {
+    claimed.unitTotal = parseAmount(properties[UNIT_TOTAL_PROPERTY]);
+    claimed.lineCharge = parseAmount(properties[LINE_CHARGE_PROPERTY] || 0);
+  }
+  return claimed;
+}
+
+// Differences between what a cart or order line claims and what was signed
+function findSelectionMismatches(payload, claimed) {
+  const mismatches = [];
+
+  // claimed.at is when the line was checked out, defaulting to now
+  const age = (claimed.at || Date.now()) - payload.issuedAt;
+  if (!Number.isFinite(age) || age > SELECTION_TOKEN_MAX_AGE) {
+    mismatches.push('Token has expired');
+  }
+  if (payload.shop !== claimed.shop) {
+    mismatches.push(`Token was issued for shop ${payload.shop}`);
+  }
+  if (claimed.productId != null && payload.productId !== String(claimed.productId)) {
+    mismatches.push(`Token was issued for product ${payload.productId}, not ${claimed.productId}`);
+  }
+  if (claimed.variantId != null && payload.variantId !== String(claimed.variantId)) {
+    mismatches.push(`Token was issued for variant ${payload.variantId}, not ${claimed.variantId}`);
+  }
+  if (claimed.selections !== undefined &&
+      JSON.stringify(normalizeSelections(claimed.selections)) !== JSON.stringify(payload.selections)) {
+    mismatches.push('Add-on selections differ from the ones that were priced');
+  }
+  if (claimed.unitTotal !== undefined && Math.abs(payload.unitTotal - parseAmount(claimed.unitTotal)) >= 0.01) {
+    mismatches.push(`Add-ons per item £${parseAmount(claimed.unitTotal).toFixed(2)} do not match the priced £${payload.unitTotal.toFixed(2)}`);
+  }
+  if (claimed.lineCharge !== undefined && Math.abs(payload.lineCharge - parseAmount(claimed.lineCharge)) >= 0.01) {
+    mismatches.push(`Add-ons per line £${parseAmount(claimed.lineCharge).toFixed(2)} do not match the priced £${payload.lineCharge.toFixed(2)}`);
+  }
+  // A total only means anything with the quantity it was worked out for
+  if (claimed.total !== undefined) {
+    const expected = expectedLineTotal(payload, claimed.quantity);
+    const total = parseAmount(claimed.total);
+    if (Math.abs(expected - total) >= 0.01) {
+      mismatches.push(`Add-on total £${total.toFixed(2)} does not match the priced £${expected.toFixed(2)}`);
+    }
+  }
+
+  return mismatches;
+}
+
+module.exports = {
+  TOKEN_PROPERTY,
+  UNIT_TOTAL_PROPERTY,
+  LINE_CHARGE_PROPERTY,
+  SELECTION_TOKEN_MAX_AGE,
+  getSigningSecret,
+  createSelectionToken,
+  readSelectionToken,
+  expectedLineTotal,
+  readClaimedAmounts,
+  findSelectionMismatches
+};
@@ -1,16 +1,25 @@
 require('dotenv').config();
 const express = require('express');
 const fetch = require('node-fetch');
-const Database = require('./database-debug');
+const crypto = require('crypto');
+const { createStorage } = require('./storage-adapter');
+const { PRICE_MODES, UNIT_PRICE_MODES, CHARGE_PER, roundPrice, isPercentPriced, calculateAddonPrice, calculateLineTotal } = require('./addon-pricing');
+const { TOKEN_PROPERTY, UNIT_TOTAL_PROPERTY, getSigningSecret, createSelectionToken, readSelectionToken, expectedLineTotal, readClaimedAmounts, findSelectionMismatches } = require('./selection-token');
+const { hasEncryptionKey } = require('./token-encryption');
+const { normalizeShopDomain, verifyOAuthHmac, decodeSessionToken } = require('./shopify-auth');
+const { toTransferRecord, toCsv, fromCsv } = require('./addon-transfer');
+const { findSelectionError } = require('./addon-selection');
+const { toStoredPayload } = require('./webhook-payload');
+const { HIDDEN_PRODUCT_PRICE, HIDDEN_PRODUCT_SKU, HIDDEN_DENOMINATIONS, hiddenVariantSku, resolveSettings, getHiddenVariants, validateSettingsUpdate, toStorefrontConfig } = require('./storefront-settings');
 
 const app = express();
 
 // CORS middleware - allow requests from Shopify stores
-app.use((req, res, next) => {
+app.use(async (req, res, next) => {
   const origin = req.headers.origin;
   
   // Allow requests from any .myshopify.com domain or custom domains
-  if (origin && (origin.includes('.myshopify.com') || origin.includes('.store'))) {
+  if (origin && await isStorefrontOrigin(origin)) {
     res.setHeader('Access-Control-Allow-Origin', origin);
   }
   
@@ -26,11 +35,20 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json());
+// Webhook HMACs are taken over the exact bytes Shopify sent. The limit leaves
+// room for add-on imports
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.static('public'));
 
-// Initialize database
-const db = new Database();
+// Initialize database - SQLite or PostgreSQL, or memory with DATABASE_ADAPTER=memory
+const db = createStorage();
 
 // Debug mode toggle
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true' || process.env.NODE_ENV === 'development';
@@ -90,6 +108,77 @@ class SimpleShopifyAPI {
     return await this.request(`products.json?limit=${limit}`);
   }
 
+  async getProductHandles() {
+    return await this.request('products.json?limit=250&fields=id,handle');
+  }
+
+  async getVariant(variantId) {
+    return await this.request(`variants/${variantId}.json?fields=id,price`);
+  }
+
+  async getProduct(productId) {
+    return await this.request(`products/${productId}.json?fields=id,tags`);
+  }
+
+  async getProductVariants(productId) {
+    return await this.request(`products/${productId}.json?fields=id,variants`);
+  }
+
+  // Custom and smart collections containing a product
+  async getProductCollections(productId) {
+    const custom = await this.request(`custom_collections.json?product_id=${productId}&fields=id`);
+    const smart = await this.request(`smart_collections.json?product_id=${productId}&fields=id`);
+    return [...custom.custom_collections, ...smart.smart_collections];
+  }
+
+  async graphql(query, variables = {}) {
+    const result = await this.request('graphql.json', {
+      method: 'POST',
+      body: { query, variables }
+    });
+    if (result.errors && result.errors.length > 0) {
+      throw new Error(`GraphQL error: ${result.errors.map(error => error.message).join(', ')}`);
+    }
+    return result.data;
+  }
+
+  // The first variant with this SKU and its product, or null
+  async findVariantBySku(sku) {
+    const data = await this.graphql(`
+      query FindVariantBySku($query: String!) {
+        productVariants(first: 1, query: $query) {
+          nodes {
+            legacyResourceId
+            product { legacyResourceId status }
+          }
+        }
+      }
+    `, { query: `sku:${JSON.stringify(sku)}` });
+    const [variant] = data.productVariants.nodes;
+    return variant
+      ? { variantId: variant.legacyResourceId, productId: variant.product.legacyResourceId, status: variant.product.status }
+      : null;
+  }
+
+  async createProduct(product) {
+    return await this.request('products.json', {
+      method: 'POST',
+      body: { product }
+    });
+  }
+
+  async updateProduct(productId, product) {
+    return await this.request(`products/${productId}.json`, {
+      method: 'PUT',
+      body: { product: { id: productId, ...product } }
+    });
+  }
+
+
+  async getShop() {
+    return await this.request('shop.json?fields=domain,myshopify_domain');
+  }
+
   async getScriptTags() {
     return await this.request('script_tags.json');
   }
@@ -100,13 +189,391 @@ class SimpleShopifyAPI {
       body: { script_tag: scriptTag }
     });
   }
+
+  async getWebhooks() {
+    return await this.request('webhooks.json');
+  }
+
+  async createWebhook(webhook) {
+    return await this.request('webhooks.json', {
+      method: 'POST',
+      body: { webhook }
+    });
+  }
+}
+
+const ADDON_TYPES = ['checkbox', 'dropdown', 'radio', 'swatch', 'text', 'textarea'];
+const TEXT_ADDON_TYPES = ['text', 'textarea'];
+const OPTION_ADDON_TYPES = ['dropdown', 'radio', 'swatch'];
+
+// Parse an optional non-negative integer field, returning null when blank
+function parseOptionalInteger(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+}
+
+// Parse an optional non-negative price field, returning null when blank
+function parseOptionalPrice(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+// Put options in display order and number them from 0. Options sent with a
+// position are sorted by it, the rest keep their place in the list
+function normalizeAddonOptions(options) {
+  if (!Array.isArray(options) || options.some(option => !option || typeof option !== 'object')) {
+    // Malformed payloads are passed through so validation can report them
+    return options;
+  }
+
+  const positionOf = (option, index) => Number.isFinite(option.position) ? option.position : index;
+  return options
+    .map((option, index) => ({ option, index }))
+    .sort((a, b) => positionOf(a.option, a.index) - positionOf(b.option, b.index) || a.index - b.index)
+    .map(({ option }, position) => ({ ...option, position }));
+}
+
+// Validate the choices of a dropdown, radio or swatch add-on, returns an error message or null
+function validateAddonOptions(type, options) {
+  if (!Array.isArray(options) || options.length === 0) {
+    return 'At least one option is required';
+  }
+
+  for (const option of options) {
+    if (!option || !option.label) {
+      return 'Every option needs a label';
+    }
+    const price = parseFloat(option.price || 0);
+    if (!Number.isFinite(price) || price < 0) {
+      return `Option "${option.label}" needs a price of 0 or more`;
+    }
+    if (option.color && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(option.color)) {
+      return `Option "${option.label}" colour must be a hex value such as #1a2b3c`;
+    }
+    if (option.image && !/^https?:\/\//i.test(option.image)) {
+      return `Option "${option.label}" image must be an http(s) URL`;
+    }
+    if (type === 'swatch' && !option.color && !option.image) {
+      return `Swatch option "${option.label}" needs a colour or an image`;
+    }
+    if (option.priceMode && !['fixed', 'percent'].includes(option.priceMode)) {
+      return `Option "${option.label}" pricing must be fixed or percent`;
+    }
+    if (option.variantIds != null && !Array.isArray(option.variantIds)) {
+      return `Option "${option.label}" variants must be a list of variant IDs`;
+    }
+    const variantPrices = Object.values(option.variantPrices || {}).map(parseFloat);
+    if (variantPrices.some(price => !Number.isFinite(price) || price < 0)) {
+      return `Option "${option.label}" variant prices must be 0 or more`;
+    }
+  }
+
+  return null;
+}
+
+// Variant IDs an add-on is restricted to, null when it is offered on every variant
+function normalizeVariantIds(value) {
+  const variantIds = normalizeIdList(value || []);
+  return variantIds.length > 0 ? variantIds : null;
+}
+
+// Per-variant price overrides keyed by variant ID, e.g. { "40123": 7.5 }. Blank
+// prices are dropped and invalid ones become NaN for validation to report
+function normalizeVariantPrices(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const prices = {};
+  Object.entries(value).forEach(([variantId, price]) => {
+    const parsed = parseOptionalPrice(price);
+    if (parsed !== null) prices[String(variantId).split('/').pop()] = parsed;
+  });
+  return Object.keys(prices).length > 0 ? prices : null;
+}
+
+// The add-on as offered on one variant: options restricted to other variants are
+// removed and variant price overrides applied. Returns null when the add-on (or
+// every one of its options) is not offered on the variant
+function resolveAddonForVariant(addon, variantId) {
+  if (!variantId) return addon;
+
+  const variant = String(variantId);
+  const isOffered = item => !item.variantIds || item.variantIds.length === 0 || item.variantIds.map(String).includes(variant);
+  const variantPrice = item => item.variantPrices && item.variantPrices[variant] !== undefined
+    ? parseFloat(item.variantPrices[variant])
+    : null;
+
+  if (!isOffered(addon)) return null;
+
+  const resolved = { ...addon };
+  if (variantPrice(addon) !== null) {
+    resolved.price = variantPrice(addon);
+  }
+
+  if (Array.isArray(addon.options)) {
+    resolved.options = addon.options
+      .filter(isOffered)
+      .map(option => variantPrice(option) !== null ? { ...option, price: variantPrice(option) } : option);
+    if (resolved.options.length === 0) return null;
+  }
+
+  return resolved;
+}
+
+const CONDITION_OPERATORS = ['checked', 'not_checked', 'equals', 'not_equals'];
+
+// Validate visibility rules such as "show only when add-on 12 equals silk",
+// returns an error message or null. Rules pointing at importedIds are taken
+// on trust, the import checks those rows itself
+async function validateAddonConditions(conditions, shop, addonId = null, importedIds = null) {
+  if (conditions === null) return null;
+
+  if (typeof conditions !== 'object' || !Array.isArray(conditions.rules)) {
+    return 'Conditions must contain a list of rules';
+  }
+  if (conditions.match !== undefined && !['all', 'any'].includes(conditions.match)) {
+    return 'Conditions must match "all" or "any" rules';
+  }
+
+  for (const rule of conditions.rules) {
+    if (!rule || !rule.addonId) {
+      return 'Every condition needs an add-on to check';
+    }
+    if (addonId && String(rule.addonId) === String(addonId)) {
+      return 'An add-on cannot depend on itself';
+    }
+    if (!CONDITION_OPERATORS.includes(rule.operator)) {
+      return `Condition operator must be one of: ${CONDITION_OPERATORS.join(', ')}`;
+    }
+    if ((rule.operator === 'equals' || rule.operator === 'not_equals') && !rule.value) {
+      return 'Conditions comparing a value need a value';
+    }
+    if (importedIds && importedIds.has(String(rule.addonId))) continue;
+
+    const target = await db.getAddon(rule.addonId);
+    if (!target || !target.active || target.shop !== shop) {
+      return `Condition refers to an unknown add-on: ${rule.addonId}`;
+    }
+  }
+
+  return null;
+}
+
+// Tidy a conditions payload from the admin, an empty rule list means "always show"
+function normalizeConditions(conditions) {
+  if (!conditions) return null;
+  // Malformed payloads are passed through so validation can report them
+  if (typeof conditions !== 'object' || !Array.isArray(conditions.rules)) return conditions;
+  if (conditions.rules.length === 0) return null;
+
+  return {
+    match: conditions.match || 'all',
+    rules: conditions.rules.map(rule => ({
+      addonId: rule.addonId,
+      operator: rule.operator,
+      ...(rule.value !== undefined && rule.value !== '' ? { value: rule.value } : {})
+    }))
+  };
+}
+
+// Normalise a list of Shopify IDs given as an array or comma-separated string,
+// accepting plain IDs or GraphQL GIDs (gid://shopify/Product/123)
+function normalizeIdList(value) {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(values
+    .map(id => String(id).trim().split('/').pop())
+    .filter(id => id !== ''))];
+}
+
+// Shopify tags are case-insensitive, so they are stored and compared in lower case
+function normalizeTagList(value) {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(values
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(tag => tag !== ''))];
+}
+
+// Validate the name and targeting of an add-on set, returns an error message or null
+function validateAddonSet(set) {
+  if (set.name !== undefined && !String(set.name).trim()) {
+    return 'Set name is required';
+  }
+  for (const field of ['productIds', 'collectionIds']) {
+    if (set[field] && set[field].some(id => !/^\d+$/.test(id))) {
+      return `${field === 'productIds' ? 'Product' : 'Collection'} IDs must be numeric`;
+    }
+  }
+  if (set.position !== undefined && Number.isNaN(set.position)) {
+    return 'Position must be a whole number';
+  }
+  return null;
+}
+
+const GROUP_DESCRIPTION_LIMIT = 500;
+const HELP_TEXT_LIMIT = 500;
+
+// Validate the name and settings of an add-on group, returns an error message or null
+function validateAddonGroup(group) {
+  if (group.name !== undefined && !String(group.name).trim()) {
+    return 'Group name is required';
+  }
+  if (group.description && group.description.length > GROUP_DESCRIPTION_LIMIT) {
+    return `Group description must be ${GROUP_DESCRIPTION_LIMIT} characters or fewer`;
+  }
+  if (group.position !== undefined && Number.isNaN(group.position)) {
+    return 'Position must be a whole number';
+  }
+  return null;
+}
+
+// Help text shown in an add-on's tooltip, blank clears it
+function normalizeHelpText(value) {
+  const text = String(value ?? '').trim();
+  return text || null;
+}
+
+const PRODUCT_TARGETING_TTL = 5 * 60 * 1000;
+const productTargetingCache = new Map();
+
+// Collections and tags of a product, used to match add-on sets. Cached for a few
+// minutes because the storefront asks on every product page view
+async function getProductTargeting(shop, productId) {
+  const cacheKey = `${shop}:${productId}`;
+  const cached = productTargetingCache.get(cacheKey);
+  if (cached && cached.expires > Date.now()) {
+    return cached.targeting;
+  }
+
+  const targeting = { collectionIds: [], tags: [] };
+  try {
+    const session = await db.getSession(shop);
+    if (session) {
+      const api = new SimpleShopifyAPI(session.shop, session.accessToken);
+      const { product } = await api.getProduct(productId);
+      const collections = await api.getProductCollections(productId);
+
+      targeting.tags = normalizeTagList(product.tags);
+      targeting.collectionIds = collections.map(collection => String(collection.id));
+    }
+  } catch (error) {
+    // Sets that list the product explicitly still apply
+    console.error('❌ Error looking up product collections and tags:', error.message);
+  }
+
+  productTargetingCache.set(cacheKey, { targeting, expires: Date.now() + PRODUCT_TARGETING_TTL });
+  return targeting;
+}
+
+// Active add-on sets that apply to a product, in set position order
+async function getMatchingAddonSets(shop, productId) {
+  const sets = await db.getAddonSets(shop);
+  const matching = [];
+  let targeting = null;
+
+  for (const set of sets) {
+    if (set.productIds.includes(String(productId))) {
+      matching.push(set);
+      continue;
+    }
+    if (set.collectionIds.length === 0 && set.tags.length === 0) continue;
+
+    // Only ask Shopify for collections and tags when a set needs them
+    targeting = targeting || await getProductTargeting(shop, productId);
+    if (set.collectionIds.some(id => targeting.collectionIds.includes(id)) ||
+        set.tags.some(tag => targeting.tags.includes(tag))) {
+      matching.push(set);
+    }
+  }
+
+  return matching;
+}
+
+// The add-ons offered on a product and variant: the product's own add-ons first,
+// followed by those of each matching set in set position order
+async function getProductAddons(shop, productId, variantId = null) {
+  const productAddons = await db.getAddons(productId, shop);
+  const sets = await getMatchingAddonSets(shop, productId);
+  const setAddons = await db.getAddonsForSets(sets.map(set => set.id), shop);
+  const addons = [...productAddons, ...setAddons]
+    .map(addon => resolveAddonForVariant(addon, variantId))
+    .filter(Boolean);
+  return { addons, sets };
+}
+
+// Validate the type-specific settings of an add-on, returns an error message or null
+function validateAddonSettings(addon) {
+  if (addon.type !== undefined && !ADDON_TYPES.includes(addon.type)) {
+    return `Add-on type must be one of: ${ADDON_TYPES.join(', ')}`;
+  }
+
+  if (Number.isNaN(addon.minLength)) {
+    return 'Minimum length must be a whole number of 0 or more';
+  }
+  if (Number.isNaN(addon.maxLength)) {
+    return 'Maximum length must be a whole number of 0 or more';
+  }
+  if (addon.minLength != null && addon.maxLength != null && addon.minLength > addon.maxLength) {
+    return 'Minimum length cannot be greater than maximum length';
+  }
+
+  if (OPTION_ADDON_TYPES.includes(addon.type) && addon.options !== undefined) {
+    const optionsError = validateAddonOptions(addon.type, addon.options);
+    if (optionsError) return optionsError;
+  }
+
+  if (addon.priceMode !== undefined && !PRICE_MODES.includes(addon.priceMode)) {
+    return `Pricing mode must be one of: ${PRICE_MODES.join(', ')}`;
+  }
+  if (UNIT_PRICE_MODES.includes(addon.priceMode) && addon.type !== undefined && !TEXT_ADDON_TYPES.includes(addon.type)) {
+    return 'Per character, word or line pricing is only available for text add-ons';
+  }
+  if (addon.priceMode === 'percent' && TEXT_ADDON_TYPES.includes(addon.type)) {
+    return 'Percentage pricing is not available for text add-ons';
+  }
+  if (Number.isNaN(addon.baseFee)) {
+    return 'Base fee must be a price of 0 or more';
+  }
+  if (Number.isNaN(addon.priceCap)) {
+    return 'Price cap must be a price of 0 or more';
+  }
+  if (addon.chargePer !== undefined && !CHARGE_PER.includes(addon.chargePer)) {
+    return `Add-ons must be charged per ${CHARGE_PER.join(' or per ')}`;
+  }
+
+  if (addon.variantIds && addon.variantIds.some(id => !/^\d+$/.test(id))) {
+    return 'Variant IDs must be numeric';
+  }
+  if (addon.variantPrices) {
+    const entries = Object.entries(addon.variantPrices);
+    if (entries.some(([variantId]) => !/^\d+$/.test(variantId))) {
+      return 'Variant prices must be keyed by numeric variant ID';
+    }
+    if (entries.some(([, price]) => Number.isNaN(price))) {
+      return 'Variant prices must be 0 or more';
+    }
+  }
+
+  if (addon.pattern) {
+    try {
+      new RegExp(addon.pattern);
+    } catch (error) {
+      return `Allowed character pattern is not a valid regular expression: ${error.message}`;
+    }
+  }
+
+  return null;
 }
 
 // Generate OAuth URL
 function getOAuthUrl(shop, state) {
   const params = new URLSearchParams({
     client_id: process.env.SHOPIFY_API_KEY,
-    scope: 'read_products,write_products,read_script_tags,write_script_tags',
+    scope: 'read_products,write_products,read_script_tags,write_script_tags,read_orders',
     redirect_uri: `${process.env.HOST}/auth/callback`,
     state: state
   });
@@ -114,8 +581,8 @@ function getOAuthUrl(shop, state) {
   return `https://${shop}/admin/oauth/authorize?${params.toString()}`;
 }
 
-// Verify OAuth callback
-async function verifyOAuthCallback(code, shop, state) {
+// Exchange the callback's authorization code for an access token
+async function verifyOAuthCallback(code, shop) {
   const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
     method: 'POST',
     headers: {
@@ -189,113 +656,458 @@ app.post('/api/cart/update-pricing', async (req, res) => {
   }
 });
 
-// Webhook to handle cart creation/updates
-app.post('/webhooks/cart/update', async (req, res) => {
-  try {
-    const cart = req.body;
-    console.log('Cart webhook received:', cart.id);
+// Reject webhooks that weren't signed by Shopify with the app's secret
+function verifyShopifyWebhook(req, res, next) {
+  const hmac = req.get('X-Shopify-Hmac-Sha256');
+  if (!hmac || !req.rawBody || !process.env.SHOPIFY_API_SECRET) {
+    console.error('❌ Unsigned webhook rejected:', req.originalUrl);
+    return res.status(401).send('Unauthorized');
+  }
+  
+  const expected = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(req.rawBody).digest();
+  const received = Buffer.from(hmac, 'base64');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    console.error('❌ Webhook HMAC mismatch:', req.originalUrl, 'shop:', req.get('X-Shopify-Shop-Domain'));
+    return res.status(401).send('Unauthorized');
+  }
+  
+  next();
+}
+
+// Order line properties arrive as [{ name, value }]
+function getLineProperties(lineItem) {
+  const properties = {};
+  (lineItem.properties || []).forEach(({ name, value }) => {
+    properties[name] = value;
+  });
+  return properties;
+}
+
+// The shop's storefront settings with defaults for anything it hasn't set
+async function getShopSettings(shop) {
+  return resolveSettings(await db.getShopSettings(shop));
+}
+
+// Work out what an order's add-ons should have cost from the signed selections
+// on each line and the stored add-on definitions, and what the hidden product charged
+async function reconcileOrder(shop, order) {
+  const lines = [];
+  let expectedTotal = 0;
+  let chargedTotal = 0;
+  const settings = await getShopSettings(shop);
+  const hiddenVariants = getHiddenVariants(settings);
+  
+  for (const item of order.line_items || []) {
+    const hiddenVariant = hiddenVariants.find(variant => variant.variantId === String(item.variant_id));
+    if (hiddenVariant || String(item.product_id) === settings.hiddenProductId) {
+      // Variants the settings don't list charged their own line price
+      chargedTotal += item.quantity * (hiddenVariant ? hiddenVariant.price : parseFloat(item.price) || 0);
+      continue;
+    }
     
-    // Process line items for addon pricing
-    for (const lineItem of cart.line_items) {
-      if (lineItem.properties && lineItem.properties['_Add-ons Total']) {
-        const addonTotal = parseFloat(lineItem.properties['_Add-ons Total'].replace('£', ''));
-        
-        if (addonTotal > 0) {
-          // Update the line item price
-          const newPrice = lineItem.price + (addonTotal * 100); // Shopify uses cents
-          
-          console.log(`Line item ${lineItem.id}: adding ${addonTotal} to price`);
-          
-          // This would require updating the cart via Shopify API
-          // Implementation depends on your specific needs
-        }
+    const properties = getLineProperties(item);
+    const token = properties[TOKEN_PROPERTY];
+    const claimed = readClaimedAmounts(properties);
+    if (!token && claimed.unitTotal === undefined && properties['_Add-ons Total'] === undefined) continue;
+    
+    const line = {
+      lineId: item.id,
+      title: item.title,
+      productId: item.product_id ? String(item.product_id) : null,
+      variantId: item.variant_id ? String(item.variant_id) : null,
+      quantity: item.quantity,
+      claimedUnitTotal: claimed.unitTotal !== undefined ? claimed.unitTotal : null,
+      claimedLineCharge: claimed.lineCharge !== undefined ? claimed.lineCharge : null,
+      expectedTotal: 0,
+      issues: []
+    };
+    
+    const payload = token ? readSelectionToken(token) : null;
+    if (!token) {
+      line.issues.push('Line has add-ons but no signed token');
+    } else if (!payload) {
+      line.issues.push('Token signature is invalid');
+    } else {
+      line.issues.push(...findSelectionMismatches(payload, {
+        shop,
+        at: Date.parse(order.created_at) || null,
+        productId: line.productId,
+        variantId: line.variantId,
+        ...claimed
+      }));
+      
+      // Percentage add-ons are priced from what the line was sold at
+      const priced = await priceSelections(shop, line.productId, payload.selections, line.variantId, async () => parseFloat(item.price));
+      if (priced.error) {
+        line.issues.push(priced.error);
+      } else {
+        line.expectedTotal = calculateLineTotal(priced.addons, item.quantity);
+      }
+    }
+    
+    expectedTotal += line.expectedTotal;
+    lines.push(line);
+  }
+  
+  return {
+    expectedTotal: roundPrice(expectedTotal),
+    chargedTotal: roundPrice(chargedTotal),
+    lines
+  };
+}
+
+// Check the hidden product charged on a new order matches its add-ons
+async function handleOrderCreated(shop, order) {
+  const result = await reconcileOrder(shop, order);
+  const hasIssues = result.lines.some(line => line.issues.length > 0);
+  
+  if (Math.abs(result.expectedTotal - result.chargedTotal) >= 0.01 || hasIssues) {
+    console.warn(`🚨 Add-on charge mismatch on order ${order.name || order.id}: expected £${result.expectedTotal.toFixed(2)}, charged £${result.chargedTotal.toFixed(2)}`);
+    await db.recordAddonMismatch({
+      shop,
+      orderId: order.id,
+      orderName: order.name,
+      expectedTotal: result.expectedTotal,
+      chargedTotal: result.chargedTotal,
+      lines: result.lines
+    });
+  } else if (DEBUG_MODE) {
+    console.log('✅ Add-on charges reconciled for order', order.id, ':', result.chargedTotal);
+  }
+}
+
+// Cart updates only carry the add-on amounts the browser wrote, nothing is changed yet
+async function handleCartUpdated(shop, cart) {
+  for (const lineItem of cart.line_items || []) {
+    if (lineItem.properties && lineItem.properties[UNIT_TOTAL_PROPERTY]) {
+      const addonTotal = expectedLineTotal(readClaimedAmounts(lineItem.properties), lineItem.quantity);
+      if (addonTotal > 0) {
+        console.log(`Line item ${lineItem.id}: ${addonTotal} of add-ons in cart ${cart.id}`);
       }
     }
+  }
+}
+
+// The access token stops working on uninstall, so the shop's session and
+// add-on configuration are removed with it
+async function handleAppUninstalled(shop) {
+  console.log('👋 App uninstalled from:', shop);
+  await db.deleteSessions(shop);
+  await db.deleteShopAddons(shop);
+  await db.deleteShopDomains(shop);
+  forgetStorefrontOrigins(shop);
+  await db.deleteShopSettings(shop);
+}
+
+// GDPR: the app keeps no customer profiles, only order records it can report on
+async function handleCustomerDataRequest(shop, request) {
+  const orderIds = (request.orders_requested || []).map(String);
+  const mismatches = (await db.getAddonMismatches(shop, true)).filter(mismatch => orderIds.includes(mismatch.orderId));
+  console.log('📋 Customer data request', request.data_request && request.data_request.id, 'for', shop, ':', {
+    customerId: request.customer && request.customer.id,
+    ordersRequested: orderIds.length,
+    mismatchRecords: mismatches.map(mismatch => mismatch.id)
+  });
+}
+
+// GDPR: forget the customer's orders
+async function handleCustomerRedact(shop, request) {
+  await db.deleteOrderRecords(shop, request.orders_to_redact || []);
+}
+
+// GDPR: sent 48 hours after uninstall, remove everything held for the shop
+async function handleShopRedact(shop) {
+  await db.deleteSessions(shop);
+  await db.deleteShopAddons(shop);
+  await db.deleteShopHistory(shop);
+  await db.deleteShopDomains(shop);
+  forgetStorefrontOrigins(shop);
+  await db.deleteShopSettings(shop);
+}
+
+// Handlers by X-Shopify-Topic, each given the shop domain and the parsed payload
+const WEBHOOK_HANDLERS = {
+  'orders/create': handleOrderCreated,
+  'carts/update': handleCartUpdated,
+  'app/uninstalled': handleAppUninstalled,
+  'customers/data_request': handleCustomerDataRequest,
+  'customers/redact': handleCustomerRedact,
+  'shop/redact': handleShopRedact
+};
+
+// Run a logged delivery through its topic's handler and record the outcome
+async function processWebhookDelivery(delivery, attempts = 1) {
+  const handler = WEBHOOK_HANDLERS[delivery.topic];
+  if (!handler) {
+    console.warn('⚠️ No handler for webhook topic:', delivery.topic);
+    await db.updateWebhookDelivery(delivery.id, { status: 'unhandled', error: null, attempts });
+    return 'unhandled';
+  }
+  
+  try {
+    await handler(delivery.shop, delivery.payload);
+    await db.updateWebhookDelivery(delivery.id, { status: 'processed', error: null, attempts });
+    return 'processed';
+  } catch (error) {
+    console.error('❌ Webhook handler failed:', delivery.topic, 'shop:', delivery.shop, error);
+    await db.updateWebhookDelivery(delivery.id, { status: 'failed', error: error.message, attempts });
+    throw error;
+  }
+}
+
+// Every webhook is verified, logged and dispatched by topic, whatever path it
+// was registered with
+app.post(['/webhooks', '/webhooks/*'], verifyShopifyWebhook, async (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  const shop = req.get('X-Shopify-Shop-Domain') || req.body.shop_domain;
+  
+  try {
+    console.log('📦 Webhook received:', topic, 'shop:', shop);
+    
+    const delivery = await db.logWebhookDelivery({
+      shop,
+      topic,
+      webhookId: req.get('X-Shopify-Webhook-Id'),
+      resourceId: req.body.id,
+      payload: toStoredPayload(topic, req.body)
+    });
     
+    await processWebhookDelivery(delivery);
     res.status(200).send('OK');
   } catch (error) {
-    console.error('Webhook error:', error);
+    // A failed response makes Shopify retry the delivery
+    console.error('❌ Error processing webhook:', topic, error);
     res.status(500).send('Error');
   }
 });
 
+// Install nonces are only valid for a short time
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
+
+// Accepts a hostname or pasted storefront URL and returns the bare lowercase
+// hostname, or null when it isn't one. myshopify.com domains need no mapping
+function normalizeCustomDomain(value) {
+  if (typeof value !== 'string') return null;
+  
+  const domain = value.trim().toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/[\/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+  if (domain.endsWith('.myshopify.com')) return null;
+  return /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(domain) ? domain : null;
+}
+
+// The shop a storefront domain belongs to, trying it with and without "www."
+async function resolveCustomDomain(value) {
+  const domain = normalizeCustomDomain(value);
+  if (!domain) return null;
+  
+  const alternate = domain.startsWith('www.') ? domain.slice(4) : `www.${domain}`;
+  return await db.getShopForDomain(domain) || await db.getShopForDomain(alternate);
+}
+
+// Every storefront request is checked, preflights included, so lookups are
+// cached by hostname: the shop that owns it, or null when none does
+const STOREFRONT_ORIGIN_TTL = 5 * 60 * 1000;
+const STOREFRONT_ORIGIN_LIMIT = 1000;
+const storefrontOrigins = new Map();
+
+// Whether an Origin header is a storefront: https on a myshopify.com domain or
+// on a domain recorded for a shop. Hostnames are matched whole, so
+// shop.myshopify.com.example.com is not one
+async function isStorefrontOrigin(origin) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:') return false;
+  if (/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(url.hostname)) return true;
+
+  const cached = storefrontOrigins.get(url.hostname);
+  if (cached && cached.expires > Date.now()) return !!cached.shop;
+
+  try {
+    const shop = await resolveCustomDomain(url.hostname);
+    // Origins nobody owns are cached too, so keep the cache from growing without end
+    if (storefrontOrigins.size >= STOREFRONT_ORIGIN_LIMIT) storefrontOrigins.clear();
+    storefrontOrigins.set(url.hostname, { shop: shop || null, expires: Date.now() + STOREFRONT_ORIGIN_TTL });
+    return !!shop;
+  } catch (error) {
+    console.error('Error checking storefront origin:', error);
+    return false;
+  }
+}
+
+// Drop cached origins after a shop's domains change. Origins no shop owned are
+// dropped as well, since the change may have added them
+function forgetStorefrontOrigins(shop) {
+  for (const [hostname, cached] of storefrontOrigins) {
+    if (cached.shop === shop || cached.shop === null) storefrontOrigins.delete(hostname);
+  }
+}
+
+// Record the shop's primary storefront domain from the Admin API in place of
+// the one recorded last time. Domains the merchant added are kept
+async function syncShopDomains(session) {
+  const api = new SimpleShopifyAPI(session.shop, session.accessToken);
+  const { shop } = await api.getShop();
+  const domain = normalizeCustomDomain(shop.domain);
+  
+  await db.deleteShopDomains(session.shop, 'shopify');
+  if (domain) {
+    await db.saveShopDomain({ shop: session.shop, domain, source: 'shopify' });
+  }
+  forgetStorefrontOrigins(session.shop);
+  console.log('🌐 Storefront domain for', session.shop, ':', domain || 'none besides myshopify.com');
+  return db.getShopDomains(session.shop);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Install problems are shown to the merchant, not returned as JSON
+function sendAuthError(res, status, title, message, shop = null) {
+  const retry = shop
+    ? `<p><a href="/auth?shop=${encodeURIComponent(shop)}">Start the installation again</a></p>`
+    : '';
+  res.status(status).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - Product Add-ons</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, "San Francisco", "Segoe UI", Roboto, "Helvetica Neue", sans-serif; background: #f6f6f7; color: #202223; margin: 0; padding: 40px 20px; }
+        .card { max-width: 480px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 0 0 1px rgba(63, 63, 68, 0.05), 0 1px 3px 0 rgba(63, 63, 68, 0.15); padding: 24px; }
+        h1 { font-size: 20px; margin: 0 0 12px; }
+        p { color: #6d7175; line-height: 1.5; }
+        a { color: #008060; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>
+        ${retry}
+    </div>
+</body>
+</html>`);
+}
+
 // Shopify OAuth start
 app.get('/auth', async (req, res) => {
   try {
-    const shop = req.query.shop;
-    if (!shop) {
-      return res.status(400).send('Missing shop parameter');
+    if (!req.query.shop) {
+      return sendAuthError(res, 400, 'Missing shop', 'Open the app from your Shopify admin, or add ?shop=yourstore.myshopify.com to the address.');
     }
-
-    // Clean and validate shop domain
-    let cleanShop = shop.replace(/https?:\/\//, '').replace(/\/$/, '');
-    if (!cleanShop.includes('.myshopify.com')) {
-      cleanShop = cleanShop + '.myshopify.com';
+    
+    const shop = normalizeShopDomain(req.query.shop);
+    if (!shop) {
+      console.error('❌ Invalid shop domain for OAuth:', req.query.shop);
+      return sendAuthError(res, 400, 'Invalid shop', 'The shop must be a yourstore.myshopify.com address.');
     }
 
-    console.log('Starting OAuth for shop:', cleanShop);
+    console.log('Starting OAuth for shop:', shop);
 
-    // Generate state for CSRF protection
-    const state = Math.random().toString(36).substring(7);
+    // Random nonce, checked and used up by the callback
+    const state = crypto.randomBytes(16).toString('hex');
+    await db.storeOAuthState(state, shop, Date.now() + OAUTH_STATE_TTL);
     
     // Build OAuth URL
-    const oauthUrl = getOAuthUrl(cleanShop, state);
+    const oauthUrl = getOAuthUrl(shop, state);
     if (DEBUG_MODE) console.log('Redirecting to OAuth URL:', oauthUrl);
     
     res.redirect(oauthUrl);
   } catch (error) {
     console.error('Auth error:', error);
-    res.status(500).send(`Authentication failed: ${error.message}`);
+    sendAuthError(res, 500, 'Installation failed', 'Something went wrong starting the installation. Please try again.');
   }
 });
 
 // Shopify OAuth callback
 app.get('/auth/callback', async (req, res) => {
   try {
-    const { code, shop, state, error } = req.query;
+    const { code, state, error } = req.query;
+    const shop = normalizeShopDomain(req.query.shop);
     
-    if (DEBUG_MODE) console.log('OAuth callback received:', { code: !!code, shop, state, error });
+    if (DEBUG_MODE) console.log('OAuth callback received:', { code: !!code, shop: req.query.shop, state, error });
     
     if (error) {
       console.error('OAuth error:', error);
-      return res.status(400).send(`OAuth error: ${error}`);
+      return sendAuthError(res, 400, 'Installation was not approved', `Shopify returned: ${error}`, shop);
     }
     
-    if (!code || !shop) {
-      console.error('Missing required parameters:', { code: !!code, shop });
-      return res.status(400).send('Missing required OAuth parameters');
+    if (!code || !shop || !state) {
+      console.error('Missing required parameters:', { code: !!code, shop: req.query.shop, state: !!state });
+      return sendAuthError(res, 400, 'Invalid installation link', 'The link from Shopify is missing required details.', shop);
     }
-
-    const cleanShop = shop.replace(/https?:\/\//, '').replace(/\/$/, '');
-    if (DEBUG_MODE) console.log('Processing OAuth for shop:', cleanShop);
     
-    // Get access token
-    const tokenData = await verifyOAuthCallback(code, cleanShop, state);
-    if (DEBUG_MODE) console.log('Token received:', { hasToken: !!tokenData.access_token, scope: tokenData.scope });
+    if (!verifyOAuthHmac(req.query)) {
+      console.error('❌ OAuth callback HMAC mismatch for shop:', shop);
+      return sendAuthError(res, 401, 'Invalid installation link', 'This link was not signed by Shopify.', shop);
+    }
+    
+    const storedState = await db.consumeOAuthState(state);
+    if (!storedState || storedState.shop !== shop) {
+      console.error('❌ Unknown OAuth state for shop:', shop);
+      return sendAuthError(res, 403, 'Installation link not recognised', 'This link has already been used or was started for another shop.', shop);
+    }
+    if (storedState.expires < Date.now()) {
+      console.error('❌ Expired OAuth state for shop:', shop);
+      return sendAuthError(res, 403, 'Installation link expired', 'The installation took too long to complete.', shop);
+    }
+
+    if (DEBUG_MODE) console.log('Processing OAuth for shop:', shop);
+    
+    // Get access token
+    const tokenData = await verifyOAuthCallback(code, shop);
+    if (DEBUG_MODE) console.log('Token received:', { hasToken: !!tokenData.access_token, scope: tokenData.scope });
     
     // Create and store session
     const session = {
-      id: `${cleanShop}_${Date.now()}`,
-      shop: cleanShop,
+      id: `${shop}_${Date.now()}`,
+      shop,
       accessToken: tokenData.access_token,
       scope: tokenData.scope,
       created_at: new Date().toISOString()
     };
     
     await db.storeSession(session);
-    console.log('Session stored successfully for:', cleanShop);
+    console.log('Session stored successfully for:', shop);
     
     // Install script tag
     await installScriptTag(session);
+    await registerWebhooks(session);
+    try {
+      await syncShopDomains(session);
+    } catch (error) {
+      console.error('Error recording storefront domains:', error);
+      // Continue, the domains can be refreshed from the admin
+    }
+    try {
+      await provisionHiddenProduct(session);
+    } catch (error) {
+      console.error('Error provisioning hidden product:', error);
+      // Continue, the product can be repaired from the admin
+    }
     
     // Redirect to embedded app in Shopify admin
-    const redirectUrl = `https://${cleanShop}/admin/apps/${process.env.SHOPIFY_API_KEY}`;
+    const redirectUrl = `https://${shop}/admin/apps/${process.env.SHOPIFY_API_KEY}`;
     if (DEBUG_MODE) console.log('Redirecting to embedded app:', redirectUrl);
     res.redirect(redirectUrl);
     
   } catch (error) {
     console.error('Callback error:', error);
-    res.status(500).send(`Authentication failed: ${error.message}`);
+    sendAuthError(res, 500, 'Installation failed', 'Shopify could not complete the installation. Please try again.', normalizeShopDomain(req.query.shop));
   }
 });
 
@@ -327,18 +1139,130 @@ async function installScriptTag(session) {
   }
 }
 
-// Middleware to get session for API routes
-async function getSessionMiddleware(req, res, next) {
+// Variant settings every hidden variant needs: never out of stock and nothing to ship
+const HIDDEN_VARIANT_SETTINGS = {
+  inventory_management: null,
+  inventory_policy: 'continue',
+  requires_shipping: false,
+  weight: 0
+};
+
+// One variant per denomination, keeping the IDs of those the product already has
+function hiddenProductVariants(existing = []) {
+  return HIDDEN_DENOMINATIONS.map(price => {
+    const sku = hiddenVariantSku(price);
+    const current = existing.find(variant => variant.sku === sku);
+    return {
+      ...(current && { id: current.id }),
+      option1: price.toFixed(2),
+      price: price.toFixed(2),
+      sku,
+      ...HIDDEN_VARIANT_SETTINGS
+    };
+  });
+}
+
+// Find the shop's hidden price-adjustment product by its £0.01 SKU, or create
+// it, give it a variant for each denomination and save their IDs in the shop's settings
+async function provisionHiddenProduct(session) {
+  const api = new SimpleShopifyAPI(session.shop, session.accessToken);
+  const existing = await api.findVariantBySku(HIDDEN_PRODUCT_SKU);
+  let product;
+  
+  if (existing) {
+    const { product: current } = await api.getProductVariants(existing.productId);
+    // Variants missing from the list are removed, and archived or draft products
+    // can't be added to a cart
+    ({ product } = await api.updateProduct(existing.productId, {
+      status: 'active',
+      options: [{ name: 'Amount' }],
+      variants: hiddenProductVariants(current.variants)
+    }));
+    console.log('🔧 Hidden product found for', session.shop, ':', existing.productId);
+  } else {
+    // Created unpublished, so it's on no sales channel and out of search and collections
+    ({ product } = await api.createProduct({
+      title: 'Product Add-on Price Adjustment',
+      body_html: 'This product is used internally for add-on pricing. Do not modify.',
+      product_type: 'System',
+      handle: 'addon-price-adjustment',
+      tags: 'system, internal, hidden',
+      status: 'active',
+      published: false,
+      options: [{ name: 'Amount' }],
+      variants: hiddenProductVariants()
+    }));
+    console.log('✅ Hidden product created for', session.shop, ':', product.id);
+  }
+  
+  const hiddenVariants = HIDDEN_DENOMINATIONS.map(price => {
+    const variant = product.variants.find(item => item.sku === hiddenVariantSku(price));
+    return { variantId: String(variant.id), price };
+  });
+  const productId = String(product.id);
+  const variantId = hiddenVariants.find(variant => variant.price === HIDDEN_PRODUCT_PRICE).variantId;
+  
+  const stored = await db.getShopSettings(session.shop) || {};
+  await db.saveShopSettings(session.shop, { ...stored, hiddenProductId: productId, hiddenVariantId: variantId, hiddenVariants });
+  return { productId, variantId, variants: hiddenVariants, created: !existing };
+}
+
+// Webhook topics the app subscribes to on install, and the route each is delivered to
+// (the GDPR topics are set in the Partner Dashboard instead)
+const WEBHOOK_TOPICS = {
+  'orders/create': '/webhooks/orders/create',
+  'app/uninstalled': '/webhooks/app/uninstalled'
+};
+
+// Subscribe to the app's webhooks, skipping topics that are already registered
+async function registerWebhooks(session) {
   try {
-    const shop = req.query.shop || req.headers['x-shop-domain'];
-    if (!shop) {
-      return res.status(400).json({ error: 'Missing shop parameter' });
+    const api = new SimpleShopifyAPI(session.shop, session.accessToken);
+    const { webhooks } = await api.getWebhooks();
+    
+    for (const [topic, route] of Object.entries(WEBHOOK_TOPICS)) {
+      const address = `${process.env.HOST}${route}`;
+      if (webhooks.some(webhook => webhook.topic === topic && webhook.address === address)) {
+        if (DEBUG_MODE) console.log('Webhook already registered:', topic);
+        continue;
+      }
+      
+      await api.createWebhook({ topic, address, format: 'json' });
+      console.log('Webhook registered:', topic);
+    }
+  } catch (error) {
+    console.error('Error registering webhooks:', error);
+    // Continue even if webhook registration fails
+  }
+}
+
+// Authenticate embedded admin requests from their App Bridge session token.
+// The shop comes from the token, never from the query or body, and its
+// installed session is attached as req.session
+async function verifySessionToken(req, res, next) {
+  try {
+    const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+    if (!match) {
+      return res.status(401).json({ error: 'Missing session token' });
+    }
+    if (!process.env.SHOPIFY_API_SECRET || !process.env.SHOPIFY_API_KEY) {
+      console.error('❌ SHOPIFY_API_KEY and SHOPIFY_API_SECRET are needed to verify session tokens');
+      return res.status(500).json({ error: 'App is not configured' });
     }
     
+    let payload;
+    try {
+      payload = decodeSessionToken(match[1]);
+    } catch (error) {
+      console.error('❌ Rejected session token:', error.message);
+      return res.status(401).json({ error: 'Invalid session token', details: error.message });
+    }
+    
+    const shop = payload.shop;
     if (DEBUG_MODE) console.log('🔍 Looking for session for shop:', shop);
     const session = await db.getSession(shop);
     
-    if (!session) {
+    if (!session || !session.accessToken) {
       console.error('❌ No session found for shop:', shop);
       return res.status(401).json({ 
         error: 'Shop not authenticated', 
@@ -347,25 +1271,39 @@ async function getSessionMiddleware(req, res, next) {
       });
     }
     
-    // Check if session has required fields
-    if (!session.accessToken) {
-      console.error('❌ Session missing access token for shop:', shop);
-      return res.status(401).json({ 
-        error: 'Invalid session - missing access token',
-        redirect: `/auth?shop=${shop}`,
-        message: 'Please reinstall the app'
-      });
-    }
-    
-    if (DEBUG_MODE) console.log('✅ Valid session found for shop:', shop);
+    if (DEBUG_MODE) console.log('✅ Valid session token for shop:', shop, 'user:', payload.sub);
+    req.shop = shop;
     req.session = session;
+    // The staff member behind the request, recorded in add-on history
+    req.userId = payload.sub || null;
     next();
   } catch (error) {
-    console.error('Session middleware error:', error);
+    console.error('Session token middleware error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 }
 
+// The /debug routes show session details and call the Admin API with a shop's
+// token, so they are off unless DEBUG_ADMIN_SECRET is set and sent back in the
+// X-Admin-Secret header
+function requireAdminSecret(req, res, next) {
+  const secret = process.env.DEBUG_ADMIN_SECRET;
+  if (!secret) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const received = crypto.createHash('sha256').update(req.get('X-Admin-Secret') || '').digest();
+  if (!crypto.timingSafeEqual(expected, received)) {
+    console.error('❌ Rejected debug request without a valid admin secret:', req.originalUrl);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  next();
+}
+
+app.use('/debug', requireAdminSecret);
+
 // Debug endpoint to check sessions
 app.get('/debug/sessions', async (req, res) => {
   try {
@@ -466,13 +1404,7 @@ app.get('/api/resolve-shop', async (req, res) => {
       console.log('🔍 Shop header:', shopHeader);
     }
     
-    // Domain mappings
-    const domainMappings = {
-      'paceworx.store': 'megrq8-sg.myshopify.com',
-      // Add more mappings as needed
-    };
-    
-    const resolvedShop = domainMappings[customDomain];
+    const resolvedShop = await resolveCustomDomain(customDomain);
     
     if (resolvedShop) {
       if (DEBUG_MODE) console.log('✅ Resolved domain:', customDomain, '→', resolvedShop);
@@ -487,8 +1419,111 @@ app.get('/api/resolve-shop', async (req, res) => {
   }
 });
 
+// Storefront settings, see storefront-settings.js
+app.get('/api/settings', verifySessionToken, async (req, res) => {
+  try {
+    res.json(await getShopSettings(req.shop));
+  } catch (error) {
+    console.error('❌ Error fetching settings:', error);
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+// Fields left out keep their saved value. labels and features replace the saved
+// ones, and anything missing from them goes back to its default
+app.put('/api/settings', verifySessionToken, async (req, res) => {
+  try {
+    const { changes, error } = validateSettingsUpdate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const stored = await db.getShopSettings(req.shop) || {};
+    // The denominations belong to the product they were provisioned on
+    if (changes.hiddenProductId !== undefined && changes.hiddenProductId !== (stored.hiddenProductId || null)) {
+      changes.hiddenVariants = [];
+    }
+    await db.saveShopSettings(req.shop, { ...stored, ...changes });
+    console.log('✅ Settings updated for', req.shop, ':', Object.keys(changes).join(', '));
+    res.json(await getShopSettings(req.shop));
+  } catch (error) {
+    console.error('❌ Error updating settings:', error);
+    res.status(500).json({ error: 'Failed to update settings', details: error.message });
+  }
+});
+
+// Find or recreate the hidden product and point the shop's settings at it, for
+// when it was deleted or edited
+app.post('/api/hidden-product/repair', verifySessionToken, async (req, res) => {
+  try {
+    const result = await provisionHiddenProduct(req.session);
+    res.json({ ...result, settings: await getShopSettings(req.shop) });
+  } catch (error) {
+    console.error('❌ Error repairing hidden product:', error);
+    res.status(500).json({ error: 'Failed to repair the hidden product', details: error.message });
+  }
+});
+
+// Storefront domains the app recognises for the shop. The primary domain comes
+// from Shopify, others (e.g. a second market's domain) are added by hand
+app.get('/api/shop-domains', verifySessionToken, async (req, res) => {
+  try {
+    res.json(await db.getShopDomains(req.shop));
+  } catch (error) {
+    console.error('❌ Error fetching shop domains:', error);
+    res.status(500).json({ error: 'Failed to fetch domains' });
+  }
+});
+
+app.post('/api/shop-domains', verifySessionToken, async (req, res) => {
+  try {
+    const domain = normalizeCustomDomain(req.body.domain);
+    if (!domain) {
+      return res.status(400).json({ error: 'Enter a storefront domain such as shop.example.com' });
+    }
+    
+    const owner = await db.getShopForDomain(domain);
+    if (owner && owner !== req.shop) {
+      return res.status(409).json({ error: 'This domain is connected to another store' });
+    }
+    
+    const saved = await db.saveShopDomain({ shop: req.shop, domain, source: 'manual' });
+    forgetStorefrontOrigins(req.shop);
+    console.log('✅ Domain added for', req.shop, ':', domain);
+    res.json(saved);
+  } catch (error) {
+    console.error('❌ Error adding shop domain:', error);
+    res.status(500).json({ error: 'Failed to add domain', details: error.message });
+  }
+});
+
+app.post('/api/shop-domains/refresh', verifySessionToken, async (req, res) => {
+  try {
+    res.json(await syncShopDomains(req.session));
+  } catch (error) {
+    console.error('❌ Error refreshing shop domains:', error);
+    res.status(500).json({ error: 'Failed to refresh domains from Shopify', details: error.message });
+  }
+});
+
+app.delete('/api/shop-domains/:id', verifySessionToken, async (req, res) => {
+  try {
+    const record = await db.getShopDomain(req.params.id);
+    if (!record || record.shop !== req.shop) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+    
+    await db.deleteShopDomain(record.id);
+    forgetStorefrontOrigins(req.shop);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting shop domain:', error);
+    res.status(500).json({ error: 'Failed to delete domain' });
+  }
+});
+
 // API Routes
-app.get('/api/products', getSessionMiddleware, async (req, res) => {
+app.get('/api/products', verifySessionToken, async (req, res) => {
   try {
     if (DEBUG_MODE) console.log('🛍️ Fetching products for shop:', req.session.shop);
     if (DEBUG_MODE) console.log('🔑 Using access token:', req.session.accessToken ? 'Present' : 'Missing');
@@ -515,29 +1550,269 @@ app.get('/api/products', getSessionMiddleware, async (req, res) => {
   }
 });
 
-app.get('/api/addons/:productId', async (req, res) => {
+// Product ID -> handle for a shop, so exports can be imported into another store
+async function getProductHandles(session) {
+  const api = new SimpleShopifyAPI(session.shop, session.accessToken);
+  const { products } = await api.getProductHandles();
+  return new Map(products.map(product => [String(product.id), product.handle]));
+}
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const IMPORT_ROW_LIMIT = 1000;
+
+// Every add-on of the shop, as a download
+app.get('/api/addons/export', verifySessionToken, async (req, res) => {
   try {
-    let productId = req.params.productId;
-    let shop = req.query.shop || 'default';
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
     
-    console.log('Getting addons for productId:', productId, 'shop:', shop);
+    const addons = await db.getAllAddons(req.shop);
+    let handles = new Map();
+    if (addons.some(addon => addon.productId)) {
+      try {
+        handles = await getProductHandles(req.session);
+      } catch (error) {
+        // Handles are a convenience, IDs alone still import into the same store
+        console.error('⚠️ Could not look up product handles for export:', error.message);
+      }
+    }
     
-    // Handle custom domain resolution
-    const customDomain = req.headers['x-shop-domain'];
-    if (customDomain && !shop.includes('.myshopify.com')) {
-      if (DEBUG_MODE) console.log('Custom domain detected:', customDomain, 'provided shop:', shop);
-      
-      // Try to map custom domain to actual shop
-      const domainMappings = {
-        'paceworx.store': 'megrq8-sg.myshopify.com',
-      };
-      
-      const resolvedShop = domainMappings[customDomain];
-      if (resolvedShop) {
-        if (DEBUG_MODE) console.log('Resolved custom domain to:', resolvedShop);
-        shop = resolvedShop;
+    const records = addons.map(addon => toTransferRecord(addon, handles));
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`addons-${req.shop}-${date}.${format}`);
+    console.log('📤 Exported', records.length, 'addons for', req.shop, 'as', format);
+    
+    if (format === 'csv') {
+      return res.type('text/csv').send(toCsv(records));
+    }
+    res.json({ shop: req.shop, exportedAt: new Date().toISOString(), addons: records });
+  } catch (error) {
+    console.error('❌ Error exporting addons:', error);
+    res.status(500).json({ error: 'Failed to export add-ons', details: error.message });
+  }
+});
+
+// Import body -> records, each with the errors found while reading it
+function readImportRecords(body) {
+  const format = body.format || 'json';
+  if (format === 'csv') {
+    if (typeof body.csv !== 'string') {
+      throw new Error('CSV imports need the file contents in csv');
+    }
+    return fromCsv(body.csv);
+  }
+  if (format === 'json') {
+    if (!Array.isArray(body.addons)) {
+      throw new Error('JSON imports need a list of add-ons in addons');
+    }
+    return body.addons.map(record => record && typeof record === 'object' && !Array.isArray(record)
+      ? { ...record, errors: [] }
+      : { errors: ['Row is not an add-on object'] });
+  }
+  throw new Error(`Import format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+}
+
+// Work out what each import row would do without writing anything. Rows match
+// an add-on of the shop by id, then by name on the same product or set;
+// anything else is created. Ids in another shop's export are only used to link
+// conditions: on another install they can be the ids of this shop's add-ons
+async function planAddonImport(records, shop, session) {
+  const existing = await db.getAllAddons(shop);
+  const existingById = new Map(existing.map(addon => [String(addon.id), addon]));
+  const importedIds = new Set(records.filter(record => record.id != null).map(record => String(record.id)));
+  const claimed = new Set();
+  
+  let productIdsByHandle = null;
+  if (records.some(record => record.productHandle && !record.productId && !record.setId)) {
+    try {
+      const handles = await getProductHandles(session);
+      productIdsByHandle = new Map([...handles].map(([id, handle]) => [handle, id]));
+    } catch (error) {
+      console.error('⚠️ Could not look up product handles for import:', error.message);
+    }
+  }
+  
+  const plan = [];
+  for (const [index, record] of records.entries()) {
+    const { errors, productHandle, ...input } = record;
+    const entry = { row: index + 1, name: input.name || null, sourceId: input.id ?? null, action: 'create', id: null, addon: null, errors: [...errors] };
+    plan.push(entry);
+    
+    if (!input.productId && !input.setId && productHandle) {
+      if (!productIdsByHandle) {
+        entry.errors.push(`Could not look up product handle: ${productHandle}`);
+      } else if (!productIdsByHandle.has(productHandle)) {
+        entry.errors.push(`Unknown product handle: ${productHandle}`);
+      } else {
+        input.productId = productIdsByHandle.get(productHandle);
       }
     }
+    if (entry.errors.length > 0) continue;
+    
+    const ownId = !input.shop || input.shop === shop;
+    const match = (ownId && existingById.get(String(input.id))) || existing.find(addon =>
+      addon.name === input.name &&
+      (input.setId ? String(addon.setId) === String(input.setId) : !addon.setId && addon.productId === String(input.productId)));
+    if (match) {
+      if (claimed.has(match.id)) {
+        entry.errors.push(`Another row already updates add-on ${match.id}`);
+        continue;
+      }
+      claimed.add(match.id);
+      entry.action = 'update';
+      entry.id = match.id;
+      entry.before = match;
+    }
+    
+    const { addon, error } = await buildAddon(input, shop, { addonId: input.id ?? entry.id, importedIds });
+    if (error) {
+      entry.errors.push(error);
+    } else {
+      entry.addon = addon;
+    }
+  }
+  
+  return plan;
+}
+
+// Write a checked plan in one transaction, so a failure part way through leaves
+// nothing behind. Conditions go in last, once every imported add-on has its
+// stored ID to point at
+async function applyAddonImport(plan, req) {
+  await db.transaction(store => saveAddonImport(plan, req, store));
+}
+
+async function saveAddonImport(plan, req, store) {
+  const storedIds = new Map();
+  
+  for (const entry of plan) {
+    const { shop, conditions, position, ...addonData } = entry.addon;
+    // Rows without a position keep an updated add-on's place, or go last
+    const stored = entry.action === 'update'
+      ? await store.updateAddon(entry.id, { ...addonData, conditions: null, ...(position !== null ? { position } : {}) })
+      : await store.createAddon({ ...addonData, shop, conditions: null, position: position ?? await nextAddonPosition(entry.addon, store) });
+    entry.id = stored.id;
+    if (entry.sourceId != null) storedIds.set(String(entry.sourceId), stored.id);
+  }
+  
+  for (const entry of plan) {
+    const { conditions } = entry.addon;
+    if (!conditions) continue;
+    
+    await store.updateAddon(entry.id, {
+      conditions: {
+        ...conditions,
+        rules: conditions.rules.map(rule => ({ ...rule, addonId: storedIds.get(String(rule.addonId)) ?? rule.addonId }))
+      }
+    });
+  }
+  
+  for (const entry of plan) {
+    await recordAddonChange(req, entry.action, entry.before || null, await store.getAddon(entry.id), store);
+  }
+}
+
+// Nothing is written unless every row is valid; dryRun only reports what would happen
+app.post('/api/addons/import', verifySessionToken, async (req, res) => {
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+  
+  let records;
+  try {
+    records = readImportRecords(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (records.length === 0) {
+    return res.status(400).json({ error: 'The import has no add-ons' });
+  }
+  if (records.length > IMPORT_ROW_LIMIT) {
+    return res.status(400).json({ error: `Imports are limited to ${IMPORT_ROW_LIMIT} add-ons` });
+  }
+  
+  try {
+    const plan = await planAddonImport(records, req.shop, req.session);
+    const errors = plan
+      .filter(entry => entry.errors.length > 0)
+      .map(({ row, name, errors }) => ({ row, name, errors }));
+    
+    if (errors.length === 0 && !dryRun) {
+      await applyAddonImport(plan, req);
+      console.log('📥 Imported', plan.length, 'addons for', req.shop);
+    }
+    
+    const valid = plan.filter(entry => entry.errors.length === 0);
+    res.status(errors.length > 0 && !dryRun ? 400 : 200).json({
+      dryRun,
+      imported: errors.length === 0 && !dryRun,
+      created: valid.filter(entry => entry.action === 'create').length,
+      updated: valid.filter(entry => entry.action === 'update').length,
+      results: valid.map(({ row, name, action, id }) => ({ row, name, action, id })),
+      errors
+    });
+  } catch (error) {
+    console.error('❌ Error importing addons:', error);
+    res.status(500).json({ error: 'Failed to import add-ons', details: error.message });
+  }
+});
+
+// The shop's groups that hold any of these add-ons, in group order, with the
+// IDs of their add-ons in list order. Add-ons outside a group (or in a deleted
+// one) are shown before the groups
+async function groupAddons(addons, shop) {
+  if (!addons.some(addon => addon.groupId)) return [];
+  
+  const groups = await db.getAddonGroups(shop);
+  return groups
+    .map(group => ({
+      id: group.id,
+      name: group.name,
+      description: group.description,
+      collapsible: group.collapsible,
+      collapsed: group.collapsed,
+      addonIds: addons.filter(addon => String(addon.groupId) === String(group.id)).map(addon => addon.id)
+    }))
+    .filter(group => group.addonIds.length > 0);
+}
+
+// The shop a storefront request is for: ?shop=, or the shop that owns the
+// custom domain in X-Shop-Domain when that isn't a myshopify.com domain
+async function resolveStorefrontShop(req) {
+  const shop = req.query.shop || 'default';
+  const customDomain = req.headers['x-shop-domain'];
+  if (!customDomain || shop.includes('.myshopify.com')) return shop;
+  
+  if (DEBUG_MODE) console.log('Custom domain detected:', customDomain, 'provided shop:', shop);
+  const resolvedShop = await resolveCustomDomain(customDomain);
+  if (resolvedShop) {
+    if (DEBUG_MODE) console.log('Resolved custom domain to:', resolvedShop);
+    return resolvedShop;
+  }
+  return shop;
+}
+
+// Everything the storefront script needs before it starts, loaded once per page
+app.get('/api/storefront-config', async (req, res) => {
+  try {
+    const shop = await resolveStorefrontShop(req);
+    const settings = await getShopSettings(shop);
+    
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({ shop, ...toStorefrontConfig(settings) });
+  } catch (error) {
+    console.error('❌ Error loading storefront config:', error);
+    res.status(500).json({ error: 'Failed to load storefront config' });
+  }
+});
+
+app.get('/api/addons/:productId', async (req, res) => {
+  try {
+    let productId = req.params.productId;
+    const shop = await resolveStorefrontShop(req);
+    const variantId = req.query.variant;
+    
+    console.log('Getting addons for productId:', productId, 'variant:', variantId || 'any', 'shop:', shop);
     
     // If productId looks like a handle (string), try to convert it to ID
     if (isNaN(productId)) {
@@ -558,58 +1833,190 @@ app.get('/api/addons/:productId', async (req, res) => {
       }
     }
     
-    const addons = await db.getAddons(productId, shop);
-    console.log('Found', addons.length, 'addons for product', productId, 'shop', shop);
-    res.json(addons);
+    // The storefront asks for one variant; the admin leaves it out to see everything
+    const { addons, sets } = await getProductAddons(shop, productId, variantId);
+    const groups = await groupAddons(addons, shop);
+    
+    console.log('Found', addons.length, 'addons for product', productId, 'shop', shop, `(${sets.length} sets, ${groups.length} groups)`);
+    res.json({ addons, groups });
   } catch (error) {
     console.error('Error fetching addons:', error);
     res.status(500).json({ error: 'Failed to fetch addons' });
   }
 });
 
-app.post('/api/addons', async (req, res) => {
+// Add-ons and sets are only visible to the shop that owns them - a record
+// from another shop is treated as missing
+async function findShopAddon(id, shop) {
+  const addon = await db.getAddon(id);
+  return addon && addon.shop === shop ? addon : null;
+}
+
+async function findShopAddonSet(id, shop) {
+  const set = await db.getAddonSet(id);
+  return set && set.shop === shop ? set : null;
+}
+
+async function findShopAddonGroup(id, shop) {
+  const group = await db.getAddonGroup(id);
+  return group && group.shop === shop ? group : null;
+}
+
+// Returns an error message when groupId isn't one of the shop's groups
+async function validateAddonGroupId(groupId, shop) {
+  if (!groupId) return null;
+  const group = await findShopAddonGroup(groupId, shop);
+  return group && group.active ? null : `Unknown add-on group: ${groupId}`;
+}
+
+// Keep the add-on as it was before and after an admin change. The change has
+// already been made, so a failure here is logged rather than returned. Changes
+// made in a transaction are recorded through its store
+async function recordAddonChange(req, action, before, after, store = db) {
   try {
-    const { productId, name, price, type, required, options } = req.body;
-    const shop = req.query.shop || req.body.shop || 'default';
-    
-    if (DEBUG_MODE) {
-      console.log('🔧 Creating addon with data:');
-      console.log('  productId:', productId);
-      console.log('  name:', name);
-      console.log('  price:', price);
-      console.log('  type:', type);
-      console.log('  required:', required);
-      console.log('  options:', options);
-      console.log('  shop:', shop);
-    }
-    
-    // Validate required fields
-    if (!productId) {
-      console.error('❌ Missing productId');
-      return res.status(400).json({ error: 'Product ID is required' });
-    }
-    if (!name) {
-      console.error('❌ Missing name');
-      return res.status(400).json({ error: 'Add-on name is required' });
-    }
-    if (price === undefined || price === null) {
-      console.error('❌ Missing price');
-      return res.status(400).json({ error: 'Price is required' });
-    }
-    if (!type) {
-      console.error('❌ Missing type');
-      return res.status(400).json({ error: 'Add-on type is required' });
+    await store.recordAddonHistory({
+      addonId: (after || before).id,
+      shop: req.shop,
+      action,
+      actor: req.userId,
+      before,
+      after
+    });
+  } catch (error) {
+    console.error('❌ Error recording addon history:', error);
+  }
+}
+
+// Validate an add-on from the admin form or an import row and shape it for
+// storage, returns { addon } or { error }. Condition rules may point at
+// importedIds, add-ons from the same import that don't exist yet
+async function buildAddon(input, shop, { addonId = null, importedIds = null } = {}) {
+  const { productId, setId, name, price, type, required, placeholder, pattern } = input;
+  const options = normalizeAddonOptions(input.options);
+  const conditions = normalizeConditions(input.conditions);
+  const position = parseOptionalInteger(input.position);
+  const groupId = input.groupId || null;
+  const helpText = normalizeHelpText(input.helpText);
+  const isText = TEXT_ADDON_TYPES.includes(type);
+  const minLength = isText ? parseOptionalInteger(input.minLength) : null;
+  const maxLength = isText ? parseOptionalInteger(input.maxLength) : null;
+  const priceMode = input.priceMode || 'fixed';
+  const usesUnitPricing = UNIT_PRICE_MODES.includes(priceMode);
+  const baseFee = usesUnitPricing ? parseOptionalPrice(input.baseFee) : null;
+  const priceCap = usesUnitPricing ? parseOptionalPrice(input.priceCap) : null;
+  const variantIds = normalizeVariantIds(input.variantIds);
+  const variantPrices = normalizeVariantPrices(input.variantPrices);
+  const chargePer = input.chargePer || 'unit';
+  
+  if (DEBUG_MODE) {
+    console.log('🔧 Building addon with data:');
+    console.log('  productId:', productId);
+    console.log('  setId:', setId);
+    console.log('  name:', name);
+    console.log('  price:', price);
+    console.log('  type:', type);
+    console.log('  required:', required);
+    console.log('  options:', options);
+    if (isText) console.log('  text settings:', { placeholder, minLength, maxLength, pattern });
+    console.log('  pricing:', { priceMode, baseFee, priceCap, chargePer });
+    console.log('  variants:', { variantIds, variantPrices });
+    console.log('  shop:', shop);
+  }
+  
+  // Validate required fields
+  if (!productId && !setId) {
+    return { error: 'Product ID or add-on set ID is required' };
+  }
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { error: 'Add-on name is required' };
+  }
+  if (price === undefined || price === null || price === '') {
+    return { error: 'Price is required' };
+  }
+  if (Number.isNaN(parseFloat(price))) {
+    return { error: 'Price must be a number' };
+  }
+  if (parseFloat(price) < 0) {
+    return { error: 'Price cannot be negative' };
+  }
+  if (!type) {
+    return { error: 'Add-on type is required' };
+  }
+  if (Number.isNaN(position)) {
+    return { error: 'Position must be a whole number of 0 or more' };
+  }
+  if (helpText && helpText.length > HELP_TEXT_LIMIT) {
+    return { error: `Help text must be ${HELP_TEXT_LIMIT} characters or fewer` };
+  }
+  
+  const settingsError = validateAddonSettings({ type, options, minLength, maxLength, pattern, priceMode, baseFee, priceCap, chargePer, variantIds, variantPrices });
+  if (settingsError) return { error: settingsError };
+  
+  const conditionsError = await validateAddonConditions(conditions, shop, addonId, importedIds);
+  if (conditionsError) return { error: conditionsError };
+  
+  if (setId) {
+    const set = await findShopAddonSet(setId, shop);
+    if (!set || !set.active) {
+      return { error: `Unknown add-on set: ${setId}` };
     }
-    
-    const addon = await db.createAddon({
-      productId,
-      name,
+  }
+  
+  const groupError = await validateAddonGroupId(groupId, shop);
+  if (groupError) return { error: groupError };
+  
+  return {
+    addon: {
+      // Set add-ons belong to the set, not to the product they were created from
+      productId: setId ? null : productId,
+      setId: setId || null,
+      name: name.trim(),
       price: parseFloat(price),
       type,
       required: required || false,
       options: options || null,
+      placeholder: isText ? placeholder || null : null,
+      minLength,
+      maxLength,
+      pattern: isText ? pattern || null : null,
+      priceMode,
+      baseFee,
+      priceCap,
+      conditions,
+      variantIds,
+      variantPrices,
+      chargePer,
+      // Left null to go after the add-ons already on the product or set
+      position,
+      groupId: groupId ? parseInt(groupId) : null,
+      helpText,
       shop
-    });
+    }
+  };
+}
+
+// Position after the last add-on of the product or set a new add-on goes on
+async function nextAddonPosition(addon, store = db) {
+  const siblings = addon.setId
+    ? await store.getAddonsForSets([addon.setId], addon.shop)
+    : await store.getAddons(addon.productId, addon.shop);
+  return siblings.reduce((next, sibling) => Math.max(next, sibling.position + 1), 0);
+}
+
+app.post('/api/addons', verifySessionToken, async (req, res) => {
+  try {
+    const { addon: addonData, error } = await buildAddon(req.body, req.shop);
+    if (error) {
+      console.error('❌ Invalid add-on:', error);
+      return res.status(400).json({ error });
+    }
+    
+    if (addonData.position === null) {
+      addonData.position = await nextAddonPosition(addonData);
+    }
+    
+    const addon = await db.createAddon(addonData);
+    await recordAddonChange(req, 'create', null, addon);
     
     console.log('✅ Addon created successfully:', addon.id || 'new addon');
     res.json(addon);
@@ -619,22 +2026,226 @@ app.post('/api/addons', async (req, res) => {
   }
 });
 
-app.put('/api/addons/:id', async (req, res) => {
+// Price of a variant in the shop's currency, used for percentage-priced add-ons
+async function getVariantPrice(shop, variantId) {
+  const session = await db.getSession(shop);
+  if (!session) {
+    throw new Error(`No session for shop ${shop}`);
+  }
+  
+  const api = new SimpleShopifyAPI(session.shop, session.accessToken);
+  const { variant } = await api.getVariant(variantId);
+  return parseFloat(variant.price);
+}
+
+// Price a shopper's selections from the stored add-on definitions. Returns
+// { addons } or { error } for selections the product page wouldn't allow, e.g.
+// an add-on from another product or a missing required one; getProductPrice
+// is only called once a percentage-priced add-on is selected
+async function priceSelections(shop, productId, selections, variantId, getProductPrice) {
+  if (!productId) {
+    return { error: 'A product ID is needed to price add-ons' };
+  }
+  
+  const { addons: offered } = await getProductAddons(shop, productId, variantId);
+  const selectionError = findSelectionError(offered, selections);
+  if (selectionError) {
+    console.error('❌ Add-on selections rejected for product', productId, 'variant:', variantId || 'any', 'shop:', shop, '-', selectionError);
+    return { error: selectionError };
+  }
+  
+  const addons = [];
+  let productPrice = null;
+  
+  for (const selection of selections) {
+    const addon = offered.find(addon => String(addon.id) === String(selection.addonId));
+    const option = (addon.options || []).find(option => option.value === selection.value);
+    if (isPercentPriced(addon, option) && productPrice === null) {
+      if (!variantId) {
+        return { error: 'A variant ID is needed to price percentage add-ons' };
+      }
+      productPrice = await getProductPrice();
+      if (DEBUG_MODE) console.log('💷 Variant', variantId, 'price for percentage add-ons:', productPrice);
+    }
+    
+    const price = calculateAddonPrice(addon, selection.value, productPrice || 0);
+    addons.push({ id: addon.id, name: addon.name, value: selection.value, price, chargePer: addon.chargePer || 'unit' });
+  }
+  
+  return { addons };
+}
+
+// Recalculate add-on prices from the stored definitions so the add-on total
+// written to the cart doesn't depend on prices sent by the browser
+app.post('/api/addons/calculate', async (req, res) => {
+  try {
+    const { selections, variantId, productId } = req.body;
+    const shop = await resolveStorefrontShop(req);
+    const quantity = req.body.quantity === undefined ? 1 : parseOptionalInteger(req.body.quantity);
+    
+    if (!Array.isArray(selections)) {
+      return res.status(400).json({ error: 'Selections must be an array' });
+    }
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be a whole number of 1 or more' });
+    }
+    
+    const priced = await priceSelections(shop, productId, selections, variantId, () => getVariantPrice(shop, variantId));
+    if (priced.error) {
+      return res.status(400).json({ error: priced.error });
+    }
+    const { addons } = priced;
+    
+    // Per-unit add-ons are charged for each item on the line, per-line ones once
+    const total = calculateLineTotal(addons, quantity);
+    const unitTotal = calculateLineTotal(addons.filter(addon => addon.chargePer !== 'line'), 1);
+    const lineCharge = calculateLineTotal(addons.filter(addon => addon.chargePer === 'line'), 1);
+    if (DEBUG_MODE) console.log('💷 Calculated add-on total for shop', shop, 'quantity', quantity, ':', total);
+    
+    // Signed so order processing can tell if the charge was altered in the browser
+    let token = null;
+    if (getSigningSecret()) {
+      token = createSelectionToken({ shop, productId, variantId, selections, unitTotal, lineCharge });
+    } else if (DEBUG_MODE) {
+      console.warn('⚠️ No ADDON_SIGNING_SECRET or SHOPIFY_API_SECRET set, add-on selections are not signed');
+    }
+    
+    res.json({ addons, quantity, unitTotal, lineCharge, total, token });
+  } catch (error) {
+    console.error('❌ Error calculating addon prices:', error);
+    res.status(500).json({ error: 'Failed to calculate add-on prices', details: error.message });
+  }
+});
+
+// Check a cart or order line's add-on token against what the line claims
+app.post('/api/addons/verify', async (req, res) => {
+  try {
+    const { token, productId, variantId, selections, total, unitTotal, lineCharge } = req.body;
+    const shop = await resolveStorefrontShop(req);
+    const quantity = req.body.quantity === undefined ? 1 : parseOptionalInteger(req.body.quantity);
+    
+    if (!getSigningSecret()) {
+      return res.status(500).json({ error: 'Add-on selection signing is not configured' });
+    }
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be a whole number of 1 or more' });
+    }
+    
+    const payload = readSelectionToken(token);
+    if (!payload) {
+      console.warn('🚨 Invalid add-on selection token for shop', shop);
+      return res.json({ valid: false, tampered: true, mismatches: ['Token signature is invalid'] });
+    }
+    
+    const mismatches = findSelectionMismatches(payload, { shop, productId, variantId, selections, quantity, total, unitTotal, lineCharge });
+    if (mismatches.length > 0) {
+      console.warn('🚨 Add-on selection mismatch for shop', shop, ':', mismatches);
+    }
+    
+    res.json({
+      valid: true,
+      tampered: mismatches.length > 0,
+      mismatches,
+      expectedTotal: expectedLineTotal(payload, quantity),
+      signed: payload
+    });
+  } catch (error) {
+    console.error('❌ Error verifying add-on selections:', error);
+    res.status(500).json({ error: 'Failed to verify add-on selections', details: error.message });
+  }
+});
+
+// Set the display order of the add-ons on one product or set, given as the
+// full list of their IDs in the new order
+app.put('/api/addons/reorder', verifySessionToken, async (req, res) => {
+  try {
+    const addonIds = req.body.addonIds;
+    if (!Array.isArray(addonIds) || addonIds.length === 0) {
+      return res.status(400).json({ error: 'addonIds must list the add-ons in their new order' });
+    }
+    if (new Set(addonIds.map(String)).size !== addonIds.length) {
+      return res.status(400).json({ error: 'Each add-on can only appear once' });
+    }
+    
+    const addons = [];
+    for (const id of addonIds) {
+      const addon = await findShopAddon(id, req.shop);
+      if (!addon || !addon.active) {
+        return res.status(404).json({ error: `Add-on not found: ${id}` });
+      }
+      addons.push(addon);
+    }
+    
+    const [first] = addons;
+    const sameList = addon => first.setId
+      ? String(addon.setId) === String(first.setId)
+      : !addon.setId && addon.productId === first.productId;
+    if (!addons.every(sameList)) {
+      return res.status(400).json({ error: 'Add-ons can only be reordered within one product or set' });
+    }
+    
+    // Positions are given out from 0, so a partial list would leave the add-ons
+    // it missed sharing positions with the ones it moved
+    const siblings = first.setId
+      ? await db.getAddonsForSets([first.setId], req.shop)
+      : await db.getAddons(first.productId, req.shop);
+    const listed = new Set(addonIds.map(String));
+    if (siblings.length !== addons.length || !siblings.every(addon => listed.has(String(addon.id)))) {
+      return res.status(400).json({ error: `addonIds must list all ${siblings.length} active add-ons of the ${first.setId ? 'set' : 'product'}` });
+    }
+    
+    const reordered = [];
+    for (const [position, addon] of addons.entries()) {
+      if (addon.position === position) {
+        reordered.push(addon);
+        continue;
+      }
+      const updated = await db.updateAddon(addon.id, { position });
+      await recordAddonChange(req, 'update', addon, updated);
+      reordered.push(updated);
+    }
+    
+    console.log('✅ Reordered', reordered.length, 'addons for', first.setId ? `set ${first.setId}` : `product ${first.productId}`);
+    res.json(reordered);
+  } catch (error) {
+    console.error('❌ Error reordering addons:', error);
+    res.status(500).json({ error: 'Failed to reorder add-ons', details: error.message });
+  }
+});
+
+app.put('/api/addons/:id', verifySessionToken, async (req, res) => {
   try {
     const addonId = req.params.id;
     const updateData = req.body;
     
+    const existing = await findShopAddon(addonId, req.shop);
+    if (!existing) {
+      return res.status(404).json({ error: 'Add-on not found' });
+    }
+    
     console.log('🔧 Updating addon:', addonId, 'with data:', updateData);
     
     // Validate and clean the update data
     const cleanedData = {};
     
     if (updateData.name !== undefined) {
-      cleanedData.name = updateData.name;
+      if (typeof updateData.name !== 'string' || updateData.name.trim() === '') {
+        return res.status(400).json({ error: 'Add-on name is required' });
+      }
+      cleanedData.name = updateData.name.trim();
     }
     
     if (updateData.price !== undefined) {
       cleanedData.price = parseFloat(updateData.price);
+      if (Number.isNaN(cleanedData.price)) {
+        return res.status(400).json({ error: 'Price must be a number' });
+      }
+      if (cleanedData.price < 0) {
+        return res.status(400).json({ error: 'Price cannot be negative' });
+      }
     }
     
     if (updateData.type !== undefined) {
@@ -647,12 +2258,86 @@ app.put('/api/addons/:id', async (req, res) => {
     }
     
     if (updateData.options !== undefined) {
-      cleanedData.options = updateData.options;
+      cleanedData.options = normalizeAddonOptions(updateData.options);
+    }
+    
+    if (updateData.placeholder !== undefined) {
+      cleanedData.placeholder = updateData.placeholder || null;
+    }
+    
+    if (updateData.minLength !== undefined) {
+      cleanedData.minLength = parseOptionalInteger(updateData.minLength);
+    }
+    
+    if (updateData.maxLength !== undefined) {
+      cleanedData.maxLength = parseOptionalInteger(updateData.maxLength);
+    }
+    
+    if (updateData.pattern !== undefined) {
+      cleanedData.pattern = updateData.pattern || null;
+    }
+    
+    if (updateData.priceMode !== undefined) {
+      cleanedData.priceMode = updateData.priceMode || 'fixed';
+    }
+    
+    if (updateData.baseFee !== undefined) {
+      cleanedData.baseFee = parseOptionalPrice(updateData.baseFee);
+    }
+    
+    if (updateData.priceCap !== undefined) {
+      cleanedData.priceCap = parseOptionalPrice(updateData.priceCap);
+    }
+    
+    if (updateData.chargePer !== undefined) {
+      cleanedData.chargePer = updateData.chargePer || 'unit';
+    }
+    
+    if (updateData.variantIds !== undefined) {
+      cleanedData.variantIds = normalizeVariantIds(updateData.variantIds);
+    }
+    
+    if (updateData.variantPrices !== undefined) {
+      cleanedData.variantPrices = normalizeVariantPrices(updateData.variantPrices);
+    }
+    
+    if (updateData.helpText !== undefined) {
+      cleanedData.helpText = normalizeHelpText(updateData.helpText);
+      if (cleanedData.helpText && cleanedData.helpText.length > HELP_TEXT_LIMIT) {
+        return res.status(400).json({ error: `Help text must be ${HELP_TEXT_LIMIT} characters or fewer` });
+      }
+    }
+    
+    if (updateData.groupId !== undefined) {
+      cleanedData.groupId = updateData.groupId ? parseInt(updateData.groupId) : null;
+      const groupError = await validateAddonGroupId(cleanedData.groupId, req.shop);
+      if (groupError) {
+        return res.status(400).json({ error: groupError });
+      }
+    }
+    
+    // Checked as the add-on will be saved, so rules that depend on its type or other
+    // settings apply whichever of them the update leaves out
+    const settingsError = validateAddonSettings({ ...existing, ...cleanedData });
+    if (settingsError) {
+      console.error('❌ Invalid add-on settings:', settingsError);
+      return res.status(400).json({ error: settingsError });
+    }
+    
+    if (updateData.conditions !== undefined) {
+      cleanedData.conditions = normalizeConditions(updateData.conditions);
+      
+      const conditionsError = await validateAddonConditions(cleanedData.conditions, req.shop, addonId);
+      if (conditionsError) {
+        console.error('❌ Invalid add-on conditions:', conditionsError);
+        return res.status(400).json({ error: conditionsError });
+      }
     }
     
     console.log('🔧 Cleaned update data:', cleanedData);
     
     const result = await db.updateAddon(addonId, cleanedData);
+    await recordAddonChange(req, 'update', existing, result);
     console.log('✅ Addon updated successfully:', addonId);
     res.json(result);
   } catch (error) {
@@ -661,9 +2346,15 @@ app.put('/api/addons/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/addons/:id', async (req, res) => {
+app.delete('/api/addons/:id', verifySessionToken, async (req, res) => {
   try {
+    const existing = await findShopAddon(req.params.id, req.shop);
+    if (!existing) {
+      return res.status(404).json({ error: 'Add-on not found' });
+    }
+    
     await db.deleteAddon(req.params.id);
+    await recordAddonChange(req, 'delete', existing, await db.getAddon(req.params.id));
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting addon:', error);
@@ -671,6 +2362,336 @@ app.delete('/api/addons/:id', async (req, res) => {
   }
 });
 
+// Add-on history: snapshots taken on every admin change, newest first
+app.get('/api/addons/:id/history', verifySessionToken, async (req, res) => {
+  try {
+    if (!await findShopAddon(req.params.id, req.shop)) {
+      return res.status(404).json({ error: 'Add-on not found' });
+    }
+    
+    res.json(await db.getAddonHistory(req.params.id));
+  } catch (error) {
+    console.error('❌ Error fetching addon history:', error);
+    res.status(500).json({ error: 'Failed to fetch add-on history' });
+  }
+});
+
+app.get('/api/addon-history', verifySessionToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    res.json(await db.getShopAddonHistory(req.shop, limit));
+  } catch (error) {
+    console.error('❌ Error fetching addon history:', error);
+    res.status(500).json({ error: 'Failed to fetch add-on history' });
+  }
+});
+
+// Fields put back by a restore
+const RESTORED_ADDON_FIELDS = [
+  'productId', 'setId', 'name', 'price', 'type', 'required', 'options', 'placeholder',
+  'minLength', 'maxLength', 'pattern', 'priceMode', 'baseFee', 'priceCap', 'conditions',
+  'variantIds', 'variantPrices', 'chargePer', 'groupId', 'helpText'
+];
+
+// Put an add-on back to the version saved by a history entry, undeleting it if
+// needed. Restoring a delete entry brings back the add-on as it was deleted
+app.post('/api/addons/:id/restore', verifySessionToken, async (req, res) => {
+  try {
+    const existing = await findShopAddon(req.params.id, req.shop);
+    if (!existing) {
+      return res.status(404).json({ error: 'Add-on not found' });
+    }
+    
+    const entry = req.body.historyId ? await db.getAddonHistoryEntry(req.body.historyId) : null;
+    if (!entry || entry.addonId !== existing.id) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+    
+    const snapshot = entry.action === 'delete' ? entry.before : entry.after;
+    if (!snapshot) {
+      return res.status(400).json({ error: 'This history entry has no version to restore' });
+    }
+    
+    if (snapshot.setId) {
+      const set = await findShopAddonSet(snapshot.setId, req.shop);
+      if (!set || !set.active) {
+        return res.status(400).json({ error: 'The add-on set this version belonged to has been deleted' });
+      }
+    }
+    const conditionsError = await validateAddonConditions(snapshot.conditions, req.shop, existing.id);
+    if (conditionsError) {
+      return res.status(400).json({ error: `This version can't be restored: ${conditionsError}` });
+    }
+    
+    const restoreData = { active: true };
+    RESTORED_ADDON_FIELDS.forEach(field => {
+      restoreData[field] = snapshot[field] ?? null;
+    });
+    // A deleted group no longer shows, so the add-on comes back ungrouped
+    if (restoreData.groupId && await validateAddonGroupId(restoreData.groupId, req.shop)) {
+      restoreData.groupId = null;
+    }
+    
+    const addon = await db.updateAddon(existing.id, restoreData);
+    await recordAddonChange(req, 'restore', existing, addon);
+    console.log('✅ Addon', existing.id, 'restored from history entry', entry.id);
+    res.json(addon);
+  } catch (error) {
+    console.error('❌ Error restoring addon:', error);
+    res.status(500).json({ error: 'Failed to restore add-on', details: error.message });
+  }
+});
+
+// Orders whose hidden-product charge didn't match their add-on selections
+app.get('/api/addon-mismatches', verifySessionToken, async (req, res) => {
+  try {
+    const mismatches = await db.getAddonMismatches(req.shop, req.query.includeResolved === 'true');
+    res.json(mismatches);
+  } catch (error) {
+    console.error('❌ Error fetching addon mismatches:', error);
+    res.status(500).json({ error: 'Failed to fetch add-on mismatches' });
+  }
+});
+
+app.put('/api/addon-mismatches/:id', verifySessionToken, async (req, res) => {
+  try {
+    const mismatch = await db.getAddonMismatch(req.params.id);
+    if (!mismatch || mismatch.shop !== req.shop) {
+      return res.status(404).json({ error: 'Mismatch not found' });
+    }
+    
+    const result = await db.setAddonMismatchResolved(req.params.id, req.body.resolved !== false);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error updating addon mismatch:', error);
+    res.status(500).json({ error: 'Failed to update add-on mismatch' });
+  }
+});
+
+// Recent webhook deliveries for a shop, newest first
+app.get('/api/webhook-deliveries', verifySessionToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseOptionalInteger(req.query.limit) || 50, 200);
+    res.json(await db.getWebhookDeliveries(req.shop, limit));
+  } catch (error) {
+    console.error('❌ Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Run a logged delivery through its handler again, e.g. after fixing a failure
+app.post('/api/webhook-deliveries/:id/replay', verifySessionToken, async (req, res) => {
+  try {
+    const delivery = await db.getWebhookDelivery(req.params.id);
+    if (!delivery || delivery.shop !== req.shop) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    
+    console.log('🔁 Replaying webhook delivery:', delivery.id, delivery.topic);
+    const status = await processWebhookDelivery(delivery, (delivery.attempts || 1) + 1);
+    res.json({ id: delivery.id, topic: delivery.topic, status });
+  } catch (error) {
+    console.error('❌ Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery', details: error.message });
+  }
+});
+
+// Add-on sets: add-ons shared by many products, attached by product ID,
+// collection or product tag
+app.get('/api/addon-sets', verifySessionToken, async (req, res) => {
+  try {
+    const sets = await db.getAddonSets(req.shop);
+    res.json(sets);
+  } catch (error) {
+    console.error('❌ Error fetching addon sets:', error);
+    res.status(500).json({ error: 'Failed to fetch add-on sets' });
+  }
+});
+
+app.post('/api/addon-sets', verifySessionToken, async (req, res) => {
+  try {
+    const set = {
+      name: (req.body.name || '').trim(),
+      productIds: normalizeIdList(req.body.productIds),
+      collectionIds: normalizeIdList(req.body.collectionIds),
+      tags: normalizeTagList(req.body.tags),
+      position: req.body.position !== undefined ? parseInt(req.body.position) : 0
+    };
+    
+    const setError = validateAddonSet(set);
+    if (setError) {
+      console.error('❌ Invalid add-on set:', setError);
+      return res.status(400).json({ error: setError });
+    }
+    
+    const created = await db.createAddonSet({ ...set, shop: req.shop });
+    console.log('✅ Addon set created successfully:', created.id);
+    res.json(created);
+  } catch (error) {
+    console.error('❌ Error creating addon set:', error);
+    res.status(500).json({ error: 'Failed to create add-on set', details: error.message });
+  }
+});
+
+app.put('/api/addon-sets/:id', verifySessionToken, async (req, res) => {
+  try {
+    if (!await findShopAddonSet(req.params.id, req.shop)) {
+      return res.status(404).json({ error: 'Add-on set not found' });
+    }
+    
+    const updateData = req.body;
+    const cleanedData = {};
+    
+    if (updateData.name !== undefined) {
+      cleanedData.name = String(updateData.name).trim();
+    }
+    if (updateData.productIds !== undefined) {
+      cleanedData.productIds = normalizeIdList(updateData.productIds);
+    }
+    if (updateData.collectionIds !== undefined) {
+      cleanedData.collectionIds = normalizeIdList(updateData.collectionIds);
+    }
+    if (updateData.tags !== undefined) {
+      cleanedData.tags = normalizeTagList(updateData.tags);
+    }
+    if (updateData.position !== undefined) {
+      cleanedData.position = parseInt(updateData.position);
+    }
+    
+    const setError = validateAddonSet(cleanedData);
+    if (setError) {
+      console.error('❌ Invalid add-on set:', setError);
+      return res.status(400).json({ error: setError });
+    }
+    
+    const result = await db.updateAddonSet(req.params.id, cleanedData);
+    console.log('✅ Addon set updated successfully:', req.params.id);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error updating addon set:', error);
+    res.status(500).json({ error: 'Failed to update add-on set', details: error.message });
+  }
+});
+
+app.delete('/api/addon-sets/:id', verifySessionToken, async (req, res) => {
+  try {
+    if (!await findShopAddonSet(req.params.id, req.shop)) {
+      return res.status(404).json({ error: 'Add-on set not found' });
+    }
+    
+    await db.deleteAddonSet(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting addon set:', error);
+    res.status(500).json({ error: 'Failed to delete add-on set' });
+  }
+});
+
+// Add-on groups: named sections of the product page, each add-on can be in one
+app.get('/api/addon-groups', verifySessionToken, async (req, res) => {
+  try {
+    res.json(await db.getAddonGroups(req.shop));
+  } catch (error) {
+    console.error('❌ Error fetching addon groups:', error);
+    res.status(500).json({ error: 'Failed to fetch add-on groups' });
+  }
+});
+
+app.post('/api/addon-groups', verifySessionToken, async (req, res) => {
+  try {
+    const group = {
+      name: String(req.body.name || '').trim(),
+      description: String(req.body.description || '').trim() || null,
+      position: req.body.position !== undefined ? parseInt(req.body.position) : 0,
+      collapsible: !!req.body.collapsible,
+      collapsed: !!req.body.collapsible && !!req.body.collapsed
+    };
+    
+    const groupError = validateAddonGroup(group);
+    if (groupError) {
+      console.error('❌ Invalid add-on group:', groupError);
+      return res.status(400).json({ error: groupError });
+    }
+    
+    const created = await db.createAddonGroup({ ...group, shop: req.shop });
+    console.log('✅ Addon group created successfully:', created.id);
+    res.json(created);
+  } catch (error) {
+    console.error('❌ Error creating addon group:', error);
+    res.status(500).json({ error: 'Failed to create add-on group', details: error.message });
+  }
+});
+
+app.put('/api/addon-groups/:id', verifySessionToken, async (req, res) => {
+  try {
+    const existing = await findShopAddonGroup(req.params.id, req.shop);
+    if (!existing) {
+      return res.status(404).json({ error: 'Add-on group not found' });
+    }
+    
+    const updateData = req.body;
+    const cleanedData = {};
+    
+    if (updateData.name !== undefined) {
+      cleanedData.name = String(updateData.name).trim();
+    }
+    if (updateData.description !== undefined) {
+      cleanedData.description = String(updateData.description || '').trim() || null;
+    }
+    if (updateData.position !== undefined) {
+      cleanedData.position = parseInt(updateData.position);
+    }
+    if (updateData.collapsible !== undefined) {
+      cleanedData.collapsible = !!updateData.collapsible;
+    }
+    if (updateData.collapsed !== undefined) {
+      cleanedData.collapsed = !!updateData.collapsed;
+    }
+    // Only collapsible sections can start closed
+    if ((cleanedData.collapsible ?? existing.collapsible) === false) {
+      cleanedData.collapsed = false;
+    }
+    
+    const groupError = validateAddonGroup(cleanedData);
+    if (groupError) {
+      console.error('❌ Invalid add-on group:', groupError);
+      return res.status(400).json({ error: groupError });
+    }
+    
+    const result = await db.updateAddonGroup(req.params.id, cleanedData);
+    console.log('✅ Addon group updated successfully:', req.params.id);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error updating addon group:', error);
+    res.status(500).json({ error: 'Failed to update add-on group', details: error.message });
+  }
+});
+
+// The group's add-ons stay, shown outside any group
+app.delete('/api/addon-groups/:id', verifySessionToken, async (req, res) => {
+  try {
+    if (!await findShopAddonGroup(req.params.id, req.shop)) {
+      return res.status(404).json({ error: 'Add-on group not found' });
+    }
+    
+    await db.deleteAddonGroup(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting addon group:', error);
+    res.status(500).json({ error: 'Failed to delete add-on group' });
+  }
+});
+
+app.get('/api/addon-sets/:id/addons', verifySessionToken, async (req, res) => {
+  try {
+    const addons = await db.getAddonsForSets([req.params.id], req.shop);
+    res.json(addons);
+  } catch (error) {
+    console.error('❌ Error fetching addon set addons:', error);
+    res.status(500).json({ error: 'Failed to fetch add-on set add-ons' });
+  }
+});
+
 // Serve admin interface with App Bridge support
 app.get('/', (req, res) => {
   const shop = req.query.shop;
@@ -719,8 +2740,22 @@ app.use((error, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Product Add-ons App running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Host: ${process.env.HOST || 'localhost'}`);
-});
\ No newline at end of file
+// Only take requests once the database schema has been migrated. Tests require
+// the app without starting it
+if (require.main === module) {
+  db.ready.then(() => {
+    app.listen(PORT, '0.0.0.0', () => {
+      console.log(`Product Add-ons App running on port ${PORT}`);
+      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`Host: ${process.env.HOST || 'localhost'}`);
+      if (!hasEncryptionKey()) {
+        console.warn('⚠️ TOKEN_ENCRYPTION_KEYS is not set - access tokens are stored unencrypted');
+      }
+    });
+  }).catch((error) => {
+    console.error('❌ Database migrations failed, not starting:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, db };
@@ -0,0 +1,89 @@
+// Checks on what Shopify sends the app: the OAuth callback's HMAC and the App
+// Bridge session tokens the embedded admin authenticates with. Both are signed
+// with SHOPIFY_API_SECRET
+
+const crypto = require('crypto');
+
+// Accepts "mystore", "mystore.myshopify.com" or a pasted admin URL and returns
+// the shop's myshopify.com hostname, or null when it isn't a valid shop
+function normalizeShopDomain(shop) {
+  if (typeof shop !== 'string') return null;
+  
+  let domain = shop.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  if (!domain.includes('.')) {
+    domain = `${domain}.myshopify.com`;
+  }
+  return /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(domain) ? domain : null;
+}
+
+// Shopify signs the callback query string: every parameter except hmac, sorted,
+// joined as key=value&... and signed with the app secret
+function verifyOAuthHmac(query) {
+  const { hmac, signature, ...params } = query;
+  if (typeof hmac !== 'string' || !/^[0-9a-f]{64}$/i.test(hmac) || !process.env.SHOPIFY_API_SECRET) {
+    return false;
+  }
+  
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+  const expected = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(message).digest();
+  return crypto.timingSafeEqual(expected, Buffer.from(hmac, 'hex'));
+}
+
+// Allowance for clock drift between Shopify and this server, in seconds
+const SESSION_TOKEN_LEEWAY = 5;
+
+// Check an App Bridge session token (an HS256 JWT signed with the app secret)
+// and return its payload; throws with the reason when it isn't valid
+function decodeSessionToken(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed session token');
+  }
+  
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported session token algorithm: ${header.alg}`);
+  }
+  
+  const expected = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const received = Buffer.from(signature, 'base64url');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new Error('Session token signature is invalid');
+  }
+  
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  const now = Math.floor(Date.now() / 1000);
+  if (!payload.exp || payload.exp + SESSION_TOKEN_LEEWAY < now) {
+    throw new Error('Session token has expired');
+  }
+  if (payload.nbf && payload.nbf - SESSION_TOKEN_LEEWAY > now) {
+    throw new Error('Session token is not valid yet');
+  }
+  if (payload.aud !== process.env.SHOPIFY_API_KEY) {
+    throw new Error('Session token was issued for another app');
+  }
+  
+  // dest is the shop the admin is open on, iss the same shop's admin
+  const shop = payload.dest ? normalizeShopDomain(payload.dest.replace(/^https:\/\//, '')) : null;
+  if (!shop || payload.dest !== `https://${shop}`) {
+    throw new Error('Session token has no valid shop');
+  }
+  if (!payload.iss || !payload.iss.startsWith(`https://${shop}/`)) {
+    throw new Error('Session token issuer does not match its shop');
+  }
+  
+  return { ...payload, shop };
+}
+
+module.exports = {
+  SESSION_TOKEN_LEEWAY,
+  normalizeShopDomain,
+  verifyOAuthHmac,
+  decodeSessionToken
+};
@@ -0,0 +1,166 @@
+// The storage interface every backend implements
+//
+// Backends:
+//   database-debug.js  - SQLite, or PostgreSQL when DATABASE_URL / PGHOST is set
+//   memory-database.js - in-process Maps, nothing survives a restart
+// test/storage-adapter.test.js runs the same checks against each of them.
+//
+// Every method is async. Records are plain objects with camelCase fields, numeric
+// ids, real booleans and parsed JSON, whatever the backend stores underneath.
+//
+// Lifecycle
+//   ready                               promise, settles once the store can be used
+//   close()
+//   transaction(work)                   -> what work(store) resolves to. Calls made through store
+//                                          are committed together, or rolled back when work throws
+//
+// Sessions - one per id, getSession returns the newest for a shop with its
+// access token decrypted
+//   storeSession(session)               insert or replace by session.id -> session
+//   getSession(shop)                    -> session | null
+//   deleteSessions(shop)                -> number removed
+//   getStoredSessionTokens()            -> [{ id, shop, accessToken }] as stored (maybe encrypted)
+//   updateStoredSessionToken(id, storedToken)
+//
+// OAuth install nonces
+//   storeOAuthState(state, shop, expires)
+//   consumeOAuthState(state)            -> { state, shop, expires } once, then null
+//
+// Add-ons - deletes are soft, lists only return active add-ons, by position
+// then oldest first
+//   createAddon(addon)                  -> add-on as getAddon returns it, position defaults to 0
+//   getAddon(id)                        -> add-on | null, including inactive ones
+//   getAddons(productId, shop)          -> the product's own add-ons
+//   getAddonsForSets(setIds, shop)      -> add-ons of those sets, in setIds order
+//   getAllAddons(shop)                  -> every add-on of the shop, oldest first
+//   updateAddon(id, changes)            -> updated add-on
+//   deleteAddon(id)                     -> { id, changes }
+//
+// Add-on history - before/after snapshots of each change, newest first
+//   recordAddonHistory({ addonId, shop, action, actor, before, after }) -> entry
+//   getAddonHistory(addonId, limit)     -> entries
+//   getShopAddonHistory(shop, limit)    -> entries for any of the shop's add-ons
+//   getAddonHistoryEntry(id)            -> entry | null
+//
+// Add-on sets - soft deleted like add-ons, listed by position then id
+//   createAddonSet(set)                 -> set as getAddonSet returns it
+//   getAddonSet(id)                     -> set | null, including inactive ones
+//   getAddonSets(shop)                  -> active sets
+//   updateAddonSet(id, changes)         -> updated set
+//   deleteAddonSet(id)                  -> { id, changes }
+//
+// Add-on groups - named storefront sections, soft deleted and listed like sets
+//   createAddonGroup(group)             -> group as getAddonGroup returns it
+//   getAddonGroup(id)                   -> group | null, including inactive ones
+//   getAddonGroups(shop)                -> active groups
+//   updateAddonGroup(id, changes)       -> updated group
+//   deleteAddonGroup(id)                -> { id, changes }
+//
+// Storefront domains - each domain maps to one shop, source is 'shopify' or 'manual'
+//   saveShopDomain({ shop, domain, source }) -> record, moving the domain if another shop had it
+//   getShopForDomain(domain)            -> shop | null
+//   getShopDomain(id)                   -> record | null
+//   getShopDomains(shop)                -> records by domain
+//   deleteShopDomain(id)                -> { id, changes }
+//   deleteShopDomains(shop, source)     -> number removed, every source when none is given
+//
+// Storefront settings - one JSON document per shop, see storefront-settings.js
+//   getShopSettings(shop)               -> settings as saved | null
+//   saveShopSettings(shop, settings)    -> settings, replacing what was saved
+//   deleteShopSettings(shop)            -> number removed
+//
+// Order reconciliation - one record per shop and order, newest first
+//   recordAddonMismatch(mismatch)       -> mismatch | null when the order is already recorded
+//   getAddonMismatch(id)                -> mismatch | null
+//   getAddonMismatches(shop, includeResolved)
+//   setAddonMismatchResolved(id, resolved) -> { id, resolved }
+//
+// Webhook deliveries - newest first
+//   logWebhookDelivery(delivery)        -> delivery with its id
+//   updateWebhookDelivery(id, { status, error, attempts })
+//   getWebhookDelivery(id)              -> delivery | null
+//   getWebhookDeliveries(shop, limit)
+//
+// Uninstall and GDPR clean-up - hard deletes
+//   deleteShopAddons(shop)              -> { addons, sets, groups, history }
+//   deleteShopHistory(shop)             -> { mismatches, deliveries }
+//   deleteOrderRecords(shop, orderIds)  -> { mismatches, deliveries }
+
+const STORAGE_METHODS = [
+  'close',
+  'transaction',
+  'storeSession',
+  'getSession',
+  'deleteSessions',
+  'getStoredSessionTokens',
+  'updateStoredSessionToken',
+  'storeOAuthState',
+  'consumeOAuthState',
+  'createAddon',
+  'getAddon',
+  'getAddons',
+  'getAddonsForSets',
+  'getAllAddons',
+  'updateAddon',
+  'deleteAddon',
+  'recordAddonHistory',
+  'getAddonHistory',
+  'getShopAddonHistory',
+  'getAddonHistoryEntry',
+  'createAddonSet',
+  'getAddonSet',
+  'getAddonSets',
+  'updateAddonSet',
+  'deleteAddonSet',
+  'createAddonGroup',
+  'getAddonGroup',
+  'getAddonGroups',
+  'updateAddonGroup',
+  'deleteAddonGroup',
+  'saveShopDomain',
+  'getShopForDomain',
+  'getShopDomain',
+  'getShopDomains',
+  'deleteShopDomain',
+  'deleteShopDomains',
+  'getShopSettings',
+  'saveShopSettings',
+  'deleteShopSettings',
+  'recordAddonMismatch',
+  'getAddonMismatch',
+  'getAddonMismatches',
+  'setAddonMismatchResolved',
+  'logWebhookDelivery',
+  'updateWebhookDelivery',
+  'getWebhookDelivery',
+  'getWebhookDeliveries',
+  'deleteShopAddons',
+  'deleteShopHistory',
+  'deleteOrderRecords'
+];
+
+// Interface methods a store is missing
+function missingStorageMethods(store) {
+  return STORAGE_METHODS.filter(method => typeof store[method] !== 'function');
+}
+
+// DATABASE_ADAPTER=memory keeps everything in memory, otherwise the SQL store
+// picks PostgreSQL or SQLite from the environment
+function createStorage(options = {}) {
+  const Store = process.env.DATABASE_ADAPTER === 'memory'
+    ? require('./memory-database')
+    : require('./database-debug');
+  const store = new Store(options);
+
+  const missing = missingStorageMethods(store);
+  if (missing.length > 0) {
+    throw new Error(`${Store.name} does not implement ${missing.join(', ')}`);
+  }
+  return store;
+}
+
+module.exports = {
+  STORAGE_METHODS,
+  missingStorageMethods,
+  createStorage
+};
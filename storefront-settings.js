@@ -0,0 +1,166 @@
+// Per-shop storefront settings
+// Saved as one document per shop. Fields the shop hasn't set take the defaults
+// below, so new settings can be added without touching stored documents.
+
+// The smallest hidden variant's price, hiddenVariantId is always this one
+const HIDDEN_PRODUCT_PRICE = 0.01;
+// Prices of the hidden product's variants, largest first. Add-on charges are
+// made up from as few units of these as possible, so £65 is 6 x £10 and 5 x £1
+// rather than 6,500 x £0.01
+const HIDDEN_DENOMINATIONS = [10, 1, 0.1, HIDDEN_PRODUCT_PRICE];
+
+// Each hidden variant's SKU carries its price in pence, e.g. ADDON-PRICE-100 for £1
+function hiddenVariantSku(price) {
+  return `ADDON-PRICE-${String(Math.round(price * 100)).padStart(2, '0')}`;
+}
+
+// How the app finds the hidden product it created in a shop
+const HIDDEN_PRODUCT_SKU = hiddenVariantSku(HIDDEN_PRODUCT_PRICE);
+
+const LABEL_FIELDS = ['heading', 'total', 'note', 'none'];
+const FEATURE_FIELDS = ['productPage', 'cartPage', 'checkoutPage'];
+const LABEL_LIMIT = 100;
+
+const DEFAULT_SETTINGS = {
+  // Set when the hidden product is provisioned at install. Every shop has its
+  // own, so there is no app-wide default
+  hiddenProductId: null,
+  hiddenVariantId: null,
+  // [{ variantId, price }] for every denomination, saved with the IDs above
+  hiddenVariants: [],
+  currencyCode: 'GBP',
+  currencySymbol: '£',
+  labels: {
+    heading: 'Customize Your Order',
+    total: 'Additional',
+    note: 'Selected add-ons will be added to your cart automatically',
+    none: 'None'
+  },
+  debug: true,
+  // Pages the storefront script runs on
+  features: {
+    productPage: true,
+    cartPage: true,
+    checkoutPage: true
+  }
+};
+
+// Stored settings (or null) -> complete settings
+function resolveSettings(stored) {
+  const settings = stored || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    labels: { ...DEFAULT_SETTINGS.labels, ...settings.labels },
+    features: { ...DEFAULT_SETTINGS.features, ...settings.features }
+  };
+}
+
+// The shop's hidden variants as [{ variantId, price }], largest first. Shops set
+// up by hand may only have the £0.01 variant
+function getHiddenVariants(settings) {
+  const variants = (settings.hiddenVariants || [])
+    .filter(variant => variant.variantId && variant.price !== HIDDEN_PRODUCT_PRICE);
+  if (settings.hiddenVariantId) {
+    variants.push({ variantId: settings.hiddenVariantId, price: HIDDEN_PRODUCT_PRICE });
+  }
+  return variants.sort((a, b) => b.price - a.price);
+}
+
+// Check a partial update from the admin. Returns { changes } holding only the
+// fields given, or { error }. Blank labels go back to their default
+function validateSettingsUpdate(input) {
+  const changes = {};
+
+  for (const field of ['hiddenProductId', 'hiddenVariantId']) {
+    if (input[field] === undefined) continue;
+    const id = String(input[field] ?? '').trim();
+    if (!id) {
+      changes[field] = null;
+      continue;
+    }
+    if (!/^\d+$/.test(id)) {
+      return { error: `${field === 'hiddenProductId' ? 'Hidden product' : 'Hidden variant'} ID must be a number` };
+    }
+    changes[field] = id;
+  }
+
+  if (input.currencyCode !== undefined) {
+    const code = String(input.currencyCode).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) {
+      return { error: 'Currency code must be three letters, e.g. GBP' };
+    }
+    changes.currencyCode = code;
+  }
+
+  if (input.currencySymbol !== undefined) {
+    const symbol = String(input.currencySymbol).trim();
+    if (!symbol || symbol.length > 5) {
+      return { error: 'Currency symbol must be 1 to 5 characters' };
+    }
+    changes.currencySymbol = symbol;
+  }
+
+  if (input.labels !== undefined) {
+    const unknown = Object.keys(input.labels || {}).filter(key => !LABEL_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return { error: `Unknown labels: ${unknown.join(', ')}` };
+    }
+    changes.labels = {};
+    for (const [key, value] of Object.entries(input.labels || {})) {
+      const label = String(value ?? '').trim();
+      if (label.length > LABEL_LIMIT) {
+        return { error: `Labels must be ${LABEL_LIMIT} characters or fewer` };
+      }
+      if (label) changes.labels[key] = label;
+    }
+  }
+
+  if (input.debug !== undefined) {
+    changes.debug = !!input.debug;
+  }
+
+  if (input.features !== undefined) {
+    const unknown = Object.keys(input.features || {}).filter(key => !FEATURE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return { error: `Unknown features: ${unknown.join(', ')}` };
+    }
+    changes.features = {};
+    for (const [key, value] of Object.entries(input.features || {})) {
+      changes.features[key] = !!value;
+    }
+  }
+
+  return { changes };
+}
+
+// Settings -> what the storefront script is sent
+function toStorefrontConfig(settings) {
+  return {
+    hiddenProduct: {
+      productId: settings.hiddenProductId,
+      variantId: settings.hiddenVariantId,
+      price: HIDDEN_PRODUCT_PRICE,
+      variants: getHiddenVariants(settings)
+    },
+    currency: {
+      code: settings.currencyCode,
+      symbol: settings.currencySymbol
+    },
+    labels: settings.labels,
+    debug: settings.debug,
+    features: settings.features
+  };
+}
+
+module.exports = {
+  HIDDEN_PRODUCT_PRICE,
+  HIDDEN_PRODUCT_SKU,
+  HIDDEN_DENOMINATIONS,
+  DEFAULT_SETTINGS,
+  hiddenVariantSku,
+  resolveSettings,
+  getHiddenVariants,
+  validateSettingsUpdate,
+  toStorefrontConfig
+};
@@ -0,0 +1,94 @@
+// Unit tests for addon-pricing.js
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  roundPrice,
+  calculatePercentPrice,
+  countTextUnits,
+  calculateTextPrice,
+  calculateAddonPrice,
+  calculateLineTotal
+} = require('../addon-pricing');
+
+describe('addon pricing', () => {
+  it('rounds to whole pence', () => {
+    assert.equal(roundPrice(0.1 + 0.2), 0.3);
+    assert.equal(roundPrice(19.999), 20);
+    assert.equal(roundPrice(4.123), 4.12);
+  });
+
+  it('takes percentages of the product price', () => {
+    assert.equal(calculatePercentPrice(10, 24.99), 2.5);
+    assert.equal(calculatePercentPrice('15', '20'), 3);
+    assert.equal(calculatePercentPrice('abc', 20), 0);
+  });
+
+  describe('text add-ons', () => {
+    it('counts characters without whitespace, words and non-blank lines', () => {
+      assert.equal(countTextUnits('per_character', ' Happy  Birthday\n'), 13);
+      assert.equal(countTextUnits('per_word', 'Happy  birthday to you'), 4);
+      assert.equal(countTextUnits('per_line', 'One\n\nTwo\r\nThree'), 3);
+      assert.equal(countTextUnits('fixed', 'anything'), 1);
+      assert.equal(countTextUnits('per_word', '   '), 0);
+    });
+
+    it('charges a base fee plus each unit, up to the cap', () => {
+      const addon = { type: 'text', price: 0.5, priceMode: 'per_character', baseFee: 2, priceCap: 5 };
+      assert.equal(calculateTextPrice(addon, 'ABCD'), 4);
+      assert.equal(calculateTextPrice(addon, 'ABCDEFGHIJ'), 5);
+      assert.equal(calculateTextPrice(addon, ''), 0);
+    });
+
+    it('charges fixed-price text once when anything is entered', () => {
+      assert.equal(calculateTextPrice({ price: 3, priceMode: 'fixed' }, 'Long engraving text'), 3);
+      assert.equal(calculateTextPrice({ price: 3 }, ''), 0);
+    });
+  });
+
+  describe('calculateAddonPrice', () => {
+    it('charges checkboxes only when selected', () => {
+      const addon = { type: 'checkbox', price: '4.50' };
+      assert.equal(calculateAddonPrice(addon, 'selected'), 4.5);
+      assert.equal(calculateAddonPrice(addon, true), 4.5);
+      assert.equal(calculateAddonPrice(addon, ''), 0);
+    });
+
+    it('prices options by value, with option price modes overriding the add-on', () => {
+      const addon = {
+        type: 'dropdown',
+        priceMode: 'fixed',
+        options: [
+          { value: 'small', price: 1 },
+          { value: 'large', price: 10, priceMode: 'percent' }
+        ]
+      };
+      assert.equal(calculateAddonPrice(addon, 'small', 50), 1);
+      assert.equal(calculateAddonPrice(addon, 'large', 50), 5);
+      assert.equal(calculateAddonPrice(addon, 'missing', 50), 0);
+    });
+
+    it('prices percentage checkboxes from the product price', () => {
+      assert.equal(calculateAddonPrice({ type: 'checkbox', price: 20, priceMode: 'percent' }, 'selected', 12.5), 2.5);
+    });
+
+    it('charges nothing for unknown types', () => {
+      assert.equal(calculateAddonPrice({ type: 'mystery', price: 5 }, 'selected'), 0);
+    });
+  });
+
+  describe('calculateLineTotal', () => {
+    it('charges per-unit add-ons for each item and per-line ones once', () => {
+      const addons = [{ price: 2 }, { price: 15, chargePer: 'line' }, { price: 0.5, chargePer: 'unit' }];
+      assert.equal(calculateLineTotal(addons, 1), 17.5);
+      assert.equal(calculateLineTotal(addons, 4), 25);
+    });
+
+    it('treats a missing or invalid quantity as one', () => {
+      assert.equal(calculateLineTotal([{ price: 2 }], undefined), 2);
+      assert.equal(calculateLineTotal([{ price: 2 }], 0), 2);
+      assert.equal(calculateLineTotal([{ price: 2 }], 'x'), 2);
+    });
+  });
+});
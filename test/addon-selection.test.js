@@ -0,0 +1,88 @@
+// Unit tests for addon-selection.js: the product page's rules checked on the server
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateConditions, findVisibleAddons, findSelectionError } = require('../addon-selection');
+
+const giftWrap = { id: 1, name: 'Gift wrap', type: 'checkbox', price: 2 };
+const colour = {
+  id: 2,
+  name: 'Ribbon colour',
+  type: 'radio',
+  required: true,
+  options: [{ value: 'red', label: 'Red' }, { value: 'gold', label: 'Gold' }],
+  conditions: { match: 'all', rules: [{ addonId: 1, operator: 'checked' }] }
+};
+const message = {
+  id: 3,
+  name: 'Gift message',
+  type: 'text',
+  minLength: 2,
+  maxLength: 10,
+  pattern: '[A-Za-z ]+',
+  conditions: { match: 'all', rules: [{ addonId: 2, operator: 'equals', value: 'gold' }] }
+};
+const addons = [giftWrap, colour, message];
+
+describe('visibility rules', () => {
+  it('match checked, not checked, equals and not equals like the storefront', () => {
+    const selected = new Map([['1', 'selected'], ['2', 'gold']]);
+    assert.equal(evaluateConditions({ rules: [{ addonId: 1, operator: 'checked' }] }, selected), true);
+    assert.equal(evaluateConditions({ rules: [{ addonId: 3, operator: 'not_checked' }] }, selected), true);
+    assert.equal(evaluateConditions({ rules: [{ addonId: 2, operator: 'equals', value: 'red' }] }, selected), false);
+    assert.equal(evaluateConditions({ rules: [{ addonId: 3, operator: 'not_equals', value: 'red' }] }, selected), true);
+    assert.equal(evaluateConditions({
+      match: 'any',
+      rules: [{ addonId: 3, operator: 'checked' }, { addonId: 1, operator: 'checked' }]
+    }, selected), true);
+  });
+
+  it('hide add-ons whose rules depend on a hidden add-on', () => {
+    // Gold is chosen but the colour is hidden, so the message is hidden too
+    const visible = findVisibleAddons(addons, [{ addonId: 2, value: 'gold' }]);
+    assert.deepEqual([...visible], ['1']);
+    assert.deepEqual([...findVisibleAddons(addons, [{ addonId: 1, value: 'selected' }, { addonId: 2, value: 'gold' }])], ['1', '2', '3']);
+  });
+
+  it('stop on circular rules', () => {
+    const first = { id: 1, name: 'A', type: 'checkbox', conditions: { rules: [{ addonId: 2, operator: 'not_checked' }] } };
+    const second = { id: 2, name: 'B', type: 'checkbox', conditions: { rules: [{ addonId: 1, operator: 'not_checked' }] } };
+    assert.ok(findVisibleAddons([first, second], [{ addonId: 1, value: 'selected' }, { addonId: 2, value: 'selected' }]));
+  });
+});
+
+describe('selection checks', () => {
+  it('accept what the product page would send', () => {
+    assert.equal(findSelectionError(addons, []), null);
+    assert.equal(findSelectionError(addons, [
+      { addonId: '1', value: 'selected' },
+      { addonId: '2', value: 'gold' },
+      { addonId: '3', value: ' Happy day ' }
+    ]), null);
+  });
+
+  it('reject add-ons the product does not offer', () => {
+    assert.equal(findSelectionError(addons, [{ addonId: 99, value: 'selected' }]), 'Add-on 99 is not offered on this product');
+  });
+
+  it('reject unknown option values and odd checkbox values', () => {
+    assert.equal(findSelectionError(addons, [{ addonId: 1, value: 'selected' }, { addonId: 2, value: 'silver' }]), 'Ribbon colour has no option "silver"');
+    assert.equal(findSelectionError(addons, [{ addonId: 1, value: 'yes' }]), 'Gift wrap can only be ticked');
+    assert.equal(findSelectionError(addons, [{ addonId: 1, value: '' }]), 'Gift wrap has no value');
+    assert.equal(findSelectionError(addons, [{ addonId: 1, value: 'selected' }, { addonId: 1, value: 'selected' }]), 'Gift wrap is selected more than once');
+  });
+
+  it('apply text length and pattern limits to the trimmed text', () => {
+    const selections = text => [{ addonId: 1, value: 'selected' }, { addonId: 2, value: 'gold' }, { addonId: 3, value: text }];
+    assert.match(findSelectionError(addons, selections('A')), /at least 2/);
+    assert.match(findSelectionError(addons, selections('Far too long a message')), /no more than 10/);
+    assert.match(findSelectionError(addons, selections('Hi <b>')), /not allowed/);
+    assert.equal(findSelectionError([{ ...message, conditions: null, pattern: '[' }], [{ addonId: 3, value: 'Hi' }]), null);
+  });
+
+  it('require required add-ons only while they are shown', () => {
+    assert.equal(findSelectionError(addons, [{ addonId: 1, value: 'selected' }]), 'Ribbon colour is required');
+    assert.equal(findSelectionError(addons, [{ addonId: 2, value: 'gold' }]), 'Ribbon colour is not available with the other add-ons selected');
+  });
+});
@@ -0,0 +1,66 @@
+// Unit tests for addon-transfer.js: export records and the CSV round-trip
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TRANSFER_FIELDS, toTransferRecord, toCsv, parseCsv, fromCsv } = require('../addon-transfer');
+
+const addon = {
+  id: 7,
+  productId: '100',
+  name: 'Engraving, "front"',
+  type: 'text',
+  price: 0.5,
+  required: 1,
+  priceMode: 'per_character',
+  placeholder: 'Line one\nLine two',
+  maxLength: 20,
+  options: null,
+  conditions: [{ addonId: 3, operator: 'equals', value: 'yes' }],
+  variantPrices: { 200: 1.5 }
+};
+
+describe('addon transfer', () => {
+  it('builds export records with defaults and product handles', () => {
+    const record = toTransferRecord(addon, new Map([['100', 'mug']]));
+    assert.deepEqual(Object.keys(record), TRANSFER_FIELDS);
+    assert.equal(record.productHandle, 'mug');
+    assert.equal(record.required, true);
+    assert.equal(record.chargePer, 'unit');
+    assert.equal(record.position, 0);
+    assert.equal(record.setId, null);
+  });
+
+  it('round-trips records through CSV, including quotes, commas, line breaks and JSON cells', () => {
+    const record = toTransferRecord(addon, new Map([['100', 'mug']]));
+    const [imported] = fromCsv(toCsv([record]));
+
+    assert.deepEqual(imported.errors, []);
+    assert.equal(imported.id, '7');
+    assert.equal(imported.name, 'Engraving, "front"');
+    assert.equal(imported.placeholder, 'Line one\nLine two');
+    assert.equal(imported.required, true);
+    assert.equal(imported.price, '0.5');
+    assert.deepEqual(imported.conditions, addon.conditions);
+    assert.deepEqual(imported.variantPrices, { 200: 1.5 });
+    assert.equal(imported.options, undefined);
+  });
+
+  it('parses RFC 4180 CSV and skips blank lines', () => {
+    assert.deepEqual(parseCsv('a,"b ""c""",d\r\n\r\n1,"2\n3",\n'), [['a', 'b "c"', 'd'], ['1', '2\n3', '']]);
+    assert.throws(() => parseCsv('a,"unterminated'), /inside a quoted cell/);
+  });
+
+  it('reads files with a byte order mark and reports unreadable JSON per row', () => {
+    const [record] = fromCsv('\uFEFFname,options,required\r\nSize,{not json},no\r\n');
+    assert.equal(record.name, 'Size');
+    assert.equal(record.required, false);
+    assert.deepEqual(record.errors, ['options is not valid JSON']);
+  });
+
+  it('rejects unknown columns and files without names', () => {
+    assert.throws(() => fromCsv('name,colour\r\nA,red\r\n'), /Unknown CSV columns: colour/);
+    assert.throws(() => fromCsv('price\r\n1\r\n'), /needs a name column/);
+    assert.deepEqual(fromCsv(''), []);
+  });
+});
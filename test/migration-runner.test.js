@@ -0,0 +1,105 @@
+// Unit tests for migration-runner.js against an in-memory SQLite database
+//   npm test
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+
+const { loadMigrations, migrateUp, migrateDown, getMigrationStatus } = require('../migration-runner');
+
+function all(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+async function tableNames(db) {
+  const rows = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'widget%' ORDER BY name");
+  return rows.map(row => row.name);
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'widgets',
+    up: m => m.createTable('widgets', { id: 'id', name: 'text NOT NULL', price: 'decimal' }),
+    down: m => m.dropTable('widgets')
+  },
+  {
+    version: 2,
+    name: 'widget-colour',
+    async up(m) {
+      await m.addColumn('widgets', 'colour', 'text');
+      await m.createIndex('widgets_colour', 'widgets', ['colour']);
+    },
+    async down(m) {
+      await m.dropIndex('widgets_colour');
+      await m.dropColumn('widgets', 'colour');
+    }
+  }
+];
+
+describe('migration runner', () => {
+  let db;
+
+  beforeEach(() => {
+    db = { type: 'sqlite', db: new sqlite3.Database(':memory:') };
+  });
+
+  afterEach(() => new Promise(resolve => db.db.close(resolve)));
+
+  it('loads the repo migrations in version order', () => {
+    const versions = loadMigrations().map(migration => migration.version);
+    assert.ok(versions.length > 0);
+    assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  });
+
+  it('applies pending migrations once and records them', async () => {
+    assert.deepEqual(await migrateUp(db, MIGRATIONS), [1, 2]);
+    assert.deepEqual(await migrateUp(db, MIGRATIONS), []);
+
+    const columns = await all(db, 'PRAGMA table_info(widgets)');
+    assert.deepEqual(columns.map(column => column.name), ['id', 'name', 'price', 'colour']);
+
+    const status = await getMigrationStatus(db, MIGRATIONS);
+    assert.deepEqual(status.map(entry => [entry.label, entry.applied]), [['001-widgets', true], ['002-widget-colour', true]]);
+  });
+
+  it('rolls back the newest migrations', async () => {
+    await migrateUp(db, MIGRATIONS);
+
+    assert.deepEqual(await migrateDown(db, 1, MIGRATIONS), [2]);
+    const columns = await all(db, 'PRAGMA table_info(widgets)');
+    assert.ok(!columns.some(column => column.name === 'colour'));
+
+    assert.deepEqual(await migrateDown(db, 5, MIGRATIONS), [1]);
+    assert.deepEqual(await tableNames(db), []);
+  });
+
+  it('leaves nothing behind when a migration fails', async () => {
+    const failing = {
+      version: 3,
+      name: 'broken',
+      async up(m) {
+        await m.createTable('widget_parts', { id: 'id' });
+        await m.query('INSERT INTO missing_table VALUES (1)');
+      },
+      down: async () => {}
+    };
+
+    await assert.rejects(migrateUp(db, [...MIGRATIONS, failing]), /no such table: missing_table/);
+    assert.deepEqual(await tableNames(db), ['widgets']);
+
+    const status = await getMigrationStatus(db, [...MIGRATIONS, failing]);
+    assert.deepEqual(status.map(entry => entry.applied), [true, true, false]);
+  });
+
+  it('refuses to roll back a migration whose file is missing', async () => {
+    await migrateUp(db, MIGRATIONS);
+    await assert.rejects(migrateDown(db, 1, MIGRATIONS.slice(0, 1)), /its file is missing/);
+  });
+
+  it('rejects unknown column types', async () => {
+    const unknown = { version: 1, name: 'bad-type', up: m => m.createTable('widgets', { name: 'varchar' }), down: async () => {} };
+    await assert.rejects(migrateUp(db, [unknown]), /Unknown column type in migration: varchar/);
+  });
+});
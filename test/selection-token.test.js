@@ -0,0 +1,122 @@
+// Unit tests for selection-token.js: signing and mismatch detection
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  TOKEN_PROPERTY,
+  SELECTION_TOKEN_MAX_AGE,
+  createSelectionToken,
+  readSelectionToken,
+  expectedLineTotal,
+  readClaimedAmounts,
+  findSelectionMismatches
+} = require('../selection-token');
+
+const SECRET = 'test-secret';
+const shop = 'test.myshopify.com';
+
+function signed(overrides = {}) {
+  const token = createSelectionToken({
+    shop,
+    productId: '100',
+    variantId: '200',
+    selections: [{ addonId: 2, value: 'Red' }, { addonId: 1, value: 'selected' }],
+    unitTotal: 2.5,
+    lineCharge: 5,
+    ...overrides
+  }, SECRET);
+  return readSelectionToken(token, SECRET);
+}
+
+describe('claimed line amounts', () => {
+  it('still match after the quantity is changed in the cart', () => {
+    // Added with quantity 1, the properties are written per item and per line
+    const payload = signed();
+    const properties = { [TOKEN_PROPERTY]: 'token', '_Add-ons Each': '£2.50', '_Add-ons Per Line': '£5.00' };
+    const claimed = readClaimedAmounts(properties);
+
+    assert.deepEqual(claimed, { unitTotal: 2.5, lineCharge: 5 });
+    assert.deepEqual(findSelectionMismatches(payload, { shop, productId: '100', variantId: '200', ...claimed }), []);
+    assert.equal(expectedLineTotal(payload, 1), 7.5);
+    assert.equal(expectedLineTotal(payload, 4), 15);
+  });
+
+  it('ignores the quantity-dependent total older lines carry', () => {
+    const claimed = readClaimedAmounts({ '_Add-ons Total': '£7.50' });
+    assert.deepEqual(claimed, {});
+    assert.deepEqual(findSelectionMismatches(signed(), { shop, quantity: 3, ...claimed }), []);
+  });
+
+  it('reports altered per-item and per-line amounts', () => {
+    const claimed = readClaimedAmounts({ '_Add-ons Each': '£0.50', '_Add-ons Per Line': '£1.00' });
+    const mismatches = findSelectionMismatches(signed(), { shop, ...claimed });
+    assert.equal(mismatches.length, 2);
+    assert.match(mismatches[0], /per item £0\.50/);
+    assert.match(mismatches[1], /per line £1\.00/);
+  });
+
+  it('treats a missing per-line amount as no one-off charge', () => {
+    const claimed = readClaimedAmounts({ '_Add-ons Each': '£2.50' });
+    assert.deepEqual(claimed, { unitTotal: 2.5, lineCharge: 0 });
+    assert.equal(findSelectionMismatches(signed(), { shop, ...claimed }).length, 1);
+  });
+
+  it('checks a total against the quantity it is given', () => {
+    assert.deepEqual(findSelectionMismatches(signed(), { shop, quantity: 3, total: '£12.50' }), []);
+    assert.equal(findSelectionMismatches(signed(), { shop, quantity: 1, total: '£12.50' }).length, 1);
+  });
+});
+
+describe('selection tokens', () => {
+  it('round-trip what was signed, with selections in a fixed order', () => {
+    const payload = signed();
+    assert.equal(payload.shop, shop);
+    assert.equal(payload.productId, '100');
+    assert.deepEqual(payload.selections, [{ addonId: 1, value: 'selected' }, { addonId: 2, value: 'Red' }]);
+    assert.equal(payload.unitTotal, 2.5);
+    assert.equal(payload.lineCharge, 5);
+  });
+
+  it('reject altered payloads, signatures and other secrets', () => {
+    const token = createSelectionToken({ shop, unitTotal: 1 }, SECRET);
+    const [encoded, signature] = token.split('.');
+    const altered = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(encoded, 'base64')), unitTotal: 0 })).toString('base64');
+
+    assert.equal(readSelectionToken(`${altered}.${signature}`, SECRET), null);
+    assert.equal(readSelectionToken(`${encoded}.${'0'.repeat(64)}`, SECRET), null);
+    assert.equal(readSelectionToken(token, 'other-secret'), null);
+    assert.equal(readSelectionToken('not-a-token', SECRET), null);
+    assert.equal(readSelectionToken(null, SECRET), null);
+  });
+
+  it('report lines that differ from what was signed', () => {
+    const mismatches = findSelectionMismatches(signed(), {
+      shop: 'other.myshopify.com',
+      productId: 101,
+      variantId: '200',
+      selections: [{ addonId: '1', value: 'selected' }, { addonId: '2', value: 'Blue' }]
+    });
+    assert.equal(mismatches.length, 3);
+    assert.match(mismatches[0], /shop test\.myshopify\.com/);
+    assert.match(mismatches[1], /product 100, not 101/);
+    assert.match(mismatches[2], /selections differ/);
+  });
+
+  it('accept the same selections given in another order and with string ids', () => {
+    const mismatches = findSelectionMismatches(signed(), {
+      shop,
+      productId: 100,
+      variantId: 200,
+      selections: [{ addonId: '2', value: 'Red' }, { addonId: '1', value: 'selected' }]
+    });
+    assert.deepEqual(mismatches, []);
+  });
+
+  it('expire once they are older than the maximum age', () => {
+    const payload = signed();
+    assert.deepEqual(findSelectionMismatches(payload, { shop, at: payload.issuedAt + SELECTION_TOKEN_MAX_AGE }), []);
+    assert.deepEqual(findSelectionMismatches(payload, { shop, at: payload.issuedAt + SELECTION_TOKEN_MAX_AGE + 1 }), ['Token has expired']);
+    assert.deepEqual(findSelectionMismatches({ ...payload, issuedAt: undefined }, { shop }), ['Token has expired']);
+  });
+});
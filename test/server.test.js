@@ -0,0 +1,492 @@
+// Route tests for server.js, run against the in-memory store with the app
+// listening on a free port:
+//   npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const SECRET = 'test-app-secret';
+const API_KEY = 'test-api-key';
+const shop = 'test.myshopify.com';
+
+// Set before server.js is loaded, it reads them when required
+process.env.DATABASE_ADAPTER = 'memory';
+process.env.SHOPIFY_API_SECRET = SECRET;
+process.env.SHOPIFY_API_KEY = API_KEY;
+delete process.env.ADDON_SIGNING_SECRET;
+
+const { app, db } = require('../server');
+
+let server;
+let baseUrl;
+
+// An App Bridge session token for the shop, as the embedded admin sends it
+function sessionToken(overrides = {}, secret = SECRET) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({
+    iss: `https://${shop}/admin`,
+    dest: `https://${shop}`,
+    aud: API_KEY,
+    sub: '42',
+    exp: now + 60,
+    nbf: now - 10,
+    ...overrides
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Send a JSON request as the embedded admin, or without a token when token is null
+async function request(method, path, { body, token = sessionToken(), headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    // Webhooks and some errors answer with plain text
+  }
+  return { status: response.status, body: json, text, headers: response.headers };
+}
+
+// Deliver a webhook signed as Shopify signs them
+function webhook(topic, payload, { shopDomain = shop, secret = SECRET } = {}) {
+  const body = JSON.stringify(payload);
+  return request('POST', '/webhooks', {
+    body,
+    token: null,
+    headers: {
+      'X-Shopify-Topic': topic,
+      'X-Shopify-Shop-Domain': shopDomain,
+      'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', secret).update(body).digest('base64')
+    }
+  });
+}
+
+before(async () => {
+  await db.ready;
+  await db.storeSession({ id: `${shop}_1`, shop, accessToken: 'shpat_test', scope: 'read_products' });
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+});
+
+describe('server', () => {
+  it('answers the health check', async () => {
+    const response = await request('GET', '/health', { token: null });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'OK');
+  });
+});
+
+describe('storefront CORS', () => {
+  // The origin the app allows for a preflight from this origin, or null
+  async function allowedOrigin(origin) {
+    const response = await request('OPTIONS', '/api/addons/calculate', { token: null, headers: { Origin: origin } });
+    return response.headers.get('access-control-allow-origin');
+  }
+
+  it('allow myshopify.com storefronts and nothing that only contains the name', async () => {
+    assert.equal(await allowedOrigin(`https://${shop}`), `https://${shop}`);
+    assert.equal(await allowedOrigin(`https://${shop}.attacker.example`), null);
+    assert.equal(await allowedOrigin('https://my.store.attacker.example'), null);
+    assert.equal(await allowedOrigin(`http://${shop}`), null);
+  });
+
+  it('allow a shop\'s own domains from when they are added until they are removed', async () => {
+    const origin = 'https://shop.example.com';
+    assert.equal(await allowedOrigin(origin), null);
+
+    const added = await request('POST', '/api/shop-domains', { body: { domain: 'shop.example.com' } });
+    assert.equal(added.status, 200);
+    assert.equal(await allowedOrigin(origin), origin);
+
+    const removed = await request('DELETE', `/api/shop-domains/${added.body.id}`);
+    assert.equal(removed.status, 200);
+    assert.equal(await allowedOrigin(origin), null);
+  });
+
+  it('look each domain up once rather than on every request', async () => {
+    const getShopForDomain = db.getShopForDomain;
+    let lookups = 0;
+    db.getShopForDomain = (...args) => {
+      lookups++;
+      return getShopForDomain.apply(db, args);
+    };
+    try {
+      await allowedOrigin('https://cached.example.com');
+      const first = lookups;
+      await allowedOrigin('https://cached.example.com');
+      assert.ok(first > 0);
+      assert.equal(lookups, first);
+    } finally {
+      db.getShopForDomain = getShopForDomain;
+    }
+  });
+});
+
+describe('session tokens', () => {
+  it('reject admin API requests without a token', async () => {
+    const response = await request('GET', '/api/addon-sets', { token: null });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, 'Missing session token');
+  });
+
+  it('reject tokens signed with another secret or already expired', async () => {
+    const forged = await request('GET', '/api/addon-sets', { token: sessionToken({}, 'other-secret') });
+    assert.equal(forged.status, 401);
+    assert.match(forged.body.details, /signature is invalid/);
+
+    const expired = await request('GET', '/api/addon-sets', { token: sessionToken({ exp: Math.floor(Date.now() / 1000) - 60 }) });
+    assert.equal(expired.status, 401);
+    assert.match(expired.body.details, /expired/);
+  });
+
+  it('send shops without an installed session to reinstall', async () => {
+    const other = 'not-installed.myshopify.com';
+    const response = await request('GET', '/api/addon-sets', {
+      token: sessionToken({ dest: `https://${other}`, iss: `https://${other}/admin` })
+    });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.redirect, `/auth?shop=${other}`);
+  });
+
+  it('take the shop from the token, not the query', async () => {
+    const own = await db.createAddonSet({ shop, name: 'Engraving' });
+    const other = await db.createAddonSet({ shop: 'other.myshopify.com', name: 'Gift wrap' });
+    const response = await request('GET', '/api/addon-sets?shop=other.myshopify.com');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.map(set => set.id), [own.id]);
+
+    await db.deleteAddonSet(own.id);
+    await db.deleteAddonSet(other.id);
+  });
+});
+
+describe('webhooks', () => {
+  it('reject deliveries that are unsigned or signed with another secret', async () => {
+    const unsigned = await request('POST', '/webhooks', { body: { id: 1 }, token: null, headers: { 'X-Shopify-Topic': 'orders/create' } });
+    assert.equal(unsigned.status, 401);
+
+    const forged = await webhook('orders/create', { id: 1 }, { secret: 'other-secret' });
+    assert.equal(forged.status, 401);
+  });
+
+  it('log signed deliveries without the customer and run their handler', async () => {
+    const response = await webhook('orders/create', {
+      id: 1001,
+      name: '#1001',
+      email: 'shopper@example.com',
+      customer: { id: 7, first_name: 'Sam' },
+      line_items: [{
+        id: 1,
+        product_id: 100,
+        variant_id: 200,
+        quantity: 1,
+        price: '10.00',
+        properties: [
+          { name: '_Add-ons Each', value: '£2.50' },
+          { name: '_Add-ons', value: 'Engraving: For Sam (+£2.50)' },
+          { name: 'Engraving', value: 'For Sam' }
+        ]
+      }]
+    });
+    assert.equal(response.status, 200);
+
+    const deliveries = await request('GET', '/api/webhook-deliveries');
+    const delivery = deliveries.body.find(entry => entry.resourceId === '1001');
+    assert.equal(delivery.status, 'processed');
+    assert.equal(delivery.payload.email, undefined);
+    assert.equal(delivery.payload.customer, undefined);
+    assert.equal(delivery.payload.line_items.length, 1);
+    assert.deepEqual(delivery.payload.line_items[0].properties, [{ name: '_Add-ons Each', value: '£2.50' }]);
+  });
+
+  it('remove the shop\'s session and add-ons on app/uninstalled', async () => {
+    const uninstalled = 'uninstalled.myshopify.com';
+    await db.storeSession({ id: `${uninstalled}_1`, shop: uninstalled, accessToken: 'shpat_old' });
+    await db.createAddon({ shop: uninstalled, productId: '100', name: 'Gift wrap', type: 'checkbox', price: 2 });
+
+    const response = await webhook('app/uninstalled', { id: 1 }, { shopDomain: uninstalled });
+    assert.equal(response.status, 200);
+    assert.equal(await db.getSession(uninstalled), null);
+    assert.deepEqual(await db.getAllAddons(uninstalled), []);
+  });
+});
+
+describe('storefront pricing', () => {
+  let addon;
+
+  before(async () => {
+    addon = await db.createAddon({ shop, productId: '100', name: 'Gift wrap', type: 'checkbox', price: 2.5 });
+    await db.saveShopDomain({ shop, domain: 'gifts.example.com', source: 'manual' });
+  });
+
+  after(async () => {
+    await db.deleteShopAddons(shop);
+    await db.deleteShopDomains(shop);
+  });
+
+  function calculate(path, { body = {}, headers } = {}) {
+    return request('POST', path, {
+      token: null,
+      headers,
+      body: { productId: '100', selections: [{ addonId: addon.id, value: 'selected' }], ...body }
+    });
+  }
+
+  it('price for the shop a custom storefront domain belongs to', async () => {
+    const response = await calculate('/api/addons/calculate?shop=gifts.example.com', { headers: { 'X-Shop-Domain': 'gifts.example.com' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.total, 2.5);
+  });
+
+  it('ignore a shop given in the body', async () => {
+    const response = await calculate('/api/addons/calculate', { body: { shop } });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /not offered/);
+
+    const selections = [{ addonId: addon.id, value: 'selected' }];
+    const { token } = (await calculate(`/api/addons/calculate?shop=${shop}`)).body;
+    const verified = await request('POST', '/api/addons/verify', { token: null, body: { shop, token, productId: '100', selections, total: 2.5 } });
+    assert.equal(verified.body.tampered, true);
+    assert.equal((await request('POST', `/api/addons/verify?shop=${shop}`, { token: null, body: { token, productId: '100', selections, total: 2.5 } })).body.tampered, false);
+  });
+});
+
+describe('order reconciliation', () => {
+  let token;
+
+  // An order for two of product 100 with gift wrap at £2.50 each, and the
+  // hidden product lines given
+  function order(id, hiddenLines, properties = {}) {
+    return {
+      id,
+      name: `#${id}`,
+      created_at: new Date().toISOString(),
+      line_items: [
+        {
+          id: 1,
+          title: 'Mug',
+          product_id: 100,
+          variant_id: 200,
+          quantity: 2,
+          price: '12.00',
+          properties: Object.entries({ '_Add-ons Token': token, '_Add-ons Each': '2.50', ...properties })
+            .map(([name, value]) => ({ name, value }))
+        },
+        ...hiddenLines.map(([variantId, quantity], index) => ({
+          id: 10 + index,
+          title: 'Add-ons',
+          product_id: 900,
+          variant_id: variantId,
+          quantity,
+          price: '0.00',
+          properties: []
+        }))
+      ]
+    };
+  }
+
+  before(async () => {
+    await db.saveShopSettings(shop, {
+      hiddenProductId: '900',
+      hiddenVariantId: '904',
+      hiddenVariants: [{ variantId: '901', price: 10 }, { variantId: '902', price: 1 }, { variantId: '903', price: 0.1 }]
+    });
+    const addon = await db.createAddon({ shop, productId: '100', name: 'Gift wrap', type: 'checkbox', price: 2.5 });
+
+    const priced = await request('POST', `/api/addons/calculate?shop=${shop}`, {
+      token: null,
+      body: { productId: '100', variantId: '200', quantity: 2, selections: [{ addonId: addon.id, value: 'selected' }] }
+    });
+    assert.equal(priced.status, 200);
+    assert.equal(priced.body.total, 5);
+    token = priced.body.token;
+  });
+
+  after(async () => {
+    await db.deleteShopAddons(shop);
+    await db.deleteShopSettings(shop);
+  });
+
+  it('record nothing when the hidden product charged what the add-ons cost', async () => {
+    assert.equal((await webhook('orders/create', order(2001, [['902', 5]]))).status, 200);
+    const mismatches = await request('GET', '/api/addon-mismatches');
+    assert.equal(mismatches.body.some(mismatch => mismatch.orderId === '2001'), false);
+  });
+
+  it('record orders whose hidden product charged less than their add-ons', async () => {
+    assert.equal((await webhook('orders/create', order(2002, [['902', 3]]))).status, 200);
+    const mismatch = (await request('GET', '/api/addon-mismatches')).body.find(entry => entry.orderId === '2002');
+    assert.equal(mismatch.expectedTotal, 5);
+    assert.equal(mismatch.chargedTotal, 3);
+  });
+
+  it('record lines whose add-on amounts differ from their token', async () => {
+    assert.equal((await webhook('orders/create', order(2003, [['902', 5]], { '_Add-ons Each': '1.00' }))).status, 200);
+    const mismatch = (await request('GET', '/api/addon-mismatches')).body.find(entry => entry.orderId === '2003');
+    assert.equal(mismatch.lines.length, 1);
+    assert.ok(mismatch.lines[0].issues.length > 0);
+  });
+});
+
+describe('add-on import', () => {
+  const rows = [
+    { productId: '100', name: 'Gift wrap', type: 'checkbox', price: 2 },
+    { productId: '100', name: 'Engraving', type: 'text', price: 5 }
+  ];
+
+  after(async () => {
+    await db.deleteShopAddons(shop);
+  });
+
+  it('only report what a dry run would do', async () => {
+    const response = await request('POST', '/api/addons/import', { body: { format: 'json', dryRun: true, addons: rows } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.imported, false);
+    assert.equal(response.body.created, 2);
+    assert.deepEqual(await db.getAllAddons(shop), []);
+  });
+
+  it('write nothing when any row is invalid', async () => {
+    const response = await request('POST', '/api/addons/import', {
+      body: { format: 'json', addons: [...rows, { productId: '100', name: 'Broken', type: 'mystery', price: 1 }] }
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors.length, 1);
+    assert.equal(response.body.errors[0].row, 3);
+    assert.deepEqual(await db.getAllAddons(shop), []);
+  });
+
+  it('create add-ons, then update them when rows with their ids are imported', async () => {
+    const created = await request('POST', '/api/addons/import', { body: { format: 'json', addons: rows } });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.created, 2);
+
+    const addons = (await db.getAllAddons(shop)).map(({ id, productId, name, type, price }) => ({ id, productId, name, type, price: price + 1 }));
+    const updated = await request('POST', '/api/addons/import', { body: { format: 'json', addons } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.updated, 2);
+
+    const stored = await db.getAllAddons(shop);
+    assert.deepEqual(stored.map(addon => [addon.name, addon.price]), [['Gift wrap', 3], ['Engraving', 6]]);
+  });
+
+  it('create add-ons for rows exported from another shop, even when their ids are this shop\'s', async () => {
+    const [own] = await db.getAllAddons(shop);
+    const response = await request('POST', '/api/addons/import', {
+      body: { format: 'json', addons: [{ id: own.id, shop: 'other.myshopify.com', productId: '100', name: 'Gift box', type: 'checkbox', price: 4 }] }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.created, 1);
+    assert.notEqual(response.body.results[0].id, own.id);
+
+    const stored = await db.getAllAddons(shop);
+    assert.deepEqual(stored.map(addon => addon.name), ['Gift wrap', 'Engraving', 'Gift box']);
+  });
+
+  it('save none of the rows when storing one of them fails', async () => {
+    const before = await db.getAllAddons(shop);
+    const history = await db.getShopAddonHistory(shop);
+    const createAddon = db.createAddon;
+    let calls = 0;
+    db.createAddon = async function (...args) {
+      if (++calls === 2) throw new Error('Disk full');
+      return createAddon.apply(this, args);
+    };
+
+    let response;
+    try {
+      response = await request('POST', '/api/addons/import', {
+        body: { format: 'json', addons: [{ productId: '100', name: 'Ribbon', type: 'checkbox', price: 1 }, { productId: '100', name: 'Card', type: 'text', price: 1 }] }
+      });
+    } finally {
+      db.createAddon = createAddon;
+    }
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.details, 'Disk full');
+    assert.deepEqual(await db.getAllAddons(shop), before);
+    assert.deepEqual(await db.getShopAddonHistory(shop), history);
+  });
+});
+
+describe('add-on reordering', () => {
+  let addons;
+
+  before(async () => {
+    addons = [];
+    for (const name of ['Gift wrap', 'Engraving', 'Gift card']) {
+      addons.push(await db.createAddon({ shop, productId: '300', name, type: 'checkbox', price: 1 }));
+    }
+  });
+
+  after(async () => {
+    await db.deleteShopAddons(shop);
+  });
+
+  it('store the new order of a product\'s add-ons', async () => {
+    const ids = [addons[2].id, addons[0].id, addons[1].id];
+    const response = await request('PUT', '/api/addons/reorder', { body: { addonIds: ids } });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await db.getAddons('300', shop)).map(addon => addon.id), ids);
+  });
+
+  it('refuse a list that leaves out some of the product\'s add-ons', async () => {
+    const response = await request('PUT', '/api/addons/reorder', { body: { addonIds: [addons[1].id, addons[0].id] } });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /all 3 active add-ons/);
+  });
+
+  it('refuse add-ons of another shop', async () => {
+    const foreign = await db.createAddon({ shop: 'other.myshopify.com', productId: '300', name: 'Gift wrap', type: 'checkbox', price: 1 });
+    const response = await request('PUT', '/api/addons/reorder', { body: { addonIds: [foreign.id] } });
+    assert.equal(response.status, 404);
+    await db.deleteShopAddons('other.myshopify.com');
+  });
+});
+
+describe('add-on validation', () => {
+  after(async () => {
+    await db.deleteShopAddons(shop);
+  });
+
+  it('refuse new add-ons with a negative price or a blank name', async () => {
+    const negative = await request('POST', '/api/addons', { body: { productId: '100', name: 'Discount', type: 'checkbox', price: -5 } });
+    assert.equal(negative.status, 400);
+    assert.equal(negative.body.error, 'Price cannot be negative');
+
+    const blank = await request('POST', '/api/addons', { body: { productId: '100', name: '   ', type: 'checkbox', price: 5 } });
+    assert.equal(blank.status, 400);
+    assert.equal(blank.body.error, 'Add-on name is required');
+    assert.deepEqual(await db.getAllAddons(shop), []);
+  });
+
+  it('refuse updates that give an add-on a negative price or a blank name', async () => {
+    const addon = await db.createAddon({ shop, productId: '100', name: 'Gift wrap', type: 'checkbox', price: 2 });
+
+    const negative = await request('PUT', `/api/addons/${addon.id}`, { body: { price: '-1' } });
+    assert.equal(negative.status, 400);
+    const blank = await request('PUT', `/api/addons/${addon.id}`, { body: { name: '' } });
+    assert.equal(blank.status, 400);
+
+    const stored = await db.getAddon(addon.id);
+    assert.equal(stored.name, 'Gift wrap');
+    assert.equal(stored.price, 2);
+  });
+});
@@ -0,0 +1,117 @@
+// Unit tests for shopify-auth.js: the OAuth callback HMAC and session tokens
+//   npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { normalizeShopDomain, verifyOAuthHmac, decodeSessionToken } = require('../shopify-auth');
+
+const SECRET = 'test-app-secret';
+const API_KEY = 'test-api-key';
+const shop = 'test.myshopify.com';
+
+function signQuery(params, secret = SECRET) {
+  const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+  return { ...params, hmac: crypto.createHmac('sha256', secret).update(message).digest('hex') };
+}
+
+function sessionToken(overrides = {}, { secret = SECRET, alg = 'HS256' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg, typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({
+    iss: `https://${shop}/admin`,
+    dest: `https://${shop}`,
+    aud: API_KEY,
+    sub: '42',
+    exp: now + 60,
+    nbf: now - 10,
+    ...overrides
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+describe('shopify auth', () => {
+  const saved = {};
+
+  before(() => {
+    saved.secret = process.env.SHOPIFY_API_SECRET;
+    saved.key = process.env.SHOPIFY_API_KEY;
+    process.env.SHOPIFY_API_SECRET = SECRET;
+    process.env.SHOPIFY_API_KEY = API_KEY;
+  });
+
+  after(() => {
+    for (const [name, value] of [['SHOPIFY_API_SECRET', saved.secret], ['SHOPIFY_API_KEY', saved.key]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  describe('normalizeShopDomain', () => {
+    it('accepts shop names, hostnames and admin URLs', () => {
+      assert.equal(normalizeShopDomain('test'), shop);
+      assert.equal(normalizeShopDomain(' Test.myshopify.com '), shop);
+      assert.equal(normalizeShopDomain('https://test.myshopify.com/admin/products'), shop);
+    });
+
+    it('rejects other domains and invalid names', () => {
+      assert.equal(normalizeShopDomain('test.example.com'), null);
+      assert.equal(normalizeShopDomain('test.myshopify.com.evil.com'), null);
+      assert.equal(normalizeShopDomain('-test'), null);
+      assert.equal(normalizeShopDomain(undefined), null);
+    });
+  });
+
+  describe('verifyOAuthHmac', () => {
+    const params = { code: 'abc', shop, state: 'nonce', timestamp: '1700000000' };
+
+    it('accepts a query Shopify signed', () => {
+      assert.equal(verifyOAuthHmac(signQuery(params)), true);
+    });
+
+    it('rejects altered parameters, other secrets and malformed signatures', () => {
+      assert.equal(verifyOAuthHmac({ ...signQuery(params), shop: 'evil.myshopify.com' }), false);
+      assert.equal(verifyOAuthHmac(signQuery(params, 'other-secret')), false);
+      assert.equal(verifyOAuthHmac({ ...params, hmac: 'abc' }), false);
+      assert.equal(verifyOAuthHmac(params), false);
+    });
+
+    it('rejects everything when no app secret is set', () => {
+      const query = signQuery(params);
+      delete process.env.SHOPIFY_API_SECRET;
+      try {
+        assert.equal(verifyOAuthHmac(query), false);
+      } finally {
+        process.env.SHOPIFY_API_SECRET = SECRET;
+      }
+    });
+  });
+
+  describe('decodeSessionToken', () => {
+    it('returns the payload with its shop', () => {
+      const payload = decodeSessionToken(sessionToken());
+      assert.equal(payload.shop, shop);
+      assert.equal(payload.sub, '42');
+    });
+
+    it('rejects bad signatures and algorithms', () => {
+      assert.throws(() => decodeSessionToken(sessionToken({}, { secret: 'other-secret' })), /signature is invalid/);
+      assert.throws(() => decodeSessionToken(sessionToken({}, { alg: 'none' })), /Unsupported session token algorithm/);
+      assert.throws(() => decodeSessionToken('a.b'), /Malformed/);
+    });
+
+    it('rejects expired and not yet valid tokens, allowing a little clock drift', () => {
+      const now = Math.floor(Date.now() / 1000);
+      assert.throws(() => decodeSessionToken(sessionToken({ exp: now - 60 })), /expired/);
+      assert.throws(() => decodeSessionToken(sessionToken({ nbf: now + 60 })), /not valid yet/);
+      assert.equal(decodeSessionToken(sessionToken({ exp: now - 2 })).shop, shop);
+    });
+
+    it('rejects tokens for another app or without a matching shop', () => {
+      assert.throws(() => decodeSessionToken(sessionToken({ aud: 'other-app' })), /another app/);
+      assert.throws(() => decodeSessionToken(sessionToken({ dest: 'https://evil.com' })), /no valid shop/);
+      assert.throws(() => decodeSessionToken(sessionToken({ iss: 'https://other.myshopify.com/admin' })), /issuer does not match/);
+    });
+  });
+});
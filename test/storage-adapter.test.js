@@ -0,0 +1,557 @@
+// Conformance suite for the storage interface in storage-adapter.js.
+// Runs against the in-memory store and SQLite, and PostgreSQL when DATABASE_URL is set:
+//   npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const Database = require('../database-debug');
+const MemoryDatabase = require('../memory-database');
+const { missingStorageMethods } = require('../storage-adapter');
+
+const BACKENDS = [
+  { name: 'memory', create: () => new MemoryDatabase() },
+  { name: 'sqlite', create: () => new Database({ type: 'sqlite', sqlitePath: ':memory:' }) }
+];
+
+if (process.env.DATABASE_URL) {
+  BACKENDS.push({ name: 'postgres', create: () => new Database() });
+}
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} storage`, () => {
+    let db;
+    // Shops are unique per run so a shared PostgreSQL database starts out clean
+    const run = crypto.randomBytes(4).toString('hex');
+    const shop = `conformance-${run}.myshopify.com`;
+    const otherShop = `conformance-other-${run}.myshopify.com`;
+    const transactionShop = `conformance-transaction-${run}.myshopify.com`;
+
+    before(async () => {
+      db = backend.create();
+      await db.ready;
+      if (backend.name === 'postgres') {
+        assert.equal(db.type, 'postgres', 'DATABASE_URL is set but PostgreSQL could not be reached');
+      }
+    });
+
+    after(async () => {
+      for (const name of [shop, otherShop, transactionShop]) {
+        await db.deleteSessions(name);
+        await db.deleteShopAddons(name);
+        await db.deleteShopHistory(name);
+        await db.deleteShopDomains(name);
+        await db.deleteShopSettings(name);
+      }
+      await db.close();
+    });
+
+    it('implements every interface method', () => {
+      assert.deepEqual(missingStorageMethods(db), []);
+    });
+
+    describe('sessions', () => {
+      it('stores sessions by id and returns them by shop', async () => {
+        await db.storeSession({ id: `offline_${shop}`, shop, accessToken: 'shpat_one', scope: 'write_products' });
+
+        const session = await db.getSession(shop);
+        assert.equal(session.id, `offline_${shop}`);
+        assert.equal(session.accessToken, 'shpat_one');
+        assert.equal(session.scope, 'write_products');
+        assert.equal(await db.getSession(otherShop), null);
+      });
+
+      it('replaces a session stored again under the same id', async () => {
+        await db.storeSession({ id: `offline_${shop}`, shop, accessToken: 'shpat_two', scope: 'write_products' });
+
+        assert.equal((await db.getSession(shop)).accessToken, 'shpat_two');
+        const stored = (await db.getStoredSessionTokens()).filter(session => session.shop === shop);
+        assert.equal(stored.length, 1);
+      });
+
+      it('encrypts access tokens when a key is configured', async () => {
+        const previous = process.env.TOKEN_ENCRYPTION_KEYS;
+        process.env.TOKEN_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+        try {
+          await db.storeSession({ id: `offline_${otherShop}`, shop: otherShop, accessToken: 'shpat_secret' });
+
+          const [stored] = (await db.getStoredSessionTokens()).filter(session => session.shop === otherShop);
+          assert.match(stored.accessToken, /^enc:v1:test:/);
+          assert.equal((await db.getSession(otherShop)).accessToken, 'shpat_secret');
+
+          await db.updateStoredSessionToken(stored.id, 'shpat_plain');
+          assert.equal((await db.getSession(otherShop)).accessToken, 'shpat_plain');
+        } finally {
+          if (previous === undefined) delete process.env.TOKEN_ENCRYPTION_KEYS;
+          else process.env.TOKEN_ENCRYPTION_KEYS = previous;
+        }
+      });
+
+      it('deletes only the given shop\'s sessions', async () => {
+        assert.equal(await db.deleteSessions(otherShop), 1);
+        assert.equal(await db.getSession(otherShop), null);
+        assert.ok(await db.getSession(shop));
+      });
+    });
+
+    describe('OAuth states', () => {
+      it('hands a state out once', async () => {
+        const expires = Date.now() + 60000;
+        await db.storeOAuthState(`state-${run}`, shop, expires);
+
+        assert.deepEqual(await db.consumeOAuthState(`state-${run}`), { state: `state-${run}`, shop, expires });
+        assert.equal(await db.consumeOAuthState(`state-${run}`), null);
+      });
+
+      it('clears expired states when a new one is stored', async () => {
+        await db.storeOAuthState(`expired-${run}`, shop, Date.now() - 1000);
+        await db.storeOAuthState(`fresh-${run}`, shop, Date.now() + 60000);
+
+        assert.equal(await db.consumeOAuthState(`expired-${run}`), null);
+        assert.ok(await db.consumeOAuthState(`fresh-${run}`));
+      });
+
+      it('hands a state to only one of two callbacks racing for it', async () => {
+        await db.storeOAuthState(`race-${run}`, shop, Date.now() + 60000);
+
+        const results = await Promise.all([db.consumeOAuthState(`race-${run}`), db.consumeOAuthState(`race-${run}`)]);
+        assert.equal(results.filter(Boolean).length, 1);
+      });
+    });
+
+    describe('add-ons', () => {
+      let wrap;
+      let engraving;
+      let set;
+
+      it('returns created add-ons with defaults filled in', async () => {
+        wrap = await db.createAddon({
+          productId: '1001',
+          shop,
+          name: 'Gift wrap',
+          price: '2.50',
+          type: 'dropdown',
+          options: [{ label: 'Red', price: 0 }, { label: 'Gold', price: 1 }]
+        });
+
+        assert.equal(typeof wrap.id, 'number');
+        assert.equal(wrap.productId, '1001');
+        assert.equal(wrap.setId, null);
+        assert.equal(wrap.shop, shop);
+        assert.equal(wrap.price, 2.5);
+        assert.equal(wrap.required, false);
+        assert.equal(wrap.active, true);
+        assert.equal(wrap.priceMode, 'fixed');
+        assert.equal(wrap.chargePer, 'unit');
+        assert.equal(wrap.position, 0);
+        assert.equal(wrap.groupId, null);
+        assert.equal(wrap.helpText, null);
+        assert.equal(wrap.conditions, null);
+        assert.deepEqual(wrap.options, [{ label: 'Red', price: 0 }, { label: 'Gold', price: 1 }]);
+        assert.deepEqual(await db.getAddon(wrap.id), wrap);
+      });
+
+      it('rejects add-ons without a product or set, name or price', async () => {
+        await assert.rejects(db.createAddon({ shop, name: 'Orphan', price: 1, type: 'checkbox' }));
+        await assert.rejects(db.createAddon({ productId: '1001', shop, price: 1, type: 'checkbox' }));
+      });
+
+      it('lists a product\'s active add-ons for its shop, oldest first', async () => {
+        engraving = await db.createAddon({
+          productId: '1001',
+          shop,
+          name: 'Engraving',
+          price: 5,
+          type: 'text',
+          required: true,
+          minLength: 1,
+          maxLength: 20,
+          priceMode: 'per_character',
+          baseFee: 1,
+          priceCap: 10,
+          chargePer: 'line'
+        });
+        await db.createAddon({ productId: '1001', shop: otherShop, name: 'Elsewhere', price: 1, type: 'checkbox' });
+        await db.createAddon({ productId: '2002', shop, name: 'Other product', price: 1, type: 'checkbox' });
+
+        const addons = await db.getAddons('1001', shop);
+        assert.deepEqual(addons.map(addon => addon.name), ['Gift wrap', 'Engraving']);
+        assert.equal(addons[1].required, true);
+        assert.equal(addons[1].baseFee, 1);
+        assert.equal(addons[1].priceCap, 10);
+        assert.equal(addons[1].chargePer, 'line');
+        assert.deepEqual(await db.getAddons(null, shop), []);
+      });
+
+      it('returns the updated add-on', async () => {
+        const updated = await db.updateAddon(engraving.id, {
+          name: 'Personal engraving',
+          price: '6',
+          required: false,
+          conditions: { match: 'all', rules: [{ addonId: wrap.id, operator: 'selected' }] },
+          variantIds: ['11', '12']
+        });
+
+        assert.equal(updated.id, engraving.id);
+        assert.equal(updated.name, 'Personal engraving');
+        assert.equal(updated.price, 6);
+        assert.equal(updated.required, false);
+        assert.deepEqual(updated.conditions, { match: 'all', rules: [{ addonId: wrap.id, operator: 'selected' }] });
+        assert.deepEqual(updated.variantIds, ['11', '12']);
+        assert.deepEqual(await db.getAddon(engraving.id), updated);
+
+        const cleared = await db.updateAddon(engraving.id, { conditions: null });
+        assert.equal(cleared.conditions, null);
+      });
+
+      it('soft deletes add-ons', async () => {
+        const result = await db.deleteAddon(wrap.id);
+        assert.equal(result.changes, 1);
+
+        assert.deepEqual((await db.getAddons('1001', shop)).map(addon => addon.id), [engraving.id]);
+        assert.equal((await db.getAddon(wrap.id)).active, false);
+      });
+
+      it('returns set add-ons in the order of the sets asked for', async () => {
+        set = await db.createAddonSet({ shop, name: 'Mugs' });
+        const other = await db.createAddonSet({ shop, name: 'Cups' });
+        const mugAddon = await db.createAddon({ setId: set.id, shop, name: 'Mug box', price: 3, type: 'checkbox' });
+        const cupAddon = await db.createAddon({ setId: other.id, shop, name: 'Cup box', price: 2, type: 'checkbox' });
+
+        assert.equal(mugAddon.productId, null);
+        assert.equal(mugAddon.setId, set.id);
+
+        const addons = await db.getAddonsForSets([other.id, set.id], shop);
+        assert.deepEqual(addons.map(addon => addon.id), [cupAddon.id, mugAddon.id]);
+        assert.deepEqual(await db.getAddonsForSets([], shop), []);
+        assert.deepEqual(await db.getAddonsForSets([set.id], otherShop), []);
+      });
+
+      it('lists every active add-on of a shop', async () => {
+        const names = (await db.getAllAddons(shop)).map(addon => addon.name);
+        assert.deepEqual(names, ['Personal engraving', 'Other product', 'Mug box', 'Cup box']);
+      });
+
+      it('orders add-ons by position, then creation order', async () => {
+        const first = await db.createAddon({ productId: '4004', shop: otherShop, name: 'First', price: 1, type: 'checkbox' });
+        await db.createAddon({ productId: '4004', shop: otherShop, name: 'Second', price: 1, type: 'checkbox' });
+        await db.createAddon({ productId: '4004', shop: otherShop, name: 'Third', price: 1, type: 'checkbox', position: 1 });
+        assert.deepEqual((await db.getAddons('4004', otherShop)).map(addon => addon.name), ['First', 'Second', 'Third']);
+
+        const moved = await db.updateAddon(first.id, { position: 2 });
+        assert.equal(moved.position, 2);
+        assert.deepEqual((await db.getAddons('4004', otherShop)).map(addon => addon.name), ['Second', 'Third', 'First']);
+
+        const shelf = await db.createAddonSet({ shop, name: 'Shelf' });
+        await db.createAddon({ setId: shelf.id, shop, name: 'Lower', price: 1, type: 'checkbox', position: 1 });
+        await db.createAddon({ setId: shelf.id, shop, name: 'Upper', price: 1, type: 'checkbox', position: 0 });
+        assert.deepEqual((await db.getAddonsForSets([shelf.id], shop)).map(addon => addon.name), ['Upper', 'Lower']);
+      });
+    });
+
+    describe('add-on history', () => {
+      let ribbon;
+
+      it('records snapshots and lists them newest first', async () => {
+        ribbon = await db.createAddon({ productId: '3003', shop, name: 'Ribbon', price: 1, type: 'checkbox' });
+        const created = await db.recordAddonHistory({ addonId: ribbon.id, shop, action: 'create', actor: '42', before: null, after: ribbon });
+
+        assert.equal(typeof created.id, 'number');
+        assert.equal(created.addonId, ribbon.id);
+        assert.equal(created.shop, shop);
+        assert.equal(created.action, 'create');
+        assert.equal(created.actor, '42');
+        assert.equal(created.before, null);
+        assert.equal(created.after.name, 'Ribbon');
+        assert.deepEqual(await db.getAddonHistoryEntry(created.id), created);
+
+        const updated = await db.updateAddon(ribbon.id, { price: 2 });
+        const change = await db.recordAddonHistory({ addonId: ribbon.id, shop, action: 'update', before: ribbon, after: updated });
+        assert.equal(change.actor, null);
+        assert.equal(change.before.price, 1);
+        assert.equal(change.after.price, 2);
+
+        assert.deepEqual((await db.getAddonHistory(ribbon.id)).map(entry => entry.id), [change.id, created.id]);
+        assert.deepEqual((await db.getAddonHistory(ribbon.id, 1)).map(entry => entry.id), [change.id]);
+        assert.deepEqual(await db.getAddonHistory(-1), []);
+        assert.deepEqual((await db.getShopAddonHistory(shop)).map(entry => entry.id), [change.id, created.id]);
+        assert.deepEqual(await db.getShopAddonHistory(otherShop), []);
+        assert.equal(await db.getAddonHistoryEntry(-1), null);
+      });
+
+      it('brings soft-deleted add-ons back when made active again', async () => {
+        await db.deleteAddon(ribbon.id);
+        const restored = await db.updateAddon(ribbon.id, { active: true, price: 1 });
+
+        assert.equal(restored.active, true);
+        assert.equal(restored.price, 1);
+        assert.deepEqual((await db.getAddons('3003', shop)).map(addon => addon.id), [ribbon.id]);
+      });
+    });
+
+    describe('add-on sets', () => {
+      it('returns created sets with empty targets filled in', async () => {
+        const set = await db.createAddonSet({ shop: otherShop, name: 'Bare' });
+
+        assert.equal(typeof set.id, 'number');
+        assert.equal(set.shop, otherShop);
+        assert.deepEqual(set.productIds, []);
+        assert.deepEqual(set.collectionIds, []);
+        assert.deepEqual(set.tags, []);
+        assert.equal(set.position, 0);
+        assert.equal(set.active, true);
+        assert.deepEqual(await db.getAddonSet(set.id), set);
+      });
+
+      it('lists active sets by position then id, and soft deletes them', async () => {
+        const late = await db.createAddonSet({ shop: otherShop, name: 'Late', position: 5, tags: ['mug'] });
+        const early = await db.createAddonSet({ shop: otherShop, name: 'Early', position: -1, productIds: ['1001'] });
+
+        let names = (await db.getAddonSets(otherShop)).map(set => set.name);
+        assert.deepEqual(names, ['Early', 'Bare', 'Late']);
+
+        const updated = await db.updateAddonSet(late.id, { position: -5, collectionIds: ['77'] });
+        assert.equal(updated.position, -5);
+        assert.deepEqual(updated.collectionIds, ['77']);
+        assert.deepEqual(updated.tags, ['mug']);
+
+        assert.equal((await db.deleteAddonSet(early.id)).changes, 1);
+        names = (await db.getAddonSets(otherShop)).map(set => set.name);
+        assert.deepEqual(names, ['Late', 'Bare']);
+        assert.equal((await db.getAddonSet(early.id)).active, false);
+      });
+    });
+
+    describe('add-on groups', () => {
+      it('returns created groups with defaults filled in', async () => {
+        const group = await db.createAddonGroup({ shop, name: 'Packaging' });
+
+        assert.equal(typeof group.id, 'number');
+        assert.equal(group.shop, shop);
+        assert.equal(group.description, null);
+        assert.equal(group.position, 0);
+        assert.equal(group.collapsible, false);
+        assert.equal(group.collapsed, false);
+        assert.equal(group.active, true);
+        assert.deepEqual(await db.getAddonGroup(group.id), group);
+      });
+
+      it('lists active groups by position then id, and soft deletes them', async () => {
+        const late = await db.createAddonGroup({ shop, name: 'Personalisation', position: 2, description: 'Make it yours' });
+        const early = await db.createAddonGroup({ shop, name: 'Extras', position: -1, collapsible: true, collapsed: true });
+        await db.createAddonGroup({ shop: otherShop, name: 'Elsewhere' });
+
+        assert.deepEqual((await db.getAddonGroups(shop)).map(group => group.name), ['Extras', 'Packaging', 'Personalisation']);
+        assert.equal(late.description, 'Make it yours');
+        assert.equal(early.collapsible, true);
+        assert.equal(early.collapsed, true);
+
+        const updated = await db.updateAddonGroup(early.id, { name: 'Gift extras', collapsed: false });
+        assert.equal(updated.name, 'Gift extras');
+        assert.equal(updated.collapsible, true);
+        assert.equal(updated.collapsed, false);
+
+        assert.equal((await db.deleteAddonGroup(late.id)).changes, 1);
+        assert.deepEqual((await db.getAddonGroups(shop)).map(group => group.name), ['Gift extras', 'Packaging']);
+        assert.equal((await db.getAddonGroup(late.id)).active, false);
+      });
+
+      it('stores the group and help text of add-ons', async () => {
+        const [group] = await db.getAddonGroups(shop);
+        const addon = await db.createAddon({ productId: '5005', shop, name: 'Box', price: 1, type: 'checkbox', groupId: group.id, helpText: 'A sturdy gift box' });
+        assert.equal(addon.groupId, group.id);
+        assert.equal(addon.helpText, 'A sturdy gift box');
+
+        const moved = await db.updateAddon(addon.id, { groupId: null, helpText: null });
+        assert.equal(moved.groupId, null);
+        assert.equal(moved.helpText, null);
+      });
+    });
+
+    describe('shop domains', () => {
+      const domain = `shop-${run}.example`;
+
+      it('maps each domain to one shop', async () => {
+        const saved = await db.saveShopDomain({ shop, domain, source: 'shopify' });
+        await db.saveShopDomain({ shop, domain: `www.${domain}` });
+
+        assert.equal(typeof saved.id, 'number');
+        assert.equal(saved.source, 'shopify');
+        assert.equal(await db.getShopForDomain(domain), shop);
+        assert.equal(await db.getShopForDomain(`unknown-${run}.example`), null);
+        assert.deepEqual((await db.getShopDomains(shop)).map(record => [record.domain, record.source]), [
+          [domain, 'shopify'],
+          [`www.${domain}`, 'manual']
+        ]);
+      });
+
+      it('moves a domain saved by another shop', async () => {
+        const moved = await db.saveShopDomain({ shop: otherShop, domain: `www.${domain}` });
+
+        assert.equal(moved.shop, otherShop);
+        assert.equal(await db.getShopForDomain(`www.${domain}`), otherShop);
+        assert.deepEqual((await db.getShopDomains(shop)).map(record => record.domain), [domain]);
+        assert.equal((await db.getShopDomain(moved.id)).shop, otherShop);
+      });
+
+      it('deletes domains by id, or by shop and source', async () => {
+        const manual = await db.saveShopDomain({ shop, domain: `manual.${domain}` });
+
+        assert.equal(await db.deleteShopDomains(shop, 'shopify'), 1);
+        assert.deepEqual((await db.getShopDomains(shop)).map(record => record.domain), [`manual.${domain}`]);
+        assert.equal((await db.deleteShopDomain(manual.id)).changes, 1);
+        assert.equal(await db.getShopDomain(manual.id), null);
+        assert.equal(await db.deleteShopDomains(otherShop), 1);
+      });
+    });
+
+    describe('shop settings', () => {
+      it('returns null until settings are saved', async () => {
+        assert.equal(await db.getShopSettings(shop), null);
+      });
+
+      it('replaces a shop\'s settings as a whole', async () => {
+        await db.saveShopSettings(shop, { currencyCode: 'EUR', labels: { heading: 'Extras' }, debug: true });
+        const saved = await db.saveShopSettings(shop, { currencyCode: 'USD', features: { cartPage: false } });
+
+        assert.deepEqual(saved, { currencyCode: 'USD', features: { cartPage: false } });
+        assert.deepEqual(await db.getShopSettings(shop), saved);
+        assert.equal(await db.getShopSettings(otherShop), null);
+      });
+
+      it('deletes a shop\'s settings', async () => {
+        assert.equal(await db.deleteShopSettings(shop), 1);
+        assert.equal(await db.getShopSettings(shop), null);
+      });
+    });
+
+    describe('add-on mismatches', () => {
+      let first;
+      let second;
+
+      it('records each order once', async () => {
+        first = await db.recordAddonMismatch({
+          shop,
+          orderId: 5001,
+          orderName: '#5001',
+          expectedTotal: 12.5,
+          chargedTotal: 2.5,
+          lines: [{ title: 'Mug', expected: 12.5 }]
+        });
+
+        assert.equal(typeof first.id, 'number');
+        assert.equal(first.orderId, '5001');
+        assert.equal(first.orderName, '#5001');
+        assert.equal(first.expectedTotal, 12.5);
+        assert.equal(first.chargedTotal, 2.5);
+        assert.equal(first.resolved, false);
+        assert.deepEqual(first.lines, [{ title: 'Mug', expected: 12.5 }]);
+        assert.deepEqual(await db.getAddonMismatch(first.id), first);
+
+        const again = await db.recordAddonMismatch({ shop, orderId: '5001', expectedTotal: 1, chargedTotal: 0 });
+        assert.equal(again, null);
+      });
+
+      it('lists unresolved mismatches newest first', async () => {
+        second = await db.recordAddonMismatch({ shop, orderId: '5002', expectedTotal: 4, chargedTotal: 0 });
+        assert.deepEqual(second.lines, []);
+
+        let ids = (await db.getAddonMismatches(shop)).map(mismatch => mismatch.id);
+        assert.deepEqual(ids, [second.id, first.id]);
+
+        assert.deepEqual(await db.setAddonMismatchResolved(first.id, true), { id: first.id, resolved: true });
+        ids = (await db.getAddonMismatches(shop)).map(mismatch => mismatch.id);
+        assert.deepEqual(ids, [second.id]);
+
+        const all = await db.getAddonMismatches(shop, true);
+        assert.deepEqual(all.map(mismatch => mismatch.resolved), [false, true]);
+        assert.deepEqual(await db.getAddonMismatches(otherShop, true), []);
+      });
+    });
+
+    describe('webhook deliveries', () => {
+      let delivery;
+
+      it('logs deliveries as received', async () => {
+        delivery = await db.logWebhookDelivery({
+          shop,
+          topic: 'orders/create',
+          webhookId: `webhook-${run}`,
+          resourceId: 5001,
+          payload: { id: 5001, line_items: [] }
+        });
+        assert.equal(typeof delivery.id, 'number');
+
+        const stored = await db.getWebhookDelivery(delivery.id);
+        assert.equal(stored.shop, shop);
+        assert.equal(stored.topic, 'orders/create');
+        assert.equal(stored.resourceId, '5001');
+        assert.equal(stored.status, 'received');
+        assert.equal(stored.error, null);
+        assert.equal(stored.attempts, 1);
+        assert.deepEqual(stored.payload, { id: 5001, line_items: [] });
+      });
+
+      it('updates status and lists deliveries newest first', async () => {
+        await db.updateWebhookDelivery(delivery.id, { status: 'failed', error: 'Boom', attempts: 2 });
+        const stored = await db.getWebhookDelivery(delivery.id);
+        assert.equal(stored.status, 'failed');
+        assert.equal(stored.error, 'Boom');
+        assert.equal(stored.attempts, 2);
+
+        const later = await db.logWebhookDelivery({ shop, topic: 'app/uninstalled', payload: {} });
+        assert.deepEqual((await db.getWebhookDeliveries(shop)).map(entry => entry.id), [later.id, delivery.id]);
+        assert.deepEqual((await db.getWebhookDeliveries(shop, 1)).map(entry => entry.id), [later.id]);
+        assert.equal(await db.getWebhookDelivery(-1), null);
+      });
+    });
+
+    describe('transactions', () => {
+      let kept;
+
+      it('keeps what the work wrote and returns what it resolves to', async () => {
+        const result = await db.transaction(async store => {
+          kept = await store.createAddon({ shop: transactionShop, productId: '700', name: 'Gift wrap', type: 'checkbox', price: 2 });
+          await store.updateAddon(kept.id, { price: 3 });
+          return 'done';
+        });
+
+        assert.equal(result, 'done');
+        assert.equal((await db.getAddon(kept.id)).price, 3);
+      });
+
+      it('rolls every write back when the work throws', async () => {
+        await assert.rejects(db.transaction(async store => {
+          await store.createAddon({ shop: transactionShop, productId: '700', name: 'Engraving', type: 'text', price: 5 });
+          await store.updateAddon(kept.id, { name: 'Gift box' });
+          await store.recordAddonHistory({ addonId: kept.id, shop: transactionShop, action: 'update', actor: null, before: kept, after: kept });
+          throw new Error('Import failed');
+        }), /Import failed/);
+
+        const addons = await db.getAllAddons(transactionShop);
+        assert.deepEqual(addons.map(addon => addon.name), ['Gift wrap']);
+        assert.deepEqual(await db.getShopAddonHistory(transactionShop), []);
+      });
+    });
+
+    describe('clean-up', () => {
+      it('deletes the records of given orders only', async () => {
+        const result = await db.deleteOrderRecords(shop, [5001]);
+        assert.deepEqual(result, { mismatches: 1, deliveries: 1 });
+
+        assert.deepEqual((await db.getAddonMismatches(shop, true)).map(mismatch => mismatch.orderId), ['5002']);
+        assert.deepEqual((await db.getWebhookDeliveries(shop)).map(entry => entry.topic), ['app/uninstalled']);
+      });
+
+      it('deletes a shop\'s history and add-ons, soft-deleted ones included', async () => {
+        assert.deepEqual(await db.deleteShopHistory(shop), { mismatches: 1, deliveries: 1 });
+        assert.deepEqual(await db.getWebhookDeliveries(shop), []);
+
+        assert.deepEqual(await db.deleteShopAddons(shop), { addons: 9, sets: 3, groups: 3, history: 2 });
+        assert.deepEqual(await db.getAllAddons(shop), []);
+        assert.deepEqual(await db.getAddonSets(shop), []);
+        assert.ok((await db.getAllAddons(otherShop)).length > 0);
+      });
+    });
+  });
+}
@@ -0,0 +1,77 @@
+// Unit tests for token-encryption.js, including key rotation
+//   npm test
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { hasEncryptionKey, isEncrypted, encryptToken, decryptToken, needsReencryption } = require('../token-encryption');
+
+const oldKey = `old:${crypto.randomBytes(32).toString('base64')}`;
+const newKey = `new:${crypto.randomBytes(32).toString('base64')}`;
+
+describe('token encryption', () => {
+  const saved = process.env.TOKEN_ENCRYPTION_KEYS;
+
+  beforeEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEYS = oldKey;
+  });
+
+  after(() => {
+    if (saved === undefined) delete process.env.TOKEN_ENCRYPTION_KEYS;
+    else process.env.TOKEN_ENCRYPTION_KEYS = saved;
+  });
+
+  it('encrypts with a fresh IV and decrypts back', () => {
+    const first = encryptToken('shpat_secret');
+    const second = encryptToken('shpat_secret');
+
+    assert.ok(isEncrypted(first));
+    assert.match(first, /^enc:v1:old:/);
+    assert.notEqual(first, second);
+    assert.equal(decryptToken(first), 'shpat_secret');
+  });
+
+  it('leaves tokens alone without a key, and passes plaintext through', () => {
+    delete process.env.TOKEN_ENCRYPTION_KEYS;
+    assert.equal(hasEncryptionKey(), false);
+    assert.equal(encryptToken('shpat_plain'), 'shpat_plain');
+    assert.equal(decryptToken('shpat_plain'), 'shpat_plain');
+    assert.equal(needsReencryption('shpat_plain'), false);
+  });
+
+  it('does not encrypt twice', () => {
+    const encrypted = encryptToken('shpat_secret');
+    assert.equal(encryptToken(encrypted), encrypted);
+  });
+
+  it('decrypts tokens stored under a rotated-out key and flags them for re-encryption', () => {
+    const stored = encryptToken('shpat_secret');
+    process.env.TOKEN_ENCRYPTION_KEYS = `${newKey},${oldKey}`;
+
+    assert.equal(decryptToken(stored), 'shpat_secret');
+    assert.equal(needsReencryption(stored), true);
+    assert.equal(needsReencryption('shpat_plain'), true);
+
+    const reencrypted = encryptToken(decryptToken(stored));
+    assert.match(reencrypted, /^enc:v1:new:/);
+    assert.equal(needsReencryption(reencrypted), false);
+  });
+
+  it('fails on unknown keys and altered ciphertext', () => {
+    const stored = encryptToken('shpat_secret');
+    process.env.TOKEN_ENCRYPTION_KEYS = newKey;
+    assert.throws(() => decryptToken(stored), /unknown key old/);
+
+    process.env.TOKEN_ENCRYPTION_KEYS = oldKey;
+    const parts = stored.split(':');
+    parts[5] = Buffer.from('tampered').toString('base64');
+    assert.throws(() => decryptToken(parts.join(':')));
+  });
+
+  it('rejects malformed key lists', () => {
+    process.env.TOKEN_ENCRYPTION_KEYS = 'no-separator';
+    assert.throws(() => hasEncryptionKey(), /id:base64key/);
+    process.env.TOKEN_ENCRYPTION_KEYS = `short:${crypto.randomBytes(16).toString('base64')}`;
+    assert.throws(() => hasEncryptionKey(), /must be 32 bytes/);
+  });
+});
@@ -0,0 +1,108 @@
+// Unit tests for webhook-payload.js: what the webhook log keeps of each payload
+//   npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+
+const { toStoredPayload } = require('../webhook-payload');
+const { loadMigrations, migrateUp } = require('../migration-runner');
+
+const customer = { id: 7, email: 'shopper@example.com', phone: '+447700900000', first_name: 'Sam' };
+const order = {
+  id: 1001,
+  name: '#1001',
+  created_at: '2024-05-01T10:00:00Z',
+  email: 'shopper@example.com',
+  customer,
+  shipping_address: { address1: '1 High Street', zip: 'AB1 2CD' },
+  line_items: [{
+    id: 1,
+    title: 'Mug',
+    product_id: 100,
+    variant_id: 200,
+    quantity: 2,
+    price: '10.00',
+    sku: 'MUG',
+    properties: [
+      { name: '_Add-ons Token', value: 'token' },
+      { name: '_Add-ons Each', value: '£2.50' },
+      { name: '_Add-ons Per Line', value: '£0.00' },
+      { name: '_Add-ons', value: 'Engraving: For Sam (+£2.50)' },
+      { name: 'Engraving', value: 'For Sam' }
+    ]
+  }]
+};
+
+describe('stored webhook payloads', () => {
+  it('keep only what order reconciliation reads', () => {
+    assert.deepEqual(toStoredPayload('orders/create', order), {
+      id: 1001,
+      name: '#1001',
+      created_at: '2024-05-01T10:00:00Z',
+      line_items: [{
+        id: 1,
+        title: 'Mug',
+        product_id: 100,
+        variant_id: 200,
+        quantity: 2,
+        price: '10.00',
+        properties: [
+          { name: '_Add-ons Token', value: 'token' },
+          { name: '_Add-ons Each', value: '£2.50' },
+          { name: '_Add-ons Per Line', value: '£0.00' }
+        ]
+      }]
+    });
+  });
+
+  it('keep only the add-on amounts and line links of cart lines', () => {
+    const cart = {
+      id: 'c1',
+      token: 'c1',
+      line_items: [
+        { id: 1, quantity: 3, properties: { '_Add-ons Each': '£1.00', '_Add-ons': 'Engraving: Hi', Engraving: 'Hi' } },
+        { id: 2, quantity: 3, properties: { _parent_line_key: 'key-1', '_Add-ons Total': '£3.00', '_Add-ons For': 'Mug', _note: 'Hi' } }
+      ]
+    };
+    assert.deepEqual(toStoredPayload('carts/update', cart), {
+      id: 'c1',
+      line_items: [
+        { id: 1, quantity: 3, properties: { '_Add-ons Each': '£1.00' } },
+        { id: 2, quantity: 3, properties: { _parent_line_key: 'key-1', '_Add-ons Total': '£3.00' } }
+      ]
+    });
+  });
+
+  it('drop customer contact details from GDPR requests', () => {
+    const redact = toStoredPayload('customers/redact', { shop_id: 1, shop_domain: 'test.myshopify.com', customer, orders_to_redact: [1001] });
+    assert.deepEqual(redact, { shop_domain: 'test.myshopify.com', customer: { id: 7 }, orders_to_redact: [1001] });
+
+    const request = toStoredPayload('customers/data_request', { shop_domain: 'test.myshopify.com', customer, orders_requested: [1001], data_request: { id: 9 } });
+    assert.deepEqual(request, { shop_domain: 'test.myshopify.com', customer: { id: 7 }, orders_requested: [1001], data_request: { id: 9 } });
+  });
+
+  it('keep only the ID for topics whose handler ignores the payload', () => {
+    assert.deepEqual(toStoredPayload('app/uninstalled', { id: 5, email: 'owner@example.com' }), { id: 5 });
+    assert.deepEqual(toStoredPayload('app/uninstalled', null), {});
+  });
+
+  it('are trimmed from deliveries logged before the migration', async () => {
+    const db = { type: 'sqlite', db: new sqlite3.Database(':memory:') };
+    const migrations = loadMigrations();
+    const trim = migrations.find(migration => migration.name === 'trim-webhook-payloads');
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+      db.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+
+    try {
+      await migrateUp(db, migrations.filter(migration => migration.version < trim.version));
+      await query('INSERT INTO webhook_deliveries (shop, topic, payload) VALUES (?, ?, ?)', ['test.myshopify.com', 'orders/create', JSON.stringify(order)]);
+      await migrateUp(db, migrations);
+
+      const [row] = await query('SELECT payload FROM webhook_deliveries');
+      assert.deepEqual(JSON.parse(row.payload), toStoredPayload('orders/create', order));
+    } finally {
+      await new Promise(resolve => db.db.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,80 @@
+// Access tokens encrypted at rest
+// Keys come from TOKEN_ENCRYPTION_KEYS as a comma separated list of id:key pairs,
+// each key being 32 bytes in base64. The first key encrypts, the rest are only
+// kept to decrypt tokens stored before a rotation
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+
+function loadKeys() {
+  const value = process.env.TOKEN_ENCRYPTION_KEYS || '';
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const id = separator > 0 ? entry.slice(0, separator) : '';
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw new Error(`TOKEN_ENCRYPTION_KEYS entries must look like id:base64key, got "${entry.slice(0, 12)}..."`);
+    }
+    if (key.length !== 32) {
+      throw new Error(`Token encryption key ${id} must be 32 bytes, got ${key.length}`);
+    }
+    return { id, key };
+  });
+}
+
+function hasEncryptionKey() {
+  return loadKeys().length > 0;
+}
+
+function isEncrypted(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${PREFIX}:`);
+}
+
+// enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>, all base64. Without a key the
+// token is returned as it is so development installs keep working
+function encryptToken(token) {
+  if (token == null || isEncrypted(token)) return token;
+
+  const [current] = loadKeys();
+  if (!current) return token;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(token), 'utf8'), cipher.final()]);
+
+  return [PREFIX, current.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+// Plaintext tokens from before encryption was turned on are passed through
+function decryptToken(stored) {
+  if (!isEncrypted(stored)) return stored;
+
+  const [, , keyId, iv, tag, ciphertext] = stored.split(':');
+  const entry = loadKeys().find(candidate => candidate.id === keyId);
+  if (!entry) {
+    throw new Error(`Access token was encrypted with unknown key ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Stored in plaintext or under a key that has since been rotated out
+function needsReencryption(stored) {
+  const [current] = loadKeys();
+  if (!current || stored == null) return false;
+  return !isEncrypted(stored) || stored.split(':')[2] !== current.id;
+}
+
+module.exports = {
+  hasEncryptionKey,
+  isEncrypted,
+  encryptToken,
+  decryptToken,
+  needsReencryption
+};
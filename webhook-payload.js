@@ -0,0 +1,70 @@
+// What the webhook log keeps of each delivery's payload
+// Deliveries are stored so they can be replayed, so only the fields the topic
+// handlers in server.js read are kept - never the customer's name, email,
+// addresses or the rest of the order. Keep this in step with the handlers
+
+const { TOKEN_PROPERTY, UNIT_TOTAL_PROPERTY, LINE_CHARGE_PROPERTY } = require('./selection-token');
+
+// The line properties the handlers read. The rest are dropped, including the
+// app's own _Add-ons and _Add-ons For, which repeat what the shopper typed
+const KEPT_PROPERTIES = [TOKEN_PROPERTY, UNIT_TOTAL_PROPERTY, LINE_CHARGE_PROPERTY, '_Add-ons Total', '_parent_line_key'];
+
+// Orders send [{ name, value }], carts send { name: value }
+function keepHiddenProperties(properties) {
+  if (Array.isArray(properties)) {
+    return properties.filter(property => property && KEPT_PROPERTIES.includes(property.name));
+  }
+  return Object.fromEntries(Object.entries(properties || {}).filter(([name]) => KEPT_PROPERTIES.includes(name)));
+}
+
+const PAYLOAD_FIELDS = {
+  'orders/create': order => ({
+    id: order.id,
+    name: order.name,
+    created_at: order.created_at,
+    line_items: (order.line_items || []).map(item => ({
+      id: item.id,
+      title: item.title,
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      quantity: item.quantity,
+      price: item.price,
+      properties: keepHiddenProperties(item.properties)
+    }))
+  }),
+  'carts/update': cart => ({
+    id: cart.id,
+    line_items: (cart.line_items || []).map(item => ({
+      id: item.id,
+      quantity: item.quantity,
+      properties: keepHiddenProperties(item.properties)
+    }))
+  }),
+  'customers/data_request': request => ({
+    shop_domain: request.shop_domain,
+    customer: request.customer ? { id: request.customer.id } : null,
+    orders_requested: request.orders_requested || [],
+    data_request: request.data_request ? { id: request.data_request.id } : null
+  }),
+  'customers/redact': request => ({
+    shop_domain: request.shop_domain,
+    customer: request.customer ? { id: request.customer.id } : null,
+    orders_to_redact: request.orders_to_redact || []
+  }),
+  'shop/redact': request => ({
+    shop_id: request.shop_id,
+    shop_domain: request.shop_domain
+  })
+};
+
+// The part of a payload that is stored. Topics without a handler that reads
+// the payload (e.g. app/uninstalled) keep only the resource ID
+function toStoredPayload(topic, payload) {
+  const fields = PAYLOAD_FIELDS[topic];
+  if (!payload || typeof payload !== 'object') return {};
+  return fields ? fields(payload) : (payload.id != null ? { id: payload.id } : {});
+}
+
+module.exports = {
+  toStoredPayload
+};